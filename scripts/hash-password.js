@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Generates a PBKDF2-SHA256 password hash for PASS_*, USERS_*, FALLBACK_PASS or REDIRECT_CONFIG
+//
+// Usage:
+//   npm run hash-password                    (prompts for the password)
+//   echo -n "secret" | npm run hash-password --silent
+//   npm run hash-password -- --iterations 50000
+//
+// The password is read from stdin rather than the command line to keep it out of shell history
+import { createInterface } from "node:readline";
+import { hashPassword, DEFAULT_PBKDF2_ITERATIONS } from "../src/password.js";
+
+function parseIterations(args) {
+  const index = args.indexOf("--iterations");
+  if (index === -1) return DEFAULT_PBKDF2_ITERATIONS;
+  return Number(args[index + 1]);
+}
+
+async function readPassword() {
+  const rl = createInterface({ input: process.stdin, output: process.stderr, terminal: process.stdin.isTTY });
+  if (process.stdin.isTTY) {
+    process.stderr.write("Password: ");
+    // Do not echo the password
+    rl._writeToOutput = () => {};
+  }
+  const lines = [];
+  for await (const line of rl) {
+    lines.push(line);
+    if (process.stdin.isTTY) break;
+  }
+  rl.close();
+  if (process.stdin.isTTY) process.stderr.write("\n");
+  return lines.join("\n");
+}
+
+try {
+  const iterations = parseIterations(process.argv.slice(2));
+  const password = await readPassword();
+  if (!password.trim()) throw new Error("Password must not be empty");
+  console.log(await hashPassword(password, iterations));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
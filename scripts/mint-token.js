@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Mints a signed access token for a protected link
+//
+// Usage:
+//   ACCESS_TOKEN_SECRET=... npm run mint-token -- <link> <ttl> [label]
+//   ACCESS_TOKEN_SECRET=... npm run mint-token -- foo 48h contractor
+//
+// <link> is the link id: the subdomain (e.g. "foo" or "api.v1"), "<subdomain>@<suffix>"
+// for suffix-specific links, "shortlink.<name>" for short links or "pattern:<match>" for pattern rules
+// <ttl> is in seconds or a duration like "90m", "48h" or "7d"
+import { createAccessToken, parseDuration, ACCESS_TOKEN_QUERY_PARAM } from "../src/tokens.js";
+
+const [link, ttl, label] = process.argv.slice(2);
+
+try {
+  if (!link || !ttl) throw new Error("Usage: mint-token <link> <ttl> [label]");
+  const { token, payload } = await createAccessToken(process.env.ACCESS_TOKEN_SECRET, link, parseDuration(ttl), label);
+  console.log(token);
+  console.error(`Expires ${new Date(payload.exp * 1000).toISOString()}; append ?${ACCESS_TOKEN_QUERY_PARAM}=<token> to the link`);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,280 @@
+import { securityHeaders } from "./security-headers.js";
+import { getClientIdFromCloudflare, respond, respondJson } from "./utils.js";
+import { constantTimeEqual } from "./auth.js";
+import { hostIsAllowed } from "./host.js";
+import { getRateLimiter } from "./ratelimiter.js";
+import { validateLinkRecord, validateLinkName } from "./config.js";
+import { invalidateLinkCache } from "./links.js";
+import { hmacSha256Hex } from "./crypto.js";
+import { getAnalyticsSink, summarizeClicks, DEFAULT_ANALYTICS_DAYS, MAX_ANALYTICS_DAYS } from "./analytics.js";
+import { createAccessToken, parseDuration } from "./tokens.js";
+
+// Request body limit for admin writes
+export const MAX_ADMIN_BODY_BYTES = 64 * 1024;
+
+// Maximum clock difference accepted for HMAC-signed admin requests
+export const ADMIN_SIGNATURE_MAX_SKEW_MS = 5 * 60 * 1000; // 5 minutes
+
+// Listing reads every record on the page, one KV operation each, plus the list itself
+// Workers allow 1000 KV operations per invocation, so pages stay well below that
+export const DEFAULT_ADMIN_LIST_LIMIT = 50;
+export const MAX_ADMIN_LIST_LIMIT = 100;
+
+// Failed admin authentication is rate limited like Basic Auth, under its own scope
+const ADMIN_RATE_LIMIT_SCOPE = "admin-api";
+
+// Nonces of signed requests are claimed once, for as long as their timestamp is accepted
+const ADMIN_NONCE_SCOPE = "admin-nonce";
+const ADMIN_NONCE_TTL_MS = 2 * ADMIN_SIGNATURE_MAX_SKEW_MS;
+const ADMIN_NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+function nowMs() { return Date.now(); }
+
+// Returns the admin API base path for a request, or null if it is not an admin request
+// The API is served on ADMIN_HOST (any path) and/or below ADMIN_PATH on allowed hosts
+// It stays disabled unless ADMIN_TOKEN or ADMIN_HMAC_SECRET is set
+export function adminBasePath(url, env, allowedHostSuffixes) {
+  if (!env.ADMIN_TOKEN && !env.ADMIN_HMAC_SECRET) return null;
+
+  const hostname = url.hostname.toLowerCase();
+  if (env.ADMIN_HOST && hostname === env.ADMIN_HOST.trim().toLowerCase()) return "";
+
+  if (env.ADMIN_PATH && hostIsAllowed(hostname, allowedHostSuffixes)) {
+    const prefix = "/" + env.ADMIN_PATH.trim().replace(/^\/+|\/+$/g, "");
+    if (prefix !== "/" && (url.pathname === prefix || url.pathname.startsWith(prefix + "/"))) return prefix;
+  }
+  return null;
+}
+
+// The string an HMAC signature covers: timestamp, nonce, method, path with query and body
+export function adminSignaturePayload(method, pathWithQuery, timestamp, nonce, body) {
+  return `${timestamp}\n${nonce}\n${method.toUpperCase()}\n${pathWithQuery}\n${body}`;
+}
+
+// Signs an admin request; timestamp is in seconds since the epoch
+export function signAdminRequest(secret, method, pathWithQuery, timestamp, nonce, body = "") {
+  return hmacSha256Hex(secret, adminSignaturePayload(method, pathWithQuery, timestamp, nonce, body));
+}
+
+// Accepts "Authorization: Bearer <ADMIN_TOKEN>" or an HMAC signature in
+// X-Admin-Timestamp / X-Admin-Nonce / X-Admin-Signature made with ADMIN_HMAC_SECRET
+// Each nonce is accepted once; with RATE_LIMITER bound across isolates, otherwise per isolate
+async function isAdminAuthorized(request, env, body, limiter) {
+  const authHeader = request.headers.get("Authorization") || "";
+  if (env.ADMIN_TOKEN && authHeader.startsWith("Bearer ")) {
+    return constantTimeEqual(authHeader.slice(7).trim(), env.ADMIN_TOKEN);
+  }
+
+  if (env.ADMIN_HMAC_SECRET) {
+    const timestamp = request.headers.get("X-Admin-Timestamp") || "";
+    const nonce = request.headers.get("X-Admin-Nonce") || "";
+    const signature = (request.headers.get("X-Admin-Signature") || "").toLowerCase();
+    if (!/^\d{1,12}$/.test(timestamp) || !ADMIN_NONCE_PATTERN.test(nonce) || !signature) return false;
+    if (Math.abs(nowMs() - Number(timestamp) * 1000) > ADMIN_SIGNATURE_MAX_SKEW_MS) return false;
+
+    const url = new URL(request.url);
+    const expected = await signAdminRequest(env.ADMIN_HMAC_SECRET, request.method, url.pathname + url.search, timestamp, nonce, body);
+    if (!constantTimeEqual(signature, expected)) return false;
+    return limiter.claim(nonce, ADMIN_NONCE_SCOPE, 0, ADMIN_NONCE_TTL_MS);
+  }
+  return false;
+}
+
+// Reads the request body as text, or returns null if it exceeds MAX_ADMIN_BODY_BYTES
+async function readBody(request) {
+  const declared = Number(request.headers.get("Content-Length") || 0);
+  if (declared > MAX_ADMIN_BODY_BYTES) return null;
+  const body = await request.text();
+  return new TextEncoder().encode(body).length > MAX_ADMIN_BODY_BYTES ? null : body;
+}
+
+function parseJsonBody(body) {
+  try {
+    return { value: JSON.parse(body) };
+  } catch {
+    return { error: respondJson({ error: "Request body must be valid JSON" }, 400, securityHeaders()) };
+  }
+}
+
+// Never return passwords or TOTP secrets, only which users exist and where they are sent
+function redactLink(link) {
+  return link.users ? { ...link, users: link.users.map(({ pass, totp, ...user }) => user) } : link;
+}
+
+async function readLink(env, name) {
+  try {
+    return await env.LINKS.get(name, { type: "json" });
+  } catch {
+    return null;
+  }
+}
+
+async function listLinks(env, url) {
+  const requested = Number(url.searchParams.get("limit") || DEFAULT_ADMIN_LIST_LIMIT);
+  const limit = Number.isInteger(requested) && requested > 0 ? Math.min(requested, MAX_ADMIN_LIST_LIMIT) : DEFAULT_ADMIN_LIST_LIMIT;
+  const cursor = url.searchParams.get("cursor") || undefined;
+
+  const page = await env.LINKS.list({ limit, cursor });
+  const links = await Promise.all(page.keys.map(async ({ name }) => {
+    const { link, errors } = validateLinkRecord(await readLink(env, name));
+    return link ? { name, ...redactLink(link) } : { name, errors };
+  }));
+  return respondJson({ links, cursor: page.list_complete ? null : page.cursor }, 200, securityHeaders());
+}
+
+// Aggregated click counts per link over the last ?days=N days
+async function clickStats(env, url) {
+  const sink = getAnalyticsSink(env);
+  if (!sink?.aggregate) {
+    return respondJson({ error: "Analytics aggregation is not configured" }, 501, securityHeaders());
+  }
+
+  const requested = Number(url.searchParams.get("days") || DEFAULT_ANALYTICS_DAYS);
+  const days = Number.isInteger(requested) && requested > 0 ? Math.min(requested, MAX_ANALYTICS_DAYS) : DEFAULT_ANALYTICS_DAYS;
+  const since = nowMs() - days * 24 * 60 * 60 * 1000;
+
+  let rows;
+  try {
+    rows = await sink.aggregate({ since });
+  } catch (error) {
+    console.warn(`Analytics aggregation failed: ${error.message}`);
+    return respondJson({ error: "Analytics aggregation failed" }, 502, securityHeaders());
+  }
+  return respondJson({ days, links: summarizeClicks(rows) }, 200, securityHeaders());
+}
+
+// Mints an access token: { link, ttl, label? }, ttl in seconds or as a duration like "48h"
+async function mintToken(env, body) {
+  if (!env.ACCESS_TOKEN_SECRET) {
+    return respondJson({ error: "ACCESS_TOKEN_SECRET is not configured" }, 501, securityHeaders());
+  }
+  const { value, error } = parseJsonBody(body);
+  if (error) return error;
+
+  let minted;
+  try {
+    minted = await createAccessToken(env.ACCESS_TOKEN_SECRET, value?.link, parseDuration(value?.ttl), value?.label);
+  } catch (mintError) {
+    return respondJson({ error: "Invalid token request", errors: [mintError.message] }, 400, securityHeaders());
+  }
+  const { token, payload } = minted;
+  return respondJson({
+    token,
+    link: payload.sub,
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+    ...(payload.label ? { label: payload.label } : {})
+  }, 201, securityHeaders());
+}
+
+// Validates and stores a link, dropping it from this isolate's cache
+async function storeLink(env, name, value, status) {
+  const { link, errors } = validateLinkRecord(value);
+  if (!link) return respondJson({ error: "Invalid link", errors }, 400, securityHeaders());
+
+  await env.LINKS.put(name, JSON.stringify(link));
+  invalidateLinkCache(name);
+  return respondJson({ name, ...redactLink(link) }, status, securityHeaders());
+}
+
+async function handleLink(request, env, name, body) {
+  const nameError = validateLinkName(name);
+  if (nameError) return respondJson({ error: "Invalid link name", errors: [nameError] }, 400, securityHeaders());
+
+  const existing = await readLink(env, name);
+  const method = request.method.toUpperCase();
+
+  if (method === "GET" || method === "HEAD") {
+    if (!existing) return respondJson({ error: "Not found" }, 404, securityHeaders());
+    const { link, errors } = validateLinkRecord(existing);
+    return respondJson(link ? { name, ...redactLink(link) } : { name, errors }, 200, securityHeaders());
+  }
+
+  if (method === "PUT") {
+    const { value, error } = parseJsonBody(body);
+    if (error) return error;
+    return storeLink(env, name, value, existing ? 200 : 201);
+  }
+
+  if (method === "PATCH") {
+    if (!existing) return respondJson({ error: "Not found" }, 404, securityHeaders());
+    const { value, error } = parseJsonBody(body);
+    if (error) return error;
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return respondJson({ error: "Invalid link", errors: ["link: must be an object"] }, 400, securityHeaders());
+    }
+    // Properties set to null are removed
+    const merged = { ...existing, ...value };
+    for (const [key, fieldValue] of Object.entries(value)) {
+      if (fieldValue === null) delete merged[key];
+    }
+    return storeLink(env, name, merged, 200);
+  }
+
+  if (method === "DELETE") {
+    if (!existing) return respondJson({ error: "Not found" }, 404, securityHeaders());
+    await env.LINKS.delete(name);
+    invalidateLinkCache(name);
+    return respond(null, 204, securityHeaders());
+  }
+
+  return respondJson({ error: "Method Not Allowed" }, 405, securityHeaders({ "Allow": "GET, HEAD, PUT, PATCH, DELETE" }));
+}
+
+// Handles admin API requests below basePath:
+// GET /links, GET|PUT|PATCH|DELETE /links/<name>, GET /analytics, POST /tokens
+// Failed attempts are limited by the global rate limit policy
+export async function handleAdminRequest(request, env, basePath, rateLimitPolicy) {
+  const clientId = getClientIdFromCloudflare(request);
+  const limiter = getRateLimiter(env);
+  if (await limiter.isRateLimited(clientId, ADMIN_RATE_LIMIT_SCOPE, rateLimitPolicy)) {
+    return respondJson({ error: "Too many requests" }, 429, await limiter.retryHeaders(clientId, ADMIN_RATE_LIMIT_SCOPE));
+  }
+
+  const body = await readBody(request);
+  if (body === null) return respondJson({ error: "Request body too large" }, 413, securityHeaders());
+
+  if (!(await isAdminAuthorized(request, env, body, limiter))) {
+    await limiter.registerFailedAttempt(clientId, ADMIN_RATE_LIMIT_SCOPE, rateLimitPolicy);
+    return respondJson({ error: "Not authorized" }, 401, securityHeaders({ "WWW-Authenticate": 'Bearer realm="Redirect Admin"' }));
+  }
+  await limiter.clearFailures(clientId, ADMIN_RATE_LIMIT_SCOPE);
+
+  const url = new URL(request.url);
+  const path = url.pathname.slice(basePath.length).replace(/\/+$/, "") || "/";
+  const method = request.method.toUpperCase();
+
+  if (path === "/analytics") {
+    if (method !== "GET" && method !== "HEAD") {
+      return respondJson({ error: "Method Not Allowed" }, 405, securityHeaders({ "Allow": "GET, HEAD" }));
+    }
+    return clickStats(env, url);
+  }
+
+  if (path === "/tokens") {
+    if (method !== "POST") {
+      return respondJson({ error: "Method Not Allowed" }, 405, securityHeaders({ "Allow": "POST" }));
+    }
+    return mintToken(env, body);
+  }
+
+  if (!env.LINKS) return respondJson({ error: "LINKS KV namespace is not bound" }, 503, securityHeaders());
+
+  if (path === "/links") {
+    if (method !== "GET" && method !== "HEAD") {
+      return respondJson({ error: "Method Not Allowed" }, 405, securityHeaders({ "Allow": "GET, HEAD" }));
+    }
+    return listLinks(env, url);
+  }
+
+  if (path.startsWith("/links/")) {
+    let name;
+    try {
+      name = decodeURIComponent(path.slice("/links/".length));
+    } catch {
+      return respondJson({ error: "Invalid link name" }, 400, securityHeaders());
+    }
+    return handleLink(request, env, name, body);
+  }
+
+  return respondJson({ error: "Not found" }, 404, securityHeaders());
+}
@@ -0,0 +1,149 @@
+// Click analytics: every resolved link request is recorded as an event
+// { link, outcome, country, referrerHost, userAgentClass, timestamp }
+//
+// Events are written to a sink: { record(event), aggregate?({ since }) }
+// - ANALYTICS (Analytics Engine dataset binding), aggregated through the SQL API
+// - ANALYTICS_QUEUE (Queue binding), for processing by a separate consumer
+// Recording never delays or fails the response; it runs through ctx.waitUntil
+
+// Analytics Engine keeps data for 3 months
+export const DEFAULT_ANALYTICS_DAYS = 7;
+export const MAX_ANALYTICS_DAYS = 90;
+
+const ANALYTICS_SQL_API = "https://api.cloudflare.com/client/v4/accounts";
+const DATASET_PATTERN = /^[a-z0-9_]+$/i;
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|curl|wget|python|httpclient|headless|monitor/i;
+const MOBILE_PATTERN = /mobi|android|iphone|ipad|ipod/i;
+
+// Outcomes worth recording, by response status
+export function outcomeForStatus(status) {
+  if (status >= 300 && status < 400) return "redirect";
+  if (status === 401) return "unauthorized";
+  if (status === 403) return "forbidden";
+  if (status === 404) return "not_found";
+  if (status === 410) return "expired";
+  if (status === 429) return "rate_limited";
+  return null;
+}
+
+// Coarse user-agent class; the user-agent itself is never recorded
+export function userAgentClass(userAgent) {
+  if (!userAgent) return "none";
+  if (BOT_PATTERN.test(userAgent)) return "bot";
+  if (MOBILE_PATTERN.test(userAgent)) return "mobile";
+  return "desktop";
+}
+
+// Host of the Referer header, or "" if missing or invalid
+export function referrerHost(referer) {
+  if (!referer) return "";
+  try {
+    return new URL(referer).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+// Builds the event for a link request, or null if the outcome is not recorded
+export function buildClickEvent(request, link, status) {
+  const outcome = outcomeForStatus(status);
+  if (!outcome) return null;
+  return {
+    link,
+    outcome,
+    country: request.cf?.country ?? "",
+    referrerHost: referrerHost(request.headers.get("Referer")),
+    userAgentClass: userAgentClass(request.headers.get("User-Agent")),
+    timestamp: Date.now(),
+  };
+}
+
+// Writes events as Analytics Engine data points: blob1..blob5 and one count per event
+export function createAnalyticsEngineSink(dataset, { datasetName, accountId, apiToken } = {}) {
+  const sink = {
+    record(event) {
+      dataset.writeDataPoint({
+        indexes: [event.link],
+        blobs: [event.link, event.outcome, event.country, event.referrerHost, event.userAgentClass],
+        doubles: [1],
+      });
+    },
+  };
+  // Aggregation needs the SQL API, which is only reachable with an account ID and API token
+  if (datasetName && accountId && apiToken && DATASET_PATTERN.test(datasetName)) {
+    sink.aggregate = async ({ since }) => {
+      const days = Math.max(1, Math.ceil((Date.now() - since) / (24 * 60 * 60 * 1000)));
+      const query = `SELECT blob1 AS link, blob2 AS outcome, SUM(_sample_interval) AS count FROM ${datasetName} ` +
+        `WHERE timestamp > NOW() - INTERVAL '${days}' DAY GROUP BY link, outcome FORMAT JSON`;
+      const response = await fetch(`${ANALYTICS_SQL_API}/${encodeURIComponent(accountId)}/analytics_engine/sql`, {
+        method: "POST",
+        headers: { "Authorization": `Bearer ${apiToken}` },
+        body: query,
+      });
+      if (!response.ok) throw new Error(`Analytics Engine SQL API returned ${response.status}`);
+      const { data = [] } = await response.json();
+      return data.map(row => ({ link: row.link, outcome: row.outcome, count: Number(row.count) }));
+    };
+  }
+  return sink;
+}
+
+// Sends events to a Queue; counts are aggregated by the consumer, not here
+export function createQueueSink(queue) {
+  return {
+    record(event) {
+      return queue.send(event);
+    },
+  };
+}
+
+// Sink set with setAnalyticsSink, e.g. an in-memory recorder in tests
+let sinkOverride = null;
+
+export function setAnalyticsSink(sink) {
+  sinkOverride = sink;
+}
+
+// Resolves the sink from the bindings: ANALYTICS takes precedence over ANALYTICS_QUEUE
+export function getAnalyticsSink(env) {
+  if (sinkOverride) return sinkOverride;
+  if (env.ANALYTICS) {
+    return createAnalyticsEngineSink(env.ANALYTICS, {
+      datasetName: env.ANALYTICS_DATASET,
+      accountId: env.ANALYTICS_ACCOUNT_ID,
+      apiToken: env.ANALYTICS_API_TOKEN,
+    });
+  }
+  if (env.ANALYTICS_QUEUE) return createQueueSink(env.ANALYTICS_QUEUE);
+  return null;
+}
+
+// Records a link request in the background; failures are logged and never reach the client
+export function recordClick(ctx, env, request, link, status) {
+  const sink = getAnalyticsSink(env);
+  if (!sink) return;
+  const event = buildClickEvent(request, link, status);
+  if (!event) return;
+
+  const pending = (async () => {
+    try {
+      await sink.record(event);
+    } catch (error) {
+      console.warn(`Recording analytics event failed: ${error.message}`);
+    }
+  })();
+  ctx?.waitUntil?.(pending);
+}
+
+// Groups { link, outcome, count } rows into per-link totals, most used first
+export function summarizeClicks(rows) {
+  const byLink = new Map();
+  for (const { link, outcome, count } of rows) {
+    const entry = byLink.get(link) ?? { link, total: 0, outcomes: {} };
+    entry.total += count;
+    entry.outcomes[outcome] = (entry.outcomes[outcome] ?? 0) + count;
+    byLink.set(link, entry);
+  }
+  return [...byLink.values()].sort((a, b) => (b.total - a.total) || a.link.localeCompare(b.link));
+}
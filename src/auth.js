@@ -1,43 +1,84 @@
 import { base64Decode } from './base64.js';
+import { isPasswordHash, parsePasswordHash } from './password.js';
+import { pbkdf2Sha256Hex } from './crypto.js';
+import { splitTotpCode, checkTotp } from './totp.js';
 
 export function isNonEmpty(value) {
   return typeof value === "string" && value.trim().length > 0;
 }
 
-// Checks Basic Auth header against expected credentials (single or array)
-export function checkBasicAuth(authorizationHeader, expectedOrUser, maybePass) {
-  if (!authorizationHeader || !authorizationHeader.startsWith("Basic ")) return false;
+// Decodes a Basic Auth header into { user, pass }, or returns null if it is missing or malformed
+// The user is what authenticateCredential matches against, e.g. for counting attempts per username
+export function decodeBasicAuth(authorizationHeader) {
+  if (!authorizationHeader || !authorizationHeader.startsWith("Basic ")) return null;
 
   // Extract and decode credentials from header
   const b64 = authorizationHeader.slice(6).trim();
   let decoded;
-  try { decoded = base64Decode(b64); } catch { return false; }
+  try { decoded = base64Decode(b64); } catch { return null; }
 
   // Credentials must be in "user:pass" format
   const idx = decoded.indexOf(":");
-  if (idx === -1) return false;
-  const providedUser = decoded.slice(0, idx);
-  const providedPass = decoded.slice(idx + 1);
-
-  // Support legacy signature: (header, user, pass)
-  if (typeof expectedOrUser === "string" && typeof maybePass === "string") {
-    return constantTimeEqual(providedUser, expectedOrUser) &&
-           constantTimeEqual(providedPass, maybePass);
-  }
+  if (idx === -1) return null;
+  return { user: decoded.slice(0, idx), pass: decoded.slice(idx + 1) };
+}
+
+// Normalizes expected credentials ({user,pass} or [{user,pass}, ...]) to a list
+export function credentialList(expected) {
+  if (Array.isArray(expected)) return expected;
+  if (expected && typeof expected === "object") return [expected];
+  return [];
+}
 
-  // expected can be {user,pass} or [{user,pass}, ...]
-  const expected = expectedOrUser;
-  if (Array.isArray(expected)) {
-    return expected.some(
-      ({ user, pass }) =>
-        constantTimeEqual(providedUser, user) &&
-        constantTimeEqual(providedPass, pass)
-    );
-  } else if (expected && typeof expected === "object") {
-    return constantTimeEqual(providedUser, expected.user) &&
-           constantTimeEqual(providedPass, expected.pass);
+// Returns { credential, replayed }: the expected credential matching a user and password, or null,
+// and whether the password was right but its one-time code had already been used
+// Users with a "totp" secret append the current one-time code to their password (see totp.js)
+// Checks every entry, and hashes the password once even for unknown users,
+// so response times do not reveal which users exist
+// Options: limiter that records accepted one-time codes (see checkTotp)
+export async function authenticateCredential(providedUser, providedPass, expected, { limiter } = {}) {
+  const credentials = credentialList(expected);
+  let matched = null;
+  let replayed = false;
+  let userFound = false;
+  for (const credential of credentials) {
+    if (!constantTimeEqual(providedUser, credential.user)) continue;
+    userFound = true;
+    const result = await checkCredential(providedPass, credential, limiter);
+    if (result.valid && !matched) matched = credential;
+    if (result.replayed) replayed = true;
   }
-  return false;
+  if (!userFound) await verifyDummyPassword(providedPass, credentials);
+  return { credential: matched, replayed: !matched && replayed };
+}
+
+// Checks a provided password (with its one-time code for TOTP users) against a credential
+// The password is verified even without a well-formed code, so both cases take as long
+async function checkCredential(providedPass, credential, limiter) {
+  if (credential.totp === undefined) return { valid: await verifyPassword(providedPass, credential.pass), replayed: false };
+  const split = splitTotpCode(providedPass);
+  const passwordMatches = await verifyPassword(split ? split.pass : providedPass, credential.pass);
+  if (!passwordMatches || split === null) return { valid: false, replayed: false };
+  return checkTotp(credential.totp, split.code, { limiter });
+}
+
+// Verifies against a stored password and discards the result, preferring a hash
+// so an unknown user costs the same PBKDF2 iterations as a known one
+async function verifyDummyPassword(providedPass, credentials) {
+  const stored = credentials.find(credential => isPasswordHash(credential.pass))?.pass ?? credentials[0]?.pass;
+  await verifyPassword(providedPass, stored);
+}
+
+// Checks a provided password against a stored plaintext password or hash in constant time
+// Malformed hashes never match, rather than being compared as plaintext
+export async function verifyPassword(provided, stored) {
+  if (typeof provided !== "string" || typeof stored !== "string") return false;
+  if (!isPasswordHash(stored)) return constantTimeEqual(provided, stored);
+
+  const parsed = parsePasswordHash(stored);
+  if (!parsed) return false;
+  const derived = await pbkdf2Sha256Hex(provided, parsed.salt, parsed.iterations, parsed.hash.length / 2);
+  return constantTimeEqual(derived, parsed.hash);
 }
 
 // Constant time string comparison
@@ -7,3 +7,16 @@ export function base64Decode(b64String) {
 export function base64Encode(textString) {
   return Buffer.from(textString, 'utf8').toString('base64');
 }
+
+// URL-safe base64 without padding, for values carried in URLs
+export function base64UrlEncode(textString) {
+  return base64Encode(textString).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(b64UrlString) {
+  return base64Decode(b64UrlString.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+export function base64UrlDecodeBytes(b64UrlString) {
+  return new Uint8Array(Buffer.from(b64UrlString.replace(/-/g, '+').replace(/_/g, '/'), 'base64'));
+}
@@ -0,0 +1,498 @@
+import { validateAndNormalizeSuffix } from "./host.js";
+import { parseRedirectStatus } from "./status.js";
+import { compilePattern } from "./patterns.js";
+import { validateShortLinkPrefix, isShortLinkName, SHORT_LINK_KV_PREFIX } from "./shortlinks.js";
+import { isPasswordHash, parsePasswordHash } from "./password.js";
+import { parseJwtSettings, parseJwtLinkRules } from "./jwt.js";
+import { compileIpList } from "./ip.js";
+import { parseGeoRules } from "./geo.js";
+import { parseRateLimitPolicy } from "./ratelimit-policy.js";
+import { parseThrottleSettings } from "./throttle.js";
+import { isTotpSecret, MIN_TOTP_SECRET_LENGTH } from "./totp.js";
+import { parseTimestamp } from "./schedule.js";
+import { isPlainObject } from "./utils.js";
+
+// Raised when configuration is invalid; lists every problem found, not just the first
+export class ConfigError extends Error {
+  constructor(errors, source = "REDIRECT_CONFIG") {
+    super(`Invalid ${source}:\n${errors.map(error => `  - ${error}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+// Top-level and per-link properties accepted by REDIRECT_CONFIG
+const CONFIG_KEYS = new Set(["hosts", "defaultStatus", "links", "suffixLinks", "patterns", "shortLinks", "auth", "ip", "rateLimit", "throttle"]);
+const SHORT_LINKS_KEYS = new Set(["prefixes", "links"]);
+const LINK_KEYS = new Set([
+  "target", "status", "protected", "users", "credentials", "groups", "authMode", "jwt", "ip", "geo",
+  "notBefore", "notAfter", "comingSoonTarget", "expiredTarget", "rateLimit",
+]);
+const PATTERN_RULE_KEYS = new Set([...LINK_KEYS, "match", "priority"]);
+const AUTH_KEYS = new Set(["fallback", "jwt", "groups"]);
+const IP_RULE_KEYS = new Set(["allow", "deny", "bypassAuth"]);
+
+// How protected links authenticate: Basic Auth or a JWT (see jwt.js)
+export const AUTH_MODES = ["basic", "jwt"];
+
+// Link names are subdomains (empty for the bare suffix)
+const LINK_NAME_PATTERN = /^[a-z0-9.-]*$/;
+const CREDENTIALS_NAME_PATTERN = /^[a-z0-9._-]+$/i;
+const GROUP_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+function checkUnknownKeys(value, allowed, path, errors) {
+  for (const key of Object.keys(value)) {
+    if (!allowed.has(key)) errors.push(`${path}.${key}: unknown property`);
+  }
+}
+
+function isCredential(value) {
+  return isPlainObject(value) &&
+    typeof value.user === "string" && value.user.trim().length > 0 &&
+    typeof value.pass === "string" && value.pass.trim().length > 0;
+}
+
+// A pass that looks like a hash but does not parse would never match, so report it
+function checkPasswordHash(credential, path, errors) {
+  if (isPasswordHash(credential.pass) && !parsePasswordHash(credential.pass)) {
+    errors.push(`${path}.pass: malformed password hash, expected pbkdf2$<iterations>$<salt hex>$<hash hex>`);
+  }
+}
+
+function parseIpList(value, path, errors) {
+  if (!Array.isArray(value) || !value.every(entry => typeof entry === "string")) {
+    errors.push(`${path}: must be an array of IP addresses or CIDR ranges`);
+    return undefined;
+  }
+  const listErrors = [];
+  compileIpList(value, listErrors);
+  listErrors.forEach(error => errors.push(`${path}: ${error}`));
+  return value.map(entry => entry.trim());
+}
+
+// Parses IP rules: { allow?: [ranges], deny?: [ranges], bypassAuth?: boolean }
+// Ranges are kept as strings so records stay JSON-serializable; see ip.js
+function parseIpRules(value, path, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: must be an object`);
+    return undefined;
+  }
+  checkUnknownKeys(value, IP_RULE_KEYS, path, errors);
+  const rules = {};
+  if (value.allow !== undefined) rules.allow = parseIpList(value.allow, `${path}.allow`, errors);
+  if (value.deny !== undefined) rules.deny = parseIpList(value.deny, `${path}.deny`, errors);
+  if (value.bypassAuth !== undefined) {
+    if (typeof value.bypassAuth !== "boolean") errors.push(`${path}.bypassAuth: must be a boolean`);
+    rules.bypassAuth = value.bypassAuth;
+  }
+  return rules;
+}
+
+function parseHosts(value, errors) {
+  if (!Array.isArray(value)) {
+    errors.push("hosts: must be an array of host suffixes");
+    return undefined;
+  }
+  const hosts = [];
+  value.forEach((suffix, index) => {
+    try {
+      hosts.push(validateAndNormalizeSuffix(suffix));
+    } catch (error) {
+      errors.push(`hosts[${index}]: ${error.message}`);
+    }
+  });
+  return hosts;
+}
+
+function parseStatus(value, path, errors) {
+  try {
+    return parseRedirectStatus(value);
+  } catch (error) {
+    errors.push(`${path}: ${error.message}`);
+    return undefined;
+  }
+}
+
+// Returns true if a value parses as an absolute http(s) URL, as Response.redirect needs
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function parseTarget(value, path, errors) {
+  if (typeof value !== "string" || !isHttpUrl(value.trim())) {
+    errors.push(`${path}: must be an absolute http(s) URL`);
+    return undefined;
+  }
+  return value.trim();
+}
+
+// Returns true if a credential group name is valid (letters, digits, hyphens and underscores)
+export function isGroupName(name) {
+  return typeof name === "string" && GROUP_NAME_PATTERN.test(name);
+}
+
+// Parses a list of credential group names, as referenced by links
+function parseGroupNames(value, path, errors) {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${path}: must be a non-empty array of group names`);
+    return undefined;
+  }
+  value.forEach((name, index) => {
+    if (!isGroupName(name)) errors.push(`${path}[${index}]: group names may only contain letters, digits, hyphens and underscores`);
+  });
+  return value.map(name => typeof name === "string" ? name.toLowerCase() : name);
+}
+
+export function parseUsers(value, path, errors) {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${path}: must be a non-empty array of {user, pass} objects`);
+    return undefined;
+  }
+  return value.map((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (!isCredential(entry)) {
+      errors.push(`${entryPath}: must have non-empty string user and pass`);
+      return undefined;
+    }
+    checkPasswordHash(entry, entryPath, errors);
+    return { user: entry.user, pass: entry.pass, ...parseUserOptions(entry, entryPath, errors) };
+  });
+}
+
+// Lists the USERS_* variables present in env, for configuration change detection
+export function usersConfigKeys(env) {
+  return Object.keys(env).filter(key => key.startsWith("USERS_") && env[key] !== undefined).sort();
+}
+
+// Parses a USERS_<NAME> variable with the same rules as a link's users, collecting problems in errors
+export function parseUsersVariable(key, text, errors) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    errors.push(`${key}: not valid JSON: ${error.message}`);
+    return undefined;
+  }
+  return parseUsers(value, key, errors);
+}
+
+// Optional per-user settings:
+// - target, status: send that user somewhere else than the link's target
+// - totp: base32 secret of a second factor (see totp.js)
+export function parseUserOptions(entry, path, errors) {
+  const options = {};
+  if (entry.target !== undefined) {
+    const target = parseTarget(entry.target, `${path}.target`, errors);
+    if (target) options.target = target;
+  }
+  if (entry.status !== undefined) options.status = parseStatus(entry.status, `${path}.status`, errors);
+  if (entry.totp !== undefined) {
+    if (!isTotpSecret(entry.totp)) errors.push(`${path}.totp: must be a base32 secret of at least ${MIN_TOTP_SECRET_LENGTH} characters`);
+    options.totp = entry.totp;
+  }
+  return options;
+}
+
+function parseLink(name, value, errors, path = `links.${name || '""'}`) {
+  if (!LINK_NAME_PATTERN.test(name)) errors.push(`${path}: link names must be lowercase subdomains`);
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: must be an object`);
+    return null;
+  }
+  checkUnknownKeys(value, LINK_KEYS, path, errors);
+  return parseLinkFields(value, path, errors);
+}
+
+// Activation window timestamps are stored as ISO 8601 strings in UTC
+function parseScheduleTime(value, path, errors) {
+  const ms = parseTimestamp(value);
+  if (ms === null) {
+    errors.push(`${path}: must be an ISO 8601 timestamp with time zone or Unix seconds`);
+    return undefined;
+  }
+  return new Date(ms).toISOString();
+}
+
+function parseSchedule(value, link, path, errors) {
+  if (value.notBefore !== undefined) link.notBefore = parseScheduleTime(value.notBefore, `${path}.notBefore`, errors);
+  if (value.notAfter !== undefined) link.notAfter = parseScheduleTime(value.notAfter, `${path}.notAfter`, errors);
+  if (link.notBefore && link.notAfter && link.notBefore >= link.notAfter) {
+    errors.push(`${path}.notAfter: must be later than notBefore`);
+  }
+  if (value.comingSoonTarget !== undefined) link.comingSoonTarget = parseTarget(value.comingSoonTarget, `${path}.comingSoonTarget`, errors);
+  if (value.expiredTarget !== undefined) link.expiredTarget = parseTarget(value.expiredTarget, `${path}.expiredTarget`, errors);
+}
+
+function parseLinkFields(value, path, errors) {
+  const link = {};
+  const target = parseTarget(value.target, `${path}.target`, errors);
+  if (target) link.target = target;
+  if (value.status !== undefined) link.status = parseStatus(value.status, `${path}.status`, errors);
+  if (value.protected !== undefined) {
+    if (typeof value.protected !== "boolean") errors.push(`${path}.protected: must be a boolean`);
+    link.protected = value.protected;
+  }
+  if (value.users !== undefined) link.users = parseUsers(value.users, `${path}.users`, errors);
+  if (value.credentials !== undefined) {
+    if (typeof value.credentials !== "string" || !CREDENTIALS_NAME_PATTERN.test(value.credentials)) {
+      errors.push(`${path}.credentials: must reference a subdomain-style name`);
+    }
+    link.credentials = value.credentials;
+  }
+  if (value.groups !== undefined) link.groups = parseGroupNames(value.groups, `${path}.groups`, errors);
+  if (value.ip !== undefined) link.ip = parseIpRules(value.ip, `${path}.ip`, errors);
+  if (value.geo !== undefined) link.geo = parseGeoRules(value.geo, `${path}.geo`, errors);
+  if (value.rateLimit !== undefined) link.rateLimit = parseRateLimitPolicy(value.rateLimit, `${path}.rateLimit`, errors);
+  parseSchedule(value, link, path, errors);
+  if (value.authMode !== undefined) {
+    if (!AUTH_MODES.includes(value.authMode)) errors.push(`${path}.authMode: must be one of ${AUTH_MODES.join(", ")}`);
+    link.authMode = value.authMode;
+  }
+  if (value.jwt !== undefined) link.jwt = parseJwtLinkRules(value.jwt, errors, `${path}.jwt`);
+  return link;
+}
+
+// Validates a single link record, as stored in KV or written through the admin API
+// Returns { link, errors }; link is null if there are errors
+export function validateLinkRecord(value, path = "link") {
+  if (!isPlainObject(value)) return { link: null, errors: [`${path}: must be an object`] };
+  const errors = [];
+  checkUnknownKeys(value, LINK_KEYS, path, errors);
+  const link = parseLinkFields(value, path, errors);
+  return { link: errors.length > 0 ? null : link, errors };
+}
+
+// Validates a link store key: "<subdomain>", "<subdomain>@<suffix>" or "short:<name>"
+// Returns an error message, or null if the name is valid
+export function validateLinkName(name) {
+  if (typeof name !== "string") return "Link name must be a string";
+
+  if (name.startsWith(SHORT_LINK_KV_PREFIX)) {
+    const shortName = name.slice(SHORT_LINK_KV_PREFIX.length);
+    return isShortLinkName(shortName) && shortName === shortName.toLowerCase()
+      ? null
+      : "Short link names may only contain lowercase letters, digits, hyphens and underscores";
+  }
+
+  const separator = name.indexOf("@");
+  const subdomain = separator === -1 ? name : name.slice(0, separator);
+  if (!LINK_NAME_PATTERN.test(subdomain)) return "Link names must be lowercase subdomains";
+  if (separator === -1) return null;
+
+  const suffix = name.slice(separator + 1);
+  try {
+    if (validateAndNormalizeSuffix(suffix) !== `.${suffix}`) {
+      return "Suffix-specific link names must use the normalized suffix without a leading dot";
+    }
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+// Parses { "<suffix>": { "<subdomain>": link } } into suffix-scoped links ("<subdomain>@<suffix>")
+function parseSuffixLinks(value, links, errors) {
+  if (!isPlainObject(value)) {
+    errors.push("suffixLinks: must be an object keyed by host suffix");
+    return;
+  }
+  for (const [suffix, suffixLinks] of Object.entries(value)) {
+    const suffixPath = `suffixLinks.${suffix}`;
+    let normalized = null;
+    try {
+      normalized = validateAndNormalizeSuffix(suffix);
+      if (!normalized.startsWith(".")) throw new Error("IPv6 suffixes cannot have suffix-specific links");
+    } catch (error) {
+      errors.push(`${suffixPath}: ${error.message}`);
+      normalized = null;
+    }
+    if (!isPlainObject(suffixLinks)) {
+      errors.push(`${suffixPath}: must be an object keyed by subdomain`);
+      continue;
+    }
+    for (const [name, linkValue] of Object.entries(suffixLinks)) {
+      const link = parseLink(name, linkValue, errors, `${suffixPath}.${name || '""'}`);
+      if (link && normalized) links.set(`${name}@${normalized.slice(1)}`, link);
+    }
+  }
+}
+
+function parsePatternRule(value, path, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: must be an object`);
+    return null;
+  }
+  checkUnknownKeys(value, PATTERN_RULE_KEYS, path, errors);
+
+  let compiled = null;
+  try {
+    compiled = compilePattern(value.match);
+  } catch (error) {
+    errors.push(`${path}.match: ${error.message}`);
+  }
+  const priority = value.priority ?? 0;
+  if (!Number.isInteger(priority)) errors.push(`${path}.priority: must be an integer`);
+
+  const link = parseLinkFields(value, path, errors);
+  return compiled && { match: value.match, ...compiled, priority, link };
+}
+
+// Parses an array of pattern rules: [{ match, target, priority?, ...link properties }]
+export function parsePatternRules(value, path, errors) {
+  if (!Array.isArray(value)) {
+    errors.push(`${path}: must be an array of pattern rules`);
+    return [];
+  }
+  return value
+    .map((rule, index) => parsePatternRule(rule, `${path}[${index}]`, errors))
+    .filter(Boolean);
+}
+
+// Parses the LINK_PATTERNS JSON variable or throws a ConfigError
+export function parseLinkPatterns(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`not valid JSON: ${error.message}`], "LINK_PATTERNS");
+  }
+  const errors = [];
+  const rules = parsePatternRules(document, "patterns", errors);
+  if (errors.length > 0) throw new ConfigError(errors, "LINK_PATTERNS");
+  return rules;
+}
+
+function parseShortLinks(value, errors) {
+  const shortLinks = { links: new Map() };
+  if (!isPlainObject(value)) {
+    errors.push("shortLinks: must be an object");
+    return shortLinks;
+  }
+  checkUnknownKeys(value, SHORT_LINKS_KEYS, "shortLinks", errors);
+
+  if (value.prefixes !== undefined) {
+    if (!Array.isArray(value.prefixes)) {
+      errors.push("shortLinks.prefixes: must be an array of path prefixes");
+    } else {
+      shortLinks.prefixes = [];
+      value.prefixes.forEach((prefix, index) => {
+        try {
+          shortLinks.prefixes.push(validateShortLinkPrefix(prefix));
+        } catch (error) {
+          errors.push(`shortLinks.prefixes[${index}]: ${error.message}`);
+        }
+      });
+    }
+  }
+
+  if (value.links !== undefined) {
+    if (!isPlainObject(value.links)) {
+      errors.push("shortLinks.links: must be an object keyed by short link name");
+      return shortLinks;
+    }
+    for (const [name, link] of Object.entries(value.links)) {
+      const path = `shortLinks.links.${name}`;
+      if (!isShortLinkName(name) || name !== name.toLowerCase()) {
+        errors.push(`${path}: short link names may only contain lowercase letters, digits, hyphens and underscores`);
+      }
+      if (!isPlainObject(link)) {
+        errors.push(`${path}: must be an object`);
+        continue;
+      }
+      checkUnknownKeys(link, LINK_KEYS, path, errors);
+      shortLinks.links.set(name, parseLinkFields(link, path, errors));
+    }
+  }
+  return shortLinks;
+}
+
+// Parses auth.groups: { "<name>": [users] }, keyed by lowercase group name
+function parseGroups(value, errors) {
+  const groups = new Map();
+  if (!isPlainObject(value)) {
+    errors.push("auth.groups: must be an object keyed by group name");
+    return groups;
+  }
+  for (const [name, users] of Object.entries(value)) {
+    const path = `auth.groups.${name}`;
+    if (!isGroupName(name)) errors.push(`${path}: group names may only contain letters, digits, hyphens and underscores`);
+    groups.set(name.toLowerCase(), parseUsers(users, path, errors));
+  }
+  return groups;
+}
+
+function parseAuth(value, errors) {
+  if (!isPlainObject(value)) {
+    errors.push("auth: must be an object");
+    return {};
+  }
+  checkUnknownKeys(value, AUTH_KEYS, "auth", errors);
+
+  const auth = {};
+  if (value.jwt !== undefined) auth.jwt = parseJwtSettings(value.jwt, errors, "auth.jwt");
+  if (value.groups !== undefined) auth.groups = parseGroups(value.groups, errors);
+  if (value.fallback === undefined) return auth;
+  if (!isCredential(value.fallback)) {
+    errors.push("auth.fallback: must have non-empty string user and pass");
+    return auth;
+  }
+  checkPasswordHash(value.fallback, "auth.fallback", errors);
+  auth.fallback = { user: value.fallback.user, pass: value.fallback.pass };
+  return auth;
+}
+
+// Parses and validates the REDIRECT_CONFIG JSON document
+// Returns { hosts?, defaultStatus?, links: Map, patterns: [], shortLinks: { prefixes?, links: Map }, fallbackCredentials?, groups?: Map, jwt?, ip?, rateLimit?, throttle? }
+// or throws a ConfigError. Suffix-specific links are merged into links as "<subdomain>@<suffix>"
+export function parseRedirectConfig(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`not valid JSON: ${error.message}`]);
+  }
+  if (!isPlainObject(document)) throw new ConfigError(["must be a JSON object"]);
+
+  const errors = [];
+  checkUnknownKeys(document, CONFIG_KEYS, "config", errors);
+
+  const config = { links: new Map(), patterns: [], shortLinks: { links: new Map() } };
+  if (document.hosts !== undefined) config.hosts = parseHosts(document.hosts, errors);
+  if (document.defaultStatus !== undefined) config.defaultStatus = parseStatus(document.defaultStatus, "defaultStatus", errors);
+
+  if (document.links !== undefined) {
+    if (!isPlainObject(document.links)) {
+      errors.push("links: must be an object keyed by subdomain");
+    } else {
+      for (const [name, value] of Object.entries(document.links)) {
+        const link = parseLink(name, value, errors);
+        if (link) config.links.set(name, link);
+      }
+    }
+  }
+
+  if (document.suffixLinks !== undefined) parseSuffixLinks(document.suffixLinks, config.links, errors);
+
+  if (document.patterns !== undefined) config.patterns = parsePatternRules(document.patterns, "patterns", errors);
+
+  if (document.shortLinks !== undefined) config.shortLinks = parseShortLinks(document.shortLinks, errors);
+
+  if (document.auth !== undefined) {
+    const { fallback, jwt, groups } = parseAuth(document.auth, errors);
+    if (fallback) config.fallbackCredentials = fallback;
+    if (jwt) config.jwt = jwt;
+    if (groups) config.groups = groups;
+  }
+
+  if (document.ip !== undefined) config.ip = parseIpRules(document.ip, "ip", errors);
+  if (document.rateLimit !== undefined) config.rateLimit = parseRateLimitPolicy(document.rateLimit, "rateLimit", errors, { global: true });
+  if (document.throttle !== undefined) config.throttle = parseThrottleSettings(document.throttle, "throttle", errors);
+
+  if (errors.length > 0) throw new ConfigError(errors);
+  return config;
+}
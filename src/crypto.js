@@ -0,0 +1,40 @@
+const encoder = new TextEncoder();
+
+// Encodes bytes as lowercase hex
+export function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// SHA-256 of a string, as lowercase hex (WebCrypto)
+export async function sha256Hex(text) {
+  return toHex(await crypto.subtle.digest("SHA-256", encoder.encode(text)));
+}
+
+// HMAC-SHA256 of a message with a string secret, as lowercase hex (WebCrypto)
+export async function hmacSha256Hex(secret, message) {
+  const key = await crypto.subtle.importKey(
+    "raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  return toHex(await crypto.subtle.sign("HMAC", key, encoder.encode(message)));
+}
+
+// Decodes lowercase or uppercase hex into bytes, or returns null if the text is not hex
+export function fromHex(text) {
+  if (typeof text !== "string" || text.length % 2 !== 0 || !/^[0-9a-f]*$/i.test(text)) return null;
+  const bytes = new Uint8Array(text.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(text.slice(i * 2, i * 2 + 2), 16);
+  return bytes;
+}
+
+// PBKDF2-SHA256 of a password, as lowercase hex (WebCrypto)
+export async function pbkdf2Sha256Hex(password, salt, iterations, lengthBytes = 32) {
+  const key = await crypto.subtle.importKey("raw", encoder.encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, lengthBytes * 8);
+  return toHex(bits);
+}
+
+// HMAC-SHA1 of a message with a raw key, as bytes (WebCrypto); used for TOTP codes
+export async function hmacSha1(keyBytes, messageBytes) {
+  const key = await crypto.subtle.importKey("raw", keyBytes, { name: "HMAC", hash: "SHA-1" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, messageBytes));
+}
@@ -0,0 +1,38 @@
+import { PATTERN_LINK_PREFIX } from "./patterns.js";
+
+// Converts a link name to its environment variable suffix
+// Subdomains: dots are replaced with underscores, e.g. foo.bar -> FOO_BAR
+// Suffix-scoped names ("<subdomain>@<suffix>") are keyed by suffix first,
+// e.g. foo@example.org -> EXAMPLE_ORG__FOO
+export function envKeyFor(name) {
+  const separator = name.indexOf("@");
+  if (separator === -1) return name.toUpperCase().replace(/\./g, "_");
+
+  const subdomainKey = name.slice(0, separator).toUpperCase().replace(/\./g, "_");
+  const suffixKey = name.slice(separator + 1).toUpperCase().replace(/[.-]/g, "_");
+  return `${suffixKey}__${subdomainKey}`;
+}
+
+// Environment variable suffixes a link's settings are looked up under, most specific first
+// Suffix-scoped names fall back to their subdomain: foo@example.org -> EXAMPLE_ORG__FOO, FOO
+// Links matched by a pattern rule have none, so variables of the matched subdomain do not apply
+export function envKeysFor(name) {
+  if (name.startsWith(PATTERN_LINK_PREFIX)) return [];
+  const separator = name.indexOf("@");
+  return separator === -1 ? [envKeyFor(name)] : [envKeyFor(name), envKeyFor(name.slice(0, separator))];
+}
+
+// Looks up a link's setting in a map keyed by environment variable suffix
+export function lookupByEnvKey(map, name) {
+  for (const key of envKeysFor(name)) {
+    if (map.has(key)) return map.get(key);
+  }
+  return undefined;
+}
+
+// Builds the suffix-scoped name for a subdomain: ("foo", ".example.org") -> "foo@example.org"
+// Returns null for suffixes that cannot be scoped (none configured, or IPv6 literals)
+export function scopedName(subdomain, suffix) {
+  if (!suffix || !suffix.startsWith(".")) return null;
+  return `${subdomain}@${suffix.slice(1)}`;
+}
@@ -0,0 +1,137 @@
+import { lookupByEnvKey } from "./env-keys.js";
+import { isPlainObject } from "./utils.js";
+
+// Geo and network rules on the request.cf metadata Cloudflare attaches to each request
+// { allowCountries?, denyCountries?, allowContinents?, denyContinents?, allowAsns?, denyAsns?, knownBots?, status? }
+// Set per link as "geo" in REDIRECT_CONFIG or KV records, or as GEO_<LINK> JSON variables
+//
+// Deny lists reject matching requests; an allow list rejects everything it does not name
+// Requests without metadata (e.g. local development) never match a list
+// knownBots: "deny" rejects verified bots, "allow" admits them regardless of the other rules
+
+const GEO_PREFIX = "GEO_";
+const GEO_RULE_KEYS = new Set(["allowCountries", "denyCountries", "allowContinents", "denyContinents", "allowAsns", "denyAsns", "knownBots", "status"]);
+
+// Cloudflare also reports "XX" (unknown) and "T1" (Tor) as countries
+const COUNTRY_PATTERN = /^[A-Z][A-Z0-9]$/;
+export const CONTINENTS = ["AF", "AN", "AS", "EU", "NA", "OC", "SA"];
+export const KNOWN_BOTS_MODES = ["allow", "deny"];
+export const GEO_DENY_STATUSES = [403, 404];
+
+function parseCodeList(value, path, errors, isValid, description) {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${path}: must be a non-empty array of ${description}`);
+    return undefined;
+  }
+  const codes = value.map(code => typeof code === "string" ? code.trim().toUpperCase() : code);
+  codes.filter(code => typeof code !== "string" || !isValid(code))
+    .forEach(code => errors.push(`${path}: ${JSON.stringify(code)} is not a valid ${description.replace(/s$/, "")}`));
+  return codes;
+}
+
+// ASNs are given as numbers or "AS13335"
+function parseAsnList(value, path, errors) {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${path}: must be a non-empty array of AS numbers`);
+    return undefined;
+  }
+  return value.map(entry => {
+    const asn = typeof entry === "string" ? Number(entry.trim().replace(/^AS/i, "")) : entry;
+    if (!Number.isInteger(asn) || asn <= 0 || asn > 0xffffffff) {
+      errors.push(`${path}: ${JSON.stringify(entry)} is not a valid AS number`);
+    }
+    return asn;
+  });
+}
+
+// Validates geo rules, collecting problems in errors
+export function parseGeoRules(value, path, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: must be an object`);
+    return undefined;
+  }
+  for (const key of Object.keys(value)) {
+    if (!GEO_RULE_KEYS.has(key)) errors.push(`${path}.${key}: unknown property`);
+  }
+
+  const rules = {};
+  for (const key of ["allowCountries", "denyCountries"]) {
+    if (value[key] !== undefined) rules[key] = parseCodeList(value[key], `${path}.${key}`, errors, code => COUNTRY_PATTERN.test(code), "country codes");
+  }
+  for (const key of ["allowContinents", "denyContinents"]) {
+    if (value[key] !== undefined) rules[key] = parseCodeList(value[key], `${path}.${key}`, errors, code => CONTINENTS.includes(code), "continent codes");
+  }
+  for (const key of ["allowAsns", "denyAsns"]) {
+    if (value[key] !== undefined) rules[key] = parseAsnList(value[key], `${path}.${key}`, errors);
+  }
+  if (value.knownBots !== undefined) {
+    if (!KNOWN_BOTS_MODES.includes(value.knownBots)) errors.push(`${path}.knownBots: must be one of ${KNOWN_BOTS_MODES.join(", ")}`);
+    rules.knownBots = value.knownBots;
+  }
+  if (value.status !== undefined) {
+    if (!GEO_DENY_STATUSES.includes(value.status)) errors.push(`${path}.status: must be one of ${GEO_DENY_STATUSES.join(", ")}`);
+    rules.status = value.status;
+  }
+  return rules;
+}
+
+// Lists the GEO_* variables present in env, for configuration change detection
+export function geoConfigKeys(env) {
+  return Object.keys(env).filter(key => key.startsWith(GEO_PREFIX) && env[key] !== undefined).sort();
+}
+
+// Parses the GEO_<LINK> variables into a map keyed by the link's env key
+// Invalid variables are collected in errors
+export function parseGeoConfig(env, errors = []) {
+  const rulesByKey = new Map();
+  for (const key of geoConfigKeys(env)) {
+    let value;
+    try {
+      value = JSON.parse(env[key]);
+    } catch (error) {
+      errors.push(`${key}: not valid JSON: ${error.message}`);
+      continue;
+    }
+    const rules = parseGeoRules(value, key, errors);
+    if (rules) rulesByKey.set(key.slice(GEO_PREFIX.length), rules);
+  }
+  return rulesByKey;
+}
+
+// Rules for a link: its own "geo" property, then GEO_<LINK>
+export function geoRulesFor(linkId, link, geoConfig) {
+  return link?.geo ?? lookupByEnvKey(geoConfig, linkId) ?? null;
+}
+
+// Returns true if Cloudflare identified the request as coming from a verified bot
+export function isKnownBot(cf) {
+  return cf?.botManagement?.verifiedBot === true || !!cf?.verifiedBotCategory;
+}
+
+function matches(list, value) {
+  return value !== undefined && value !== null && list.includes(value);
+}
+
+// Evaluates rules against request.cf; returns the status to reject with, or null if allowed
+export function evaluateGeoRules(cf, rules) {
+  if (!rules) return null;
+  const rejected = rules.status ?? 403;
+
+  if (isKnownBot(cf)) {
+    if (rules.knownBots === "deny") return rejected;
+    if (rules.knownBots === "allow") return null;
+  }
+
+  const country = typeof cf?.country === "string" ? cf.country.toUpperCase() : null;
+  const continent = typeof cf?.continent === "string" ? cf.continent.toUpperCase() : null;
+  const asn = Number.isInteger(cf?.asn) ? cf.asn : null;
+
+  if (rules.denyCountries && matches(rules.denyCountries, country)) return rejected;
+  if (rules.denyContinents && matches(rules.denyContinents, continent)) return rejected;
+  if (rules.denyAsns && matches(rules.denyAsns, asn)) return rejected;
+
+  if (rules.allowCountries && !matches(rules.allowCountries, country)) return rejected;
+  if (rules.allowContinents && !matches(rules.allowContinents, continent)) return rejected;
+  if (rules.allowAsns && !matches(rules.allowAsns, asn)) return rejected;
+  return null;
+}
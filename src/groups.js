@@ -0,0 +1,71 @@
+import { lookupByEnvKey } from "./env-keys.js";
+import { parseUsers } from "./config.js";
+
+// Named credential groups shared by several links
+// - GROUP_<NAME>: JSON list of users, in the USERS_<SUBDOMAIN> format
+// - GROUPS_<SUBDOMAIN>: comma-separated group names a link accepts, e.g. "finance,ops"
+// REDIRECT_CONFIG can define groups as auth.groups and reference them from links as "groups"
+// Group names match case-insensitively, with hyphens and underscores treated alike (like env keys)
+
+const GROUP_PREFIX = "GROUP_";
+const GROUPS_PREFIX = "GROUPS_";
+
+// Variable suffix of a group name: "finance-eu" -> FINANCE_EU
+function groupKey(name) {
+  return name.toUpperCase().replace(/-/g, "_");
+}
+
+// Lists the GROUP_* and GROUPS_* variables present in env, for configuration change detection
+export function groupConfigKeys(env) {
+  return Object.keys(env)
+    .filter(key => (key.startsWith(GROUP_PREFIX) || key.startsWith(GROUPS_PREFIX)) && env[key] !== undefined)
+    .sort();
+}
+
+function parseGroupList(value) {
+  return value.split(",").map(name => name.trim()).filter(Boolean);
+}
+
+// Builds { groups: Map<key, users>, refsByKey: Map<link key, names> } from the variables and REDIRECT_CONFIG
+// Groups in REDIRECT_CONFIG replace variables of the same name. Invalid groups and references
+// to unknown groups are collected in errors
+export function parseGroupConfig(env, configGroups = new Map(), errors = []) {
+  const groups = new Map();
+  const refsByKey = new Map();
+
+  for (const key of groupConfigKeys(env)) {
+    if (key.startsWith(GROUPS_PREFIX)) {
+      refsByKey.set(key.slice(GROUPS_PREFIX.length), parseGroupList(env[key]));
+      continue;
+    }
+    let value;
+    try {
+      value = JSON.parse(env[key]);
+    } catch (error) {
+      errors.push(`${key}: not valid JSON: ${error.message}`);
+      continue;
+    }
+    groups.set(key.slice(GROUP_PREFIX.length), parseUsers(value, key, errors));
+  }
+  for (const [name, users] of configGroups) groups.set(groupKey(name), users);
+
+  for (const [key, names] of refsByKey) checkGroupReferences(names, groups, `${GROUPS_PREFIX}${key}`, errors);
+  return { groups, refsByKey };
+}
+
+// Reports group names that are not defined
+export function checkGroupReferences(names, groups, path, errors) {
+  for (const name of names) {
+    if (!groups.has(groupKey(name))) errors.push(`${path}: unknown credential group "${name}"`);
+  }
+}
+
+// Group names a link accepts: its own "groups", then GROUPS_<NAME>; null if none
+export function groupNamesFor(name, link, groupConfig) {
+  return link?.groups ?? lookupByEnvKey(groupConfig.refsByKey, name) ?? null;
+}
+
+// Members of the named groups, in the order the groups are listed
+export function groupCredentials(names, groupConfig) {
+  return names.flatMap(name => groupConfig.groups.get(groupKey(name)) ?? []);
+}
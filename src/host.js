@@ -67,7 +67,8 @@ export function validateAndNormalizeSuffix(suffix) {
 }
 
 // Parsing allowed host suffixes from environment variables with validation
-export function parseCommaList(value) {
+// Invalid suffixes are collected in errors; callers must not use a partial list, as an empty one allows every host
+export function parseCommaList(value, errors = []) {
   if (!value) return [];
 
   const suffixes = value.split(",").map(s => s.replace(/\s+/g, "")).filter(Boolean);
@@ -78,22 +79,27 @@ export function parseCommaList(value) {
       const normalized = validateAndNormalizeSuffix(suffix);
       validatedSuffixes.push(normalized);
     } catch (error) {
-      // Log warning but continue processing other suffixes
-      console.warn(`Invalid host suffix "${suffix}": ${error.message}`);
+      errors.push(`"${suffix}": ${error.message}`);
     }
   }
 
   return validatedSuffixes;
 }
 
+// Returns true if hostname ends with the suffix or is the bare suffix itself
+export function hostMatchesSuffix(hostname, suffix) {
+  return hostname.endsWith(suffix) || (suffix.startsWith('.') && hostname === suffix.slice(1));
+}
+
 // Returns true if hostname matches any suffix or if suffixes is empty
 export function hostIsAllowed(hostname, suffixes) {
   if (suffixes.length === 0) return true;
-  return suffixes.some(suffix => hostname.endsWith(suffix));
+  return suffixes.some(suffix => hostMatchesSuffix(hostname, suffix));
 }
 
-// Extracts everything before the allowed host suffix as subdomain
-export function extractSubdomain(hostname, allowedHostSuffixes) {
+// Splits a hostname into the subdomain and the allowed host suffix it matched
+// Returns an empty subdomain and suffix if no suffix matches
+export function splitHostname(hostname, allowedHostSuffixes) {
   const suffixes = Array.isArray(allowedHostSuffixes)
     ? allowedHostSuffixes
     : parseCommaList(allowedHostSuffixes);
@@ -101,10 +107,17 @@ export function extractSubdomain(hostname, allowedHostSuffixes) {
   for (const suffix of suffixes) {
     if (hostname.endsWith(suffix)) {
       const sub = hostname.slice(0, hostname.length - suffix.length);
-      return sub.endsWith(".") ? sub.slice(0, -1) : sub;
+      return { subdomain: sub.endsWith(".") ? sub.slice(0, -1) : sub, suffix };
     }
+    // The bare suffix host (e.g. example.com for .example.com) has no subdomain
+    if (hostMatchesSuffix(hostname, suffix)) return { subdomain: "", suffix };
   }
-  return "";
+  return { subdomain: "", suffix: "" };
+}
+
+// Extracts everything before the allowed host suffix as subdomain
+export function extractSubdomain(hostname, allowedHostSuffixes) {
+  return splitHostname(hostname, allowedHostSuffixes).subdomain;
 }
 
 // Simple comma-separated list parser (no validation/normalization)
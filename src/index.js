@@ -1,8 +1,32 @@
 import { securityHeaders, authChallengeHeaders } from "./security-headers.js";
-import { parseCommaList, parseSimpleCommaList, hostIsAllowed, extractSubdomain } from "./host.js";
-import { getClientIdFromCloudflare, respond, setHeaders } from "./utils.js";
-import { isRateLimited, registerFailedAttempt, clearFailures, rateLimitRetryHeaders, MAX_AUTH_HEADER_LENGTH } from "./ratelimit.js";
-import { checkBasicAuth, isNonEmpty } from "./auth.js";
+import { parseCommaList, parseSimpleCommaList, hostIsAllowed, splitHostname } from "./host.js";
+import { getClientIdFromCloudflare, respond, respondJson, setHeaders } from "./utils.js";
+import { MAX_AUTH_HEADER_LENGTH } from "./ratelimit.js";
+import { getRateLimiter, rateLimitHeaders } from "./ratelimiter.js";
+import { parseRateLimitConfig, rateLimitConfigKeys, rateLimitPolicyFor } from "./ratelimit-policy.js";
+import { throttleSettingsFromEnv, throttleConfigKeys, throttleRequest } from "./throttle.js";
+import { stuffingCounters, limitedCounter, registerCounterFailures } from "./stuffing.js";
+import { authenticateCredential, decodeBasicAuth, credentialList, isNonEmpty } from "./auth.js";
+import { renderTarget, templateVariables } from "./target.js";
+import { parseStatusConfig, statusConfigKeys, statusForSubdomain, DEFAULT_REDIRECT_STATUS } from "./status.js";
+import { getLink, getExactLink, getShortLink } from "./links.js";
+import { envKeysFor, scopedName } from "./env-keys.js";
+import { parseRedirectConfig, parseLinkPatterns, parseUsersVariable, usersConfigKeys, ConfigError } from "./config.js";
+import { compileSubdomainMatcher, subdomainMatches, sortPatternRules, captureVariables, patternLinkId } from "./patterns.js";
+import { parseShortLinkPrefixes, matchShortLinkPath, shortLinkId, isShortLinkNamespace } from "./shortlinks.js";
+import { adminBasePath, handleAdminRequest } from "./admin.js";
+import { recordClick } from "./analytics.js";
+import { extractAccessToken, verifyAccessToken } from "./tokens.js";
+import { jwtSettingsFromEnv, jwtConfigKeys, jwtSettingsForLink, createKeyResolver, getJwtFromRequest, verifyJwt } from "./jwt.js";
+import {
+  LOGIN_PATH, LOGOUT_PATH, MAX_LOGIN_BODY_BYTES, sessionTtlSeconds, cookieDomain, createSessionCookie, clearSessionCookie,
+  readSessionCookie, verifySession, safeReturnPath, htmlHeaders, loginFormHtml, logoutHtml
+} from "./session.js";
+import { parseIpAddress } from "./ip.js";
+import { parseIpConfig, ipConfigKeys, evaluateIpRules } from "./ip-rules.js";
+import { parseGeoConfig, geoConfigKeys, geoRulesFor, evaluateGeoRules } from "./geo.js";
+import { linkPhase } from "./schedule.js";
+import { parseGroupConfig, groupConfigKeys, checkGroupReferences, groupNamesFor, groupCredentials } from "./groups.js";
 
 // Configuration cache to reduce per-request parsing overhead
 let configCache = null;
@@ -10,7 +34,15 @@ let lastConfigHash = null;
 
 // Generate a simple hash of the configuration values for cache invalidation
 function getConfigHash(env) {
-  const configString = `${env.ALLOWED_HOST_SUFFIXES || ''}|${env.PROTECTED_SUBDOMAINS || ''}`;
+  const statusString = statusConfigKeys(env).map(key => `${key}=${env[key]}`).join(',');
+  const jwtString = jwtConfigKeys(env).map(key => `${key}=${env[key]}`).join(',');
+  const ipString = ipConfigKeys(env).map(key => `${key}=${env[key]}`).join(',');
+  const geoString = geoConfigKeys(env).map(key => `${key}=${env[key]}`).join(',');
+  const groupString = groupConfigKeys(env).map(key => `${key}=${env[key]}`).join(',');
+  const rateLimitString = rateLimitConfigKeys(env).map(key => `${key}=${env[key]}`).join(',');
+  const throttleString = throttleConfigKeys(env).map(key => `${key}=${env[key]}`).join(',');
+  const usersString = usersConfigKeys(env).map(key => `${key}=${env[key]}`).join(',');
+  const configString = `${env.ALLOWED_HOST_SUFFIXES || ''}|${env.PROTECTED_SUBDOMAINS || ''}|${env.REDIRECT_STATUS || ''}|${statusString}|${env.REDIRECT_CONFIG || ''}|${env.LINK_PATTERNS || ''}|${env.SHORT_LINK_PREFIXES || ''}|${env.PROTECTED_SHORT_LINKS || ''}|${jwtString}|${ipString}|${geoString}|${groupString}|${rateLimitString}|${throttleString}|${usersString}`;
   let hash = 0;
   for (let i = 0; i < configString.length; i++) {
     const char = configString.charCodeAt(i);
@@ -20,16 +52,130 @@ function getConfigHash(env) {
   return hash;
 }
 
+// Build configuration from REDIRECT_CONFIG and the legacy variables
+// Values set in REDIRECT_CONFIG take precedence over their legacy counterparts
+function buildConfig(env) {
+  const redirectConfig = env.REDIRECT_CONFIG
+    ? parseRedirectConfig(env.REDIRECT_CONFIG)
+    : { links: new Map(), patterns: [], shortLinks: { links: new Map() } };
+  const envPatterns = env.LINK_PATTERNS ? parseLinkPatterns(env.LINK_PATTERNS) : [];
+
+  const statusErrors = [];
+  const statusConfig = parseStatusConfig(env, statusErrors);
+  if (statusErrors.length > 0) throw new ConfigError(statusErrors, "redirect status codes");
+  if (redirectConfig.defaultStatus !== undefined) statusConfig.defaultStatus = redirectConfig.defaultStatus;
+
+  const hostErrors = [];
+  const envHostSuffixes = parseCommaList(env.ALLOWED_HOST_SUFFIXES, hostErrors);
+  if (!redirectConfig.hosts && hostErrors.length > 0) throw new ConfigError(hostErrors, "ALLOWED_HOST_SUFFIXES");
+
+  // Invalid USERS_* variables are logged once here; only the links using them fail closed (see getCredentials)
+  const usersErrors = [];
+  for (const key of usersConfigKeys(env)) parseUsersVariable(key, env[key], usersErrors);
+  if (usersErrors.length > 0) console.error(new ConfigError(usersErrors, "USERS_* credentials").message);
+
+  const protectedErrors = [];
+  const protectedSubdomains = compileSubdomainMatcher(parseSimpleCommaList(env.PROTECTED_SUBDOMAINS), protectedErrors);
+  if (protectedErrors.length > 0) throw new ConfigError(protectedErrors, "PROTECTED_SUBDOMAINS");
+
+  const protectedShortLinkErrors = [];
+  const protectedShortLinks = compileSubdomainMatcher(parseSimpleCommaList(env.PROTECTED_SHORT_LINKS), protectedShortLinkErrors);
+  if (protectedShortLinkErrors.length > 0) throw new ConfigError(protectedShortLinkErrors, "PROTECTED_SHORT_LINKS");
+
+  const jwtSubdomainErrors = [];
+  const jwtSubdomains = compileSubdomainMatcher(parseSimpleCommaList(env.JWT_AUTH_SUBDOMAINS), jwtSubdomainErrors);
+  if (jwtSubdomainErrors.length > 0) throw new ConfigError(jwtSubdomainErrors, "JWT_AUTH_SUBDOMAINS");
+
+  const jwtErrors = [];
+  const jwtSettings = redirectConfig.jwt ?? jwtSettingsFromEnv(env, jwtErrors);
+  if (!jwtSettings && jwtErrors.length === 0) {
+    for (const source of jwtAuthSources(jwtSubdomains, redirectConfig, envPatterns)) {
+      jwtErrors.push(`${source}: JWT authentication needs JWT_ISSUER, JWT_AUDIENCE and JWT_JWKS or JWT_JWKS_URL (or auth.jwt)`);
+    }
+  }
+  if (jwtErrors.length > 0) throw new ConfigError(jwtErrors, "JWT settings");
+
+  const ipErrors = [];
+  const ipConfig = parseIpConfig(env, redirectConfig.ip, ipErrors);
+  if (ipErrors.length > 0) throw new ConfigError(ipErrors, "IP rules");
+
+  const geoErrors = [];
+  const geoConfig = parseGeoConfig(env, geoErrors);
+  if (geoErrors.length > 0) throw new ConfigError(geoErrors, "GEO rules");
+
+  const rateLimitErrors = [];
+  const rateLimitConfig = parseRateLimitConfig(env, redirectConfig.rateLimit, rateLimitErrors);
+  if (rateLimitErrors.length > 0) throw new ConfigError(rateLimitErrors, "rate limit policies");
+
+  const throttleErrors = [];
+  const throttle = redirectConfig.throttle ?? throttleSettingsFromEnv(env, throttleErrors);
+  if (throttleErrors.length > 0) throw new ConfigError(throttleErrors, "THROTTLE settings");
+
+  const groupErrors = [];
+  const credentialGroups = parseGroupConfig(env, redirectConfig.groups, groupErrors);
+  const configLinks = [
+    ...[...redirectConfig.links].map(([name, link]) => [`links.${name}`, link]),
+    ...redirectConfig.patterns.map(rule => [`patterns.${rule.match}`, rule.link]),
+    ...[...redirectConfig.shortLinks.links].map(([name, link]) => [`shortLinks.links.${name}`, link]),
+  ];
+  for (const [path, link] of configLinks) {
+    if (link.groups) checkGroupReferences(link.groups, credentialGroups.groups, `${path}.groups`, groupErrors);
+  }
+  if (groupErrors.length > 0) throw new ConfigError(groupErrors, "credential groups");
+
+  const prefixErrors = [];
+  const envPrefixes = parseShortLinkPrefixes(env.SHORT_LINK_PREFIXES, prefixErrors);
+  if (prefixErrors.length > 0) throw new ConfigError(prefixErrors, "SHORT_LINK_PREFIXES");
+
+  return {
+    allowedHostSuffixes: redirectConfig.hosts ?? envHostSuffixes,
+    protectedSubdomains,
+    statusConfig,
+    configLinks: redirectConfig.links,
+    patternRules: sortPatternRules([...redirectConfig.patterns, ...envPatterns]),
+    shortLinkPrefixes: redirectConfig.shortLinks.prefixes ?? envPrefixes,
+    configShortLinks: redirectConfig.shortLinks.links,
+    protectedShortLinks,
+    fallbackCredentials: redirectConfig.fallbackCredentials,
+    credentialGroups,
+    jwtSubdomains,
+    ipConfig,
+    geoConfig,
+    rateLimitConfig,
+    throttle,
+    jwtAuth: jwtSettings && { settings: jwtSettings, resolveKey: createKeyResolver(jwtSettings) }
+  };
+}
+
+// Names the settings that select JWT authentication, which cannot work without JWT settings
+// KV links are only checked when they are served (see authorizeJwtSubdomain)
+function jwtAuthSources(jwtSubdomains, redirectConfig, envPatterns) {
+  const sources = jwtSubdomains.exact.size > 0 || jwtSubdomains.patterns.length > 0 ? ["JWT_AUTH_SUBDOMAINS"] : [];
+  const links = [
+    ...[...redirectConfig.links].map(([name, link]) => [`links.${name}`, link]),
+    ...[...redirectConfig.patterns, ...envPatterns].map(rule => [`patterns.${rule.match}`, rule.link]),
+    ...[...redirectConfig.shortLinks.links].map(([name, link]) => [`shortLinks.links.${name}`, link]),
+  ];
+  for (const [path, link] of links) {
+    if (link.authMode === "jwt") sources.push(`${path}.authMode`);
+  }
+  return sources;
+}
+
 // Parse and cache configuration with hot-reload detection
 function getCachedConfig(env) {
   const currentHash = getConfigHash(env);
 
   // Check if we need to invalidate cache (configuration changed)
   if (configCache === null || lastConfigHash !== currentHash) {
-    configCache = {
-      allowedHostSuffixes: parseCommaList(env.ALLOWED_HOST_SUFFIXES),
-      protectedSubdomains: new Set(parseSimpleCommaList(env.PROTECTED_SUBDOMAINS))
-    };
+    try {
+      configCache = buildConfig(env);
+    } catch (error) {
+      if (!(error instanceof ConfigError)) throw error;
+      // Fail closed: log every problem once and reject requests until the configuration is fixed
+      console.error(error.message);
+      configCache = { error };
+    }
     lastConfigHash = currentHash;
   }
 
@@ -42,41 +188,95 @@ export function invalidateConfigCache() {
   lastConfigHash = null;
 }
 
-// Helper to get redirect target from env by subdomain
-function getRedirectTarget(subdomain, env) {
-  // Convention: LINK_<SUBDOMAIN> (uppercase)
-  // For multi-level subdomains, dots are replaced with underscores
-  // Example: foo.bar -> LINK_FOO_BAR
-  const key = `LINK_${subdomain.toUpperCase().replace(/\./g, '_')}`;
-  return env[key];
-}
+// Returned instead of credentials for links whose USERS_* variable is invalid
+const INVALID_CREDENTIALS = Object.freeze({ invalid: true });
 
 // Helper to get credentials from env by subdomain
-function getCredentials(subdomain, env) {
+function getCredentials(subdomain, env, fallback = { user: env.FALLBACK_USER, pass: env.FALLBACK_PASS }) {
   // Multi-user convention: USERS_<SUBDOMAIN> (uppercase)
   // Single-user convention: USER_<SUBDOMAIN>, PASS_<SUBDOMAIN> (uppercase)
   // For multi-level subdomains, dots are replaced with underscores
   // Example: foo.bar -> USERS_FOO_BAR OR USER_FOO_BAR, PASS_FOO_BAR
-  const normalizedSubdomain = subdomain.toUpperCase().replace(/\./g, '_');
-  const usersKey = `USERS_${normalizedSubdomain}`;
-  const userKey = `USER_${normalizedSubdomain}`;
-  const passKey = `PASS_${normalizedSubdomain}`;
+  // Links matched by a pattern rule have no variables of their own (see envKeysFor)
+  for (const normalizedSubdomain of envKeysFor(subdomain)) {
+    const usersKey = `USERS_${normalizedSubdomain}`;
+    const userKey = `USER_${normalizedSubdomain}`;
+    const passKey = `PASS_${normalizedSubdomain}`;
+
+    // Try JSON array first; entries may name their own target, status and TOTP secret
+    // Invalid lists fail closed rather than falling back (buildConfig logs them)
+    if (env[usersKey]) {
+      const errors = [];
+      const users = parseUsersVariable(usersKey, env[usersKey], errors);
+      return errors.length > 0 ? INVALID_CREDENTIALS : users;
+    }
 
-  // Try JSON array first
-  if (env[usersKey]) {
-    try {
-      const arr = JSON.parse(env[usersKey]);
-      if (Array.isArray(arr) && arr.every(obj => obj && typeof obj.user === "string" && typeof obj.pass === "string")) {
-        return arr;
-      }
-    } catch {
+    // Fallback to single user/pass or global fallback
+    if (env[userKey] || env[passKey]) {
+      return {
+        user: env[userKey] || fallback.user,
+        pass: env[passKey] || fallback.pass,
+      };
     }
   }
+  return { user: fallback.user, pass: fallback.pass };
+}
+
+// Helper to get credentials for a link
+// Precedence: link users, then env credentials (for the referenced name or the link itself), then fallback
+// Links referencing credential groups accept their own users and every member of those groups,
+// but never the fallback credentials; a user listed twice is matched with the link's own entry first
+function getLinkCredentials(linkId, link, env, config) {
+  const name = link?.credentials ?? linkId;
+  const groupNames = groupNamesFor(name, link, config.credentialGroups);
+  if (!groupNames) {
+    if (link?.users) return link.users;
+    return getCredentials(name, env, config.fallbackCredentials);
+  }
 
-  // Fallback to single user/pass or global fallback
+  const own = link?.users ?? getCredentials(name, env, {});
+  if (own === INVALID_CREDENTIALS) return own;
+  return [
+    ...credentialList(own).filter(({ user, pass }) => isNonEmpty(user) && isNonEmpty(pass)),
+    ...groupCredentials(groupNames, config.credentialGroups),
+  ];
+}
+
+// Resolve the link for a request: a short link on the bare host, otherwise the subdomain link
+// Subdomain links for the matched suffix ("<subdomain>@<suffix>") override the shared ones
+// linkId names the link for env lookups, credentials, access tokens and rate limiting:
+// the subdomain, "<subdomain>@<suffix>", "shortlink.<name>" or "pattern:<match>" for pattern rules
+// authMode selects Basic Auth or JWT authentication for protected links
+async function resolveLink(url, subdomain, suffix, env, config) {
+  const shortLinkMatch = subdomain === "" ? matchShortLinkPath(url.pathname, config.shortLinkPrefixes) : null;
+
+  if (shortLinkMatch) {
+    const { name, pathname } = shortLinkMatch;
+    const link = await getShortLink(name, env, config.configShortLinks);
+    const authMode = link?.authMode ?? "basic";
+    return {
+      link,
+      linkId: shortLinkId(name),
+      authMode,
+      isProtected: link?.protected ?? (authMode === "jwt" || subdomainMatches(name, config.protectedShortLinks)),
+      pathname,
+    };
+  }
+
+  const scoped = scopedName(subdomain, suffix);
+  const scopedLink = scoped ? await getExactLink(scoped, env, config.configLinks) : null;
+  // A suffix-scoped link keeps the shared link's settings it does not override
+  const link = scopedLink
+    ? { ...await getExactLink(subdomain, env, config.configLinks), ...scopedLink }
+    : await getLink(subdomain, env, config.configLinks, config.patternRules);
+  const authMode = link?.authMode ?? (subdomainMatches(subdomain, config.jwtSubdomains, suffix) ? "jwt" : "basic");
   return {
-    user: env[userKey] || env.FALLBACK_USER,
-    pass: env[passKey] || env.FALLBACK_PASS,
+    link,
+    linkId: scopedLink ? scoped : link?.pattern !== undefined ? patternLinkId(link.pattern) : subdomain,
+    authMode,
+    // A link's own flag overrides PROTECTED_SUBDOMAINS; JWT authentication implies protection
+    isProtected: link?.protected ?? (authMode === "jwt" || subdomainMatches(subdomain, config.protectedSubdomains, suffix)),
+    pathname: url.pathname,
   };
 }
 
@@ -99,98 +299,374 @@ export function validateMethod(method) {
 }
 
 // Resolve subdomain and validate host
+// Also returns the matched host suffix for suffix-specific link lookups
+// Subdomains named like short link ids are not found, as they would share the short link's settings
 export function resolveSubdomain(hostname, allowedHostSuffixes) {
   if (!hostIsAllowed(hostname, allowedHostSuffixes)) {
     return { error: respond("Not found", 404, securityHeaders()) };
   }
 
-  const subdomain = extractSubdomain(hostname, allowedHostSuffixes);
-  return { subdomain };
+  const { subdomain, suffix } = splitHostname(hostname, allowedHostSuffixes);
+  if (isShortLinkNamespace(subdomain)) return { error: respond("Not found", 404, securityHeaders()) };
+  return { subdomain, suffix };
 }
 
-// Handle authorization for protected subdomains
-export async function authorizeProtectedSubdomain(request, subdomain, env) {
-  const expected = getCredentials(subdomain, env);
-
-  let hasValid;
+// Returns true if expected credentials ({user,pass} or a list) are fully configured
+function hasConfiguredCredentials(expected) {
   if (Array.isArray(expected)) {
-    hasValid = expected.length > 0 && expected.every(({ user, pass }) => isNonEmpty(user) && isNonEmpty(pass));
-  } else {
-    hasValid = isNonEmpty(expected.user) && isNonEmpty(expected.pass);
+    return expected.length > 0 && expected.every(({ user, pass }) => isNonEmpty(user) && isNonEmpty(pass));
+  }
+  return isNonEmpty(expected.user) && isNonEmpty(expected.pass);
+}
+
+// Serve the login form instead of the Basic Auth prompt (SESSION_SECRET set)
+function loginFormResponse(request, error, status = 401, headers = {}) {
+  const { pathname, search } = new URL(request.url);
+  return respond(loginFormHtml({ returnTo: pathname + search, error }), status, securityHeaders(htmlHeaders(headers)));
+}
+
+// Clients asking for JSON (scripts and integrations) get JSON error bodies from protected links
+function acceptsJson(request) {
+  return /\bapplication\/json\b/i.test(request.headers.get("Accept") || "");
+}
+
+// 429 for a client over the limit of a counter, with Retry-After and the RateLimit-* headers
+async function tooManyRequestsResponse(request, limiter, clientId, scope, policy) {
+  const status = await limiter.status(clientId, scope, policy);
+  const headers = securityHeaders({ "Retry-After": String(status.reset), ...rateLimitHeaders(status) });
+  if (acceptsJson(request)) return respondJson({ error: "Too many requests", retryAfter: status.reset }, 429, headers);
+  return respond("Too many requests", 429, headers);
+}
+
+// 401 with the RateLimit-* headers of the client's failed attempts on the link
+async function notAuthorizedResponse(request, limiter, clientId, scope, policy) {
+  const headers = { ...authChallengeHeaders(), ...rateLimitHeaders(await limiter.status(clientId, scope, policy)) };
+  if (acceptsJson(request)) return respondJson({ error: "Not authorized" }, 401, headers);
+  return respond("Not authorized", 401, headers);
+}
+
+// Handle authorization for protected subdomains; returns { response, credential }
+// response is null once the request is authorized, credential the user entry that authenticated
+// (by Basic Auth or session), null for access tokens
+// Options:
+// - expected: credentials to accept, by default the env credentials of the subdomain
+// - accessToken: a signed access token, checked before falling back to Basic Auth
+// - policy: rate limit policy for failed attempts (the default one if omitted)
+// - rateLimitConfig: counters per client and per username across all links for password attempts (see stuffing.js)
+// With SESSION_SECRET set, a session cookie is accepted and browsers get a login form instead of the prompt
+// 401 and 429 responses carry RateLimit-* headers, and JSON bodies for clients that accept JSON
+export async function authorizeProtectedSubdomain(request, subdomain, env, { expected = getCredentials(subdomain, env), accessToken, policy, rateLimitConfig } = {}) {
+  if (expected === INVALID_CREDENTIALS) {
+    return { response: respond("Configuration error", 500, securityHeaders()), credential: null };
   }
-  if (!hasValid) {
-    return respond("Not authorized", 401, authChallengeHeaders());
+
+  const sessionsEnabled = !!env.SESSION_SECRET;
+
+  if (accessToken !== undefined) {
+    const hasCredentials = sessionsEnabled || request.headers.has("Authorization");
+    const tokenResponse = await checkAccessToken(request, subdomain, env, { accessToken, hasCredentials, policy });
+    if (tokenResponse !== undefined) return { response: tokenResponse, credential: null };
+  }
+
+  if (!hasConfiguredCredentials(expected)) {
+    return { response: respond("Not authorized", 401, authChallengeHeaders()), credential: null };
   }
 
   const clientId = getClientIdFromCloudflare(request);
+  const limiter = getRateLimiter(env);
+
+  if (await limiter.isRateLimited(clientId, subdomain, policy)) {
+    return { response: await tooManyRequestsResponse(request, limiter, clientId, subdomain, policy), credential: null };
+  }
 
-  if (isRateLimited(clientId, subdomain)) {
-    return respond("Too many requests", 429, rateLimitRetryHeaders(clientId, subdomain));
+  if (sessionsEnabled) {
+    const session = readSessionCookie(request);
+    const credential = session ? await verifySession(env.SESSION_SECRET, session, expected) : null;
+    if (credential) return { response: null, credential };
   }
 
   const authHeader = request.headers.get("Authorization") || "";
+  if (sessionsEnabled && !authHeader) {
+    if (acceptsJson(request)) return { response: await notAuthorizedResponse(request, limiter, clientId, subdomain, policy), credential: null };
+    const headers = rateLimitHeaders(await limiter.status(clientId, subdomain, policy));
+    return { response: loginFormResponse(request, undefined, 401, headers), credential: null };
+  }
+
   if (authHeader.length > MAX_AUTH_HEADER_LENGTH) {
-    registerFailedAttempt(clientId, subdomain);
-    return respond("Not authorized", 401, authChallengeHeaders());
+    await limiter.registerFailedAttempt(clientId, subdomain, policy);
+    return { response: await notAuthorizedResponse(request, limiter, clientId, subdomain, policy), credential: null };
+  }
+
+  // Only actual password attempts count against the counters across all links
+  const attempted = decodeBasicAuth(authHeader);
+  const counters = attempted ? await stuffingCounters(clientId, attempted.user, rateLimitConfig) : [];
+  const blocked = await limitedCounter(limiter, counters);
+  if (blocked) {
+    return { response: await tooManyRequestsResponse(request, limiter, blocked.clientId, blocked.scope, blocked.policy), credential: null };
   }
 
-  const isValid = checkBasicAuth(authHeader, expected);
-  if (!isValid) {
-    registerFailedAttempt(clientId, subdomain);
-    return respond("Not authorized", 401, authChallengeHeaders());
+  // A correct password with an already used one-time code (e.g. a browser resending the prompt's
+  // cached credentials) is asked again, but is not a failed attempt
+  const { credential, replayed } = attempted
+    ? await authenticateCredential(attempted.user, attempted.pass, expected, { limiter })
+    : { credential: null, replayed: false };
+  if (!credential) {
+    if (!replayed) {
+      await limiter.registerFailedAttempt(clientId, subdomain, policy);
+      await registerCounterFailures(limiter, counters);
+    }
+    return { response: await notAuthorizedResponse(request, limiter, clientId, subdomain, policy), credential: null };
   }
 
-  clearFailures(clientId, subdomain);
-  return null; // Success - no error response
+  await limiter.clearFailures(clientId, subdomain);
+  return { response: null, credential }; // Success - no error response
+}
+
+// Check a signed access token: null if valid, a 401/429 response if it is invalid and
+// there are no other credentials to try, otherwise undefined to continue with them
+async function checkAccessToken(request, subdomain, env, { accessToken, hasCredentials, policy }) {
+  const clientId = getClientIdFromCloudflare(request);
+  const limiter = getRateLimiter(env);
+
+  if (await limiter.isRateLimited(clientId, subdomain, policy)) {
+    return tooManyRequestsResponse(request, limiter, clientId, subdomain, policy);
+  }
+
+  if (await verifyAccessToken(env.ACCESS_TOKEN_SECRET, accessToken, subdomain)) return null;
+
+  await limiter.registerFailedAttempt(clientId, subdomain, policy);
+  return hasCredentials ? undefined : notAuthorizedResponse(request, limiter, clientId, subdomain, policy);
+}
+
+// Handle JWT authorization for protected links (e.g. behind Cloudflare Access)
+// Invalid tokens count as failed attempts; a missing token does not
+// jwtAuth carries the link's own rules (see jwtSettingsForLink); without JWT settings the link fails closed
+export async function authorizeJwtSubdomain(request, subdomain, env, jwtAuth, accessToken, policy) {
+  if (!jwtAuth) {
+    console.error(`Link "${subdomain}" uses JWT authentication, but no JWT settings are configured`);
+    return respond("Configuration error", 500, securityHeaders());
+  }
+
+  const jwt = getJwtFromRequest(request);
+
+  if (accessToken !== undefined) {
+    const tokenResponse = await checkAccessToken(request, subdomain, env, { accessToken, hasCredentials: !!jwt, policy });
+    if (tokenResponse !== undefined) return tokenResponse;
+  }
+
+  if (!jwt) {
+    return respond("Not authorized", 401, securityHeaders({ "WWW-Authenticate": 'Bearer realm="Secure Redirect"' }));
+  }
+
+  const clientId = getClientIdFromCloudflare(request);
+  const limiter = getRateLimiter(env);
+  if (await limiter.isRateLimited(clientId, subdomain, policy)) {
+    return tooManyRequestsResponse(request, limiter, clientId, subdomain, policy);
+  }
+
+  const { error } = await verifyJwt(jwt, jwtAuth.settings, jwtAuth.resolveKey);
+  if (error) {
+    await limiter.registerFailedAttempt(clientId, subdomain, policy);
+    return respond("Not authorized", 401, securityHeaders({ "WWW-Authenticate": 'Bearer realm="Secure Redirect", error="invalid_token"' }));
+  }
+
+  await limiter.clearFailures(clientId, subdomain);
+  return null;
+}
+
+// Handle the login form post and logout (SESSION_SECRET set)
+// The link to log into is resolved from the host and the path the form returns to
+async function handleSessionRequest(request, url, env, config) {
+  const { subdomain, suffix, error: subdomainError } = resolveSubdomain(url.hostname.toLowerCase(), config.allowedHostSuffixes);
+  if (subdomainError) return subdomainError;
+  const domain = cookieDomain(suffix);
+
+  if (url.pathname === LOGOUT_PATH) {
+    return respond(logoutHtml(), 200, securityHeaders(htmlHeaders({ "Set-Cookie": clearSessionCookie(domain) })));
+  }
+
+  if (request.method.toUpperCase() !== "POST") {
+    return respond("Method Not Allowed", 405, securityHeaders({ "Allow": "POST" }));
+  }
+  // Only accept form posts from this host
+  const origin = request.headers.get("Origin");
+  if (origin && origin !== url.origin) return respond("Forbidden", 403, securityHeaders());
+  if (Number(request.headers.get("Content-Length") || 0) > MAX_LOGIN_BODY_BYTES) {
+    return respond("Payload Too Large", 413, securityHeaders());
+  }
+
+  let form;
+  try {
+    form = await request.formData();
+  } catch {
+    return respond("Bad Request", 400, securityHeaders());
+  }
+  const field = name => typeof form.get(name) === "string" ? form.get(name) : "";
+  const returnTo = safeReturnPath(field("return"));
+  const returnUrl = new URL(returnTo, url.origin);
+
+  // Access rules apply before any credentials are checked, as for the link itself
+  const { link, linkId, authMode, isProtected } = await resolveLink(returnUrl, subdomain, suffix, env, config);
+  const { response: accessResponse, bypassAuth } = checkAccessRules(request, linkId, link, config);
+  if (accessResponse) return accessResponse;
+
+  // Nothing to log into: continue to the link, which handles the request as usual
+  if (!isProtected || bypassAuth || authMode !== "basic" || !link?.target) {
+    return setHeaders(Response.redirect(returnUrl.href, 303), securityHeaders());
+  }
+
+  const expected = getLinkCredentials(linkId, link, env, config);
+  if (expected === INVALID_CREDENTIALS) return respond("Configuration error", 500, securityHeaders());
+  const policy = rateLimitPolicyFor(linkId, link, config.rateLimitConfig);
+  const clientId = getClientIdFromCloudflare(request);
+  const limiter = getRateLimiter(env);
+  if (await limiter.isRateLimited(clientId, linkId, policy)) {
+    return tooManyRequestsResponse(request, limiter, clientId, linkId, policy);
+  }
+
+  const counters = await stuffingCounters(clientId, field("user"), config.rateLimitConfig);
+  const blocked = await limitedCounter(limiter, counters);
+  if (blocked) {
+    return tooManyRequestsResponse(request, limiter, blocked.clientId, blocked.scope, blocked.policy);
+  }
+
+  const { credential, replayed } = hasConfiguredCredentials(expected)
+    ? await authenticateCredential(field("user"), field("pass") + field("code"), expected, { limiter })
+    : { credential: null, replayed: false };
+  if (!credential) {
+    // As for Basic Auth, an already used code with the right password is not a failed attempt
+    if (!replayed) {
+      await limiter.registerFailedAttempt(clientId, linkId, policy);
+      await registerCounterFailures(limiter, counters);
+    }
+    return respond(loginFormHtml({ returnTo, error: "Invalid user or password" }), 401, securityHeaders(htmlHeaders()));
+  }
+
+  await limiter.clearFailures(clientId, linkId);
+  const cookie = await createSessionCookie(env.SESSION_SECRET, credential, sessionTtlSeconds(env), domain);
+  return setHeaders(Response.redirect(returnUrl.href, 303), securityHeaders({ "Set-Cookie": cookie }));
 }
 
 // Handle redirect logic
-export function handleRedirect(targetUrl) {
+export function handleRedirect(targetUrl, status = DEFAULT_REDIRECT_STATUS) {
   if (targetUrl) {
-    return setHeaders(Response.redirect(targetUrl, 302), securityHeaders());
+    return setHeaders(Response.redirect(targetUrl, status), securityHeaders());
   }
   return respond("Not found", 404, securityHeaders());
 }
 
+// IP allow and deny lists and geo rules, which apply before authentication
+// Returns { response } if the client is rejected, otherwise { bypassAuth } from the IP rules
+function checkAccessRules(request, linkId, link, config) {
+  const clientAddress = parseIpAddress(getClientIdFromCloudflare(request));
+  const ipAccess = evaluateIpRules(clientAddress, linkId, link, config.ipConfig);
+  if (!ipAccess.allowed) return { response: respond("Forbidden", 403, securityHeaders()) };
+
+  // Country, continent, ASN and bot rules on the request.cf metadata
+  const geoStatus = evaluateGeoRules(request.cf, geoRulesFor(linkId, link, config.geoConfig));
+  if (geoStatus === 404) return { response: respond("Not found", 404, securityHeaders()) };
+  if (geoStatus) return { response: respond("Forbidden", geoStatus, securityHeaders()) };
+  return { bypassAuth: ipAccess.bypassAuth };
+}
+
+// Authorize and redirect a resolved link
+async function serveLink(request, url, env, config, subdomain, accessToken, { link, linkId, authMode, isProtected, pathname }) {
+  const targetUrl = link?.target;
+
+  const { response: accessResponse, bypassAuth } = checkAccessRules(request, linkId, link, config);
+  if (accessResponse) return accessResponse;
+
+  // Activation window: not found (or "coming soon") before notBefore, gone (or a fallback) from notAfter on
+  const variables = { ...templateVariables(url, subdomain, pathname), ...captureVariables(link?.captures) };
+  const phase = linkPhase(link);
+  if (phase === "pending") {
+    if (!link.comingSoonTarget) return respond("Not found", 404, securityHeaders());
+    return handleRedirect(renderTarget(link.comingSoonTarget, variables), 302);
+  }
+  if (phase === "expired") {
+    if (!link.expiredTarget) return respond("Gone", 410, securityHeaders());
+    return handleRedirect(renderTarget(link.expiredTarget, variables), 302);
+  }
+
+  // If link is protected but has no target, pretend it does not exist
+  if (isProtected && !targetUrl) {
+    return respond("Not found", 404, securityHeaders());
+  }
+
+  // Auth and rate limit for protected links, unless the client's range bypasses it
+  let user = null;
+  if (!isProtected || bypassAuth) {
+    // No authentication required
+  } else if (authMode === "jwt") {
+    const policy = rateLimitPolicyFor(linkId, link, config.rateLimitConfig);
+    const jwtAuth = config.jwtAuth && { ...config.jwtAuth, settings: jwtSettingsForLink(config.jwtAuth.settings, link?.jwt) };
+    const authResponse = await authorizeJwtSubdomain(request, linkId, env, jwtAuth, accessToken, policy);
+    if (authResponse) return authResponse;
+  } else {
+    const { response, credential } = await authorizeProtectedSubdomain(request, linkId, env, {
+      expected: getLinkCredentials(linkId, link, env, config),
+      accessToken,
+      policy: rateLimitPolicyFor(linkId, link, config.rateLimitConfig),
+      rateLimitConfig: config.rateLimitConfig,
+    });
+    if (response) return response;
+    user = credential;
+  }
+
+  // Substitute request path/query placeholders and handle redirect
+  // Users with their own target (and status) go there instead of the link's target
+  const status = user?.status ?? link?.status ?? statusForSubdomain(linkId, config.statusConfig);
+  return handleRedirect(renderTarget(user?.target ?? targetUrl, variables), status);
+}
+
+// Durable Object classes must be exported by the main module
+export { RateLimiterDurableObject } from "./ratelimit-durable.js";
+
 export default {
   // Main entry for Cloudflare Worker
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
     // Enforce HTTPS
     const httpsResponse = enforceHttps(url);
     if (httpsResponse) return httpsResponse;
 
+    // Get cached configuration to reduce per-request parsing overhead
+    const config = getCachedConfig(env);
+    if (config.error) return respond("Configuration error", 500, securityHeaders());
+    const { allowedHostSuffixes } = config;
+
+    // Throttle all traffic per client (and subdomain, if configured), before any lookups
+    const throttleResponse = throttleRequest(getClientIdFromCloudflare(request), url.hostname.toLowerCase(), config.throttle);
+    if (throttleResponse) return throttleResponse;
+
+    // Admin API (if enabled) accepts more methods than redirects
+    const adminPath = adminBasePath(url, env, allowedHostSuffixes);
+    if (adminPath !== null) return handleAdminRequest(request, env, adminPath, config.rateLimitConfig.global);
+
+    // Login form posts and logout (if sessions are enabled)
+    if (env.SESSION_SECRET && (url.pathname === LOGIN_PATH || url.pathname === LOGOUT_PATH)) {
+      return handleSessionRequest(request, url, env, config);
+    }
+
     // Only allow GET and HEAD
     const methodResponse = validateMethod(request.method);
     if (methodResponse) return methodResponse;
 
-    // Get cached configuration to reduce per-request parsing overhead
-    const { allowedHostSuffixes, protectedSubdomains } = getCachedConfig(env);
-
     // Resolve subdomain and validate host
     const hostname = url.hostname.toLowerCase();
-    const { subdomain, error: subdomainError } = resolveSubdomain(hostname, allowedHostSuffixes);
+    const { subdomain, suffix, error: subdomainError } = resolveSubdomain(hostname, allowedHostSuffixes);
     if (subdomainError) return subdomainError;
 
-    // Get redirect target from env
-    const targetUrl = getRedirectTarget(subdomain, env);
-
-    // Check if subdomain is protected
-    const isProtected = protectedSubdomains.has(subdomain);
+    // Remove access tokens from the URL so they never reach the target
+    const { accessToken, url: linkUrl } = env.ACCESS_TOKEN_SECRET ? extractAccessToken(url) : { url };
 
-    // If subdomain is protected but has no target, pretend it does not exist
-    if (isProtected && !targetUrl) {
-      return respond("Not found", 404, securityHeaders());
-    }
-
-    // Auth and rate limit for protected subdomains
-    if (isProtected) {
-      const authResponse = await authorizeProtectedSubdomain(request, subdomain, env);
-      if (authResponse) return authResponse;
-    }
+    // Get redirect target from KV (if bound), REDIRECT_CONFIG, env or pattern rules
+    const resolved = await resolveLink(linkUrl, subdomain, suffix, env, config);
+    const response = await serveLink(request, linkUrl, env, config, subdomain, accessToken, resolved);
 
-    // Handle redirect
-    return handleRedirect(targetUrl);
+    // Record the outcome for click analytics without delaying the response
+    recordClick(ctx, env, request, resolved.linkId, response.status);
+    return response;
   }
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+import { parseSimpleCommaList } from "./host.js";
+import { envKeysFor, lookupByEnvKey } from "./env-keys.js";
+import { compileIpList, compiledIpList, ipInRanges } from "./ip.js";
+
+// IP allow and deny lists, checked before authentication
+// - IP_ALLOW / IP_DENY apply to all links (REDIRECT_CONFIG "ip" replaces them)
+// - IP_ALLOW_<LINK> / IP_DENY_<LINK> and a link's "ip" rules apply to one link
+// Deny lists add up; the most specific allow list wins (link rules, IP_ALLOW_<LINK>, then IP_ALLOW)
+// With bypassAuth (IP_BYPASS_AUTH=true), clients on the effective allow list skip authentication
+
+const ALLOW_PREFIX = "IP_ALLOW_";
+const DENY_PREFIX = "IP_DENY_";
+
+// Lists the IP_* variables present in env, for configuration change detection
+export function ipConfigKeys(env) {
+  return Object.keys(env).filter(key => key.startsWith("IP_") && env[key] !== undefined).sort();
+}
+
+function compileVariable(env, key, errors) {
+  const listErrors = [];
+  const ranges = compileIpList(parseSimpleCommaList(env[key]), listErrors);
+  listErrors.forEach(error => errors.push(`${key}: ${error}`));
+  return ranges;
+}
+
+// Builds the IP rules from the variables and the REDIRECT_CONFIG "ip" rules
+// Invalid entries are collected in errors
+export function parseIpConfig(env, configRules = {}, errors = []) {
+  const allowByKey = new Map();
+  const denyByKey = new Map();
+  for (const key of ipConfigKeys(env)) {
+    if (key.startsWith(ALLOW_PREFIX)) allowByKey.set(key.slice(ALLOW_PREFIX.length), compileVariable(env, key, errors));
+    else if (key.startsWith(DENY_PREFIX)) denyByKey.set(key.slice(DENY_PREFIX.length), compileVariable(env, key, errors));
+  }
+
+  let allow = null;
+  if (configRules.allow) allow = compiledIpList(configRules.allow);
+  else if (env.IP_ALLOW) allow = compileVariable(env, "IP_ALLOW", errors);
+
+  let deny = [];
+  if (configRules.deny) deny = compiledIpList(configRules.deny);
+  else if (env.IP_DENY) deny = compileVariable(env, "IP_DENY", errors);
+
+  return {
+    allow,
+    deny,
+    bypassAuth: configRules.bypassAuth ?? env.IP_BYPASS_AUTH === "true",
+    allowByKey,
+    denyByKey,
+  };
+}
+
+// Evaluates the rules for a client address (parsed, or null if unknown) and link
+// Returns { allowed, bypassAuth }; unknown addresses never match a list
+export function evaluateIpRules(address, linkId, link, ipConfig) {
+  const linkRules = link?.ip ?? {};
+
+  // Deny lists add up, including the shared subdomain's list for suffix-scoped links
+  const linkDeny = envKeysFor(linkId).flatMap(key => ipConfig.denyByKey.get(key) ?? []);
+  const deny = [...ipConfig.deny, ...linkDeny, ...(linkRules.deny ? compiledIpList(linkRules.deny) : [])];
+  if (ipInRanges(address, deny)) return { allowed: false, bypassAuth: false };
+
+  const allow = linkRules.allow ? compiledIpList(linkRules.allow) : lookupByEnvKey(ipConfig.allowByKey, linkId) ?? ipConfig.allow;
+  if (!allow) return { allowed: true, bypassAuth: false };
+
+  const allowed = ipInRanges(address, allow);
+  return { allowed, bypassAuth: allowed && (linkRules.bypassAuth ?? ipConfig.bypassAuth) };
+}
@@ -0,0 +1,109 @@
+// IPv4 and IPv6 address and CIDR matching for allow and deny lists
+// Lists are comma-separated in variables ("10.0.0.0/8, 2001:db8::/32, 203.0.113.7")
+// or arrays in REDIRECT_CONFIG and KV records; a bare address is a single-host range
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+// Compiled lists are cached by their source, as link records carry them as strings
+const MAX_COMPILED_LISTS = 1_000;
+const COMPILED_LISTS = new Map();
+
+function parseIpv4(text) {
+  const match = IPV4_PATTERN.exec(text);
+  if (!match) return null;
+  let value = 0n;
+  for (const part of match.slice(1)) {
+    if (part.length > 1 && part.startsWith("0")) return null; // No octal-looking octets
+    const octet = Number(part);
+    if (octet > 255) return null;
+    value = (value << 8n) | BigInt(octet);
+  }
+  return value;
+}
+
+function parseIpv6(text) {
+  if (!/^[0-9a-f:.]+$/i.test(text) || text.split("::").length > 2) return null;
+
+  // An embedded IPv4 address ("::ffff:192.0.2.1") stands for the last two groups
+  let normalized = text;
+  const lastColon = text.lastIndexOf(":");
+  if (text.includes(".")) {
+    const ipv4 = parseIpv4(text.slice(lastColon + 1));
+    if (ipv4 === null) return null;
+    normalized = `${text.slice(0, lastColon + 1)}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+  }
+
+  const toGroups = part => part === "" ? [] : part.split(":");
+  const [head, tail] = normalized.split("::");
+  const headGroups = toGroups(head);
+  const tailGroups = tail === undefined ? [] : toGroups(tail);
+  const explicit = headGroups.length + tailGroups.length;
+  if (tail === undefined ? explicit !== 8 : explicit > 7) return null;
+
+  let value = 0n;
+  for (const group of [...headGroups, ...Array(8 - explicit).fill("0"), ...tailGroups]) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+    value = (value << 16n) | BigInt(parseInt(group, 16));
+  }
+  return value;
+}
+
+// Parses an IP address into { version, value }, or returns null
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are treated as IPv4
+export function parseIpAddress(text) {
+  if (typeof text !== "string") return null;
+  const address = text.trim().replace(/^\[(.*)\]$/, "$1");
+
+  const ipv4 = parseIpv4(address);
+  if (ipv4 !== null) return { version: 4, value: ipv4 };
+
+  const ipv6 = parseIpv6(address);
+  if (ipv6 === null) return null;
+  if (ipv6 >> 32n === 0xffffn) return { version: 4, value: ipv6 & 0xffffffffn };
+  return { version: 6, value: ipv6 };
+}
+
+// Parses "address/prefix" or a bare address into { version, network, mask }, throwing if invalid
+export function parseCidr(text) {
+  const [addressText, prefixText, extra] = String(text).trim().split("/");
+  const address = extra === undefined ? parseIpAddress(addressText) : null;
+  if (!address) throw new Error("Invalid IP address or CIDR range");
+
+  const bits = address.version === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? bits : /^\d{1,3}$/.test(prefixText) ? Number(prefixText) : NaN;
+  if (!(prefix >= 0 && prefix <= bits)) throw new Error(`CIDR prefix must be between 0 and ${bits}`);
+
+  const mask = prefix === 0 ? 0n : ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix);
+  return { version: address.version, network: address.value & mask, mask };
+}
+
+// Compiles a list of ranges, collecting invalid entries in errors
+export function compileIpList(entries, errors = []) {
+  const ranges = [];
+  for (const entry of entries) {
+    try {
+      ranges.push(parseCidr(entry));
+    } catch (error) {
+      errors.push(`"${entry}": ${error.message}`);
+    }
+  }
+  return ranges;
+}
+
+// Compiles a validated list once and reuses it
+export function compiledIpList(entries) {
+  const key = entries.join(",");
+  let ranges = COMPILED_LISTS.get(key);
+  if (!ranges) {
+    if (COMPILED_LISTS.size >= MAX_COMPILED_LISTS) COMPILED_LISTS.delete(COMPILED_LISTS.keys().next().value);
+    ranges = compileIpList(entries);
+    COMPILED_LISTS.set(key, ranges);
+  }
+  return ranges;
+}
+
+// Returns true if a parsed address is in any of the ranges
+export function ipInRanges(address, ranges) {
+  if (!address) return false;
+  return ranges.some(range => range.version === address.version && (address.value & range.mask) === range.network);
+}
@@ -0,0 +1,286 @@
+import { base64UrlDecode, base64UrlDecodeBytes } from "./base64.js";
+import { isPlainObject } from "./utils.js";
+
+// JWT authentication for protected links, e.g. behind Cloudflare Access
+// Tokens are read from the Cf-Access-Jwt-Assertion header or an "Authorization: Bearer" header
+// and verified against a JWKS (inline or fetched from jwksUrl) with WebCrypto
+//
+// Settings: { issuer, audience, jwks | jwksUrl, allowedEmails?, allowedGroups? }
+// from REDIRECT_CONFIG auth.jwt or the JWT_* variables
+// Links may replace audience, allowedEmails and allowedGroups with their own "jwt" rules
+
+export const JWT_ASSERTION_HEADER = "Cf-Access-Jwt-Assertion";
+
+// Accepted clock difference for exp/nbf
+export const JWT_CLOCK_SKEW_SECONDS = 60;
+
+// Fetched JWKS are cached per isolate; unknown key ids trigger a refetch at most once per interval
+export const JWKS_CACHE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+export const JWKS_REFETCH_INTERVAL_MS = 60 * 1000; // 1 minute
+
+export const MAX_JWT_LENGTH = 8192;
+
+const SETTINGS_KEYS = new Set(["issuer", "audience", "jwks", "jwksUrl", "allowedEmails", "allowedGroups"]);
+const LINK_RULE_KEYS = new Set(["audience", "allowedEmails", "allowedGroups"]);
+
+// Supported signing algorithms and their WebCrypto parameters
+const ALGORITHMS = {
+  RS256: {
+    kty: "RSA",
+    importParams: { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" },
+    verifyParams: { name: "RSASSA-PKCS1-v1_5" },
+  },
+  ES256: {
+    kty: "EC",
+    importParams: { name: "ECDSA", namedCurve: "P-256" },
+    verifyParams: { name: "ECDSA", hash: "SHA-256" },
+  },
+};
+
+function nowMs() { return Date.now(); }
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+// Validates a JWKS document ({ keys: [...] }), collecting problems in errors
+// Only the public key members are kept, so keys import regardless of use/key_ops
+export function parseJwks(value, errors = [], path = "jwks") {
+  if (!isPlainObject(value) || !Array.isArray(value.keys) || value.keys.length === 0) {
+    errors.push(`${path}: must be a JWKS document with a non-empty "keys" array`);
+    return [];
+  }
+  const keys = [];
+  value.keys.forEach((key, index) => {
+    const keyPath = `${path}.keys[${index}]`;
+    if (key?.kty === "RSA" && isNonEmptyString(key.n) && isNonEmptyString(key.e)) {
+      keys.push({ kid: key.kid, alg: "RS256", jwk: { kty: "RSA", n: key.n, e: key.e } });
+    } else if (key?.kty === "EC" && key.crv === "P-256" && isNonEmptyString(key.x) && isNonEmptyString(key.y)) {
+      keys.push({ kid: key.kid, alg: "ES256", jwk: { kty: "EC", crv: "P-256", x: key.x, y: key.y } });
+    } else {
+      errors.push(`${keyPath}: only RSA and P-256 EC public keys are supported`);
+    }
+  });
+  return keys;
+}
+
+function parseStringList(value, path, errors) {
+  if (value === undefined) return [];
+  const list = typeof value === "string" ? [value] : value;
+  if (!Array.isArray(list) || list.length === 0 || !list.every(isNonEmptyString)) {
+    errors.push(`${path}: must be a non-empty string or array of strings`);
+    return [];
+  }
+  return list.map(item => item.trim());
+}
+
+// Validates JWT settings, collecting problems in errors
+// Returns { issuer, audiences, jwks?, jwksUrl?, allowedEmails, allowedGroups }
+export function parseJwtSettings(value, errors = [], path = "jwt") {
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: must be an object`);
+    return null;
+  }
+  for (const key of Object.keys(value)) {
+    if (!SETTINGS_KEYS.has(key)) errors.push(`${path}.${key}: unknown property`);
+  }
+
+  const settings = {};
+  if (!isNonEmptyString(value.issuer)) errors.push(`${path}.issuer: must be a non-empty string`);
+  else settings.issuer = value.issuer.trim();
+
+  settings.audiences = parseStringList(value.audience, `${path}.audience`, errors);
+  if (value.audience === undefined) errors.push(`${path}.audience: is required`);
+
+  if ((value.jwks === undefined) === (value.jwksUrl === undefined)) {
+    errors.push(`${path}: exactly one of jwks or jwksUrl is required`);
+  } else if (value.jwks !== undefined) {
+    settings.jwks = parseJwks(value.jwks, errors, `${path}.jwks`);
+  } else if (typeof value.jwksUrl !== "string" || !/^https:\/\/[^/?#\s]+/i.test(value.jwksUrl)) {
+    errors.push(`${path}.jwksUrl: must be an absolute https URL`);
+  } else {
+    settings.jwksUrl = value.jwksUrl;
+  }
+
+  settings.allowedEmails = parseStringList(value.allowedEmails, `${path}.allowedEmails`, errors).map(email => email.toLowerCase());
+  settings.allowedGroups = parseStringList(value.allowedGroups, `${path}.allowedGroups`, errors);
+  return settings;
+}
+
+// Validates a link's JWT rules, collecting problems in errors
+// Returns { audiences?, allowedEmails?, allowedGroups? } with only the rules the link sets
+export function parseJwtLinkRules(value, errors = [], path = "jwt") {
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: must be an object`);
+    return null;
+  }
+  for (const key of Object.keys(value)) {
+    if (!LINK_RULE_KEYS.has(key)) errors.push(`${path}.${key}: unknown property`);
+  }
+
+  const rules = {};
+  if (value.audience !== undefined) rules.audiences = parseStringList(value.audience, `${path}.audience`, errors);
+  if (value.allowedEmails !== undefined) {
+    rules.allowedEmails = parseStringList(value.allowedEmails, `${path}.allowedEmails`, errors).map(email => email.toLowerCase());
+  }
+  if (value.allowedGroups !== undefined) rules.allowedGroups = parseStringList(value.allowedGroups, `${path}.allowedGroups`, errors);
+  return rules;
+}
+
+// Applies a link's JWT rules over the shared settings; issuer and keys always come from the settings
+export function jwtSettingsForLink(settings, rules) {
+  return rules ? { ...settings, ...rules } : settings;
+}
+
+// Imports keys lazily and caches fetched JWKS for one settings object
+// Returns an async function (kid, alg) -> CryptoKey | null
+export function createKeyResolver(settings, fetchJwks = defaultFetchJwks) {
+  const imported = new Map();
+  let keys = settings.jwks ?? null;
+  let fetchedAt = 0;
+
+  async function refresh() {
+    try {
+      keys = parseJwks(await fetchJwks(settings.jwksUrl), [], "fetched JWKS");
+      fetchedAt = nowMs();
+      imported.clear();
+    } catch (error) {
+      console.warn(`Fetching JWKS from ${settings.jwksUrl} failed: ${error.message}`);
+      fetchedAt = nowMs();
+    }
+  }
+
+  function find(kid, alg) {
+    return keys?.find(key => key.alg === alg && (kid === undefined || key.kid === undefined || key.kid === kid)) ?? null;
+  }
+
+  return async function resolveKey(kid, alg) {
+    if (settings.jwksUrl) {
+      const age = nowMs() - fetchedAt;
+      if (!keys || age > JWKS_CACHE_TTL_MS || (!find(kid, alg) && age > JWKS_REFETCH_INTERVAL_MS)) await refresh();
+    }
+    const key = find(kid, alg);
+    if (!key) return null;
+
+    const cacheKey = `${alg}:${key.kid ?? ""}:${key.jwk.n ?? key.jwk.x}`;
+    if (!imported.has(cacheKey)) {
+      imported.set(cacheKey, await crypto.subtle.importKey("jwk", key.jwk, ALGORITHMS[alg].importParams, false, ["verify"]));
+    }
+    return imported.get(cacheKey);
+  };
+}
+
+async function defaultFetchJwks(url) {
+  const response = await fetch(url, { headers: { "Accept": "application/json" } });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+}
+
+// Reads the JWT from the Access assertion header, then from "Authorization: Bearer"
+export function getJwtFromRequest(request) {
+  const assertion = request.headers.get(JWT_ASSERTION_HEADER);
+  if (assertion) return assertion.trim();
+  const authHeader = request.headers.get("Authorization") || "";
+  return authHeader.startsWith("Bearer ") ? authHeader.slice(7).trim() : null;
+}
+
+function decodeSegment(segment) {
+  const value = JSON.parse(base64UrlDecode(segment));
+  if (!isPlainObject(value)) throw new Error("not a JSON object");
+  return value;
+}
+
+function checkClaims(payload, settings) {
+  const now = Math.floor(nowMs() / 1000);
+  if (payload.iss !== settings.issuer) return "issuer mismatch";
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.some(audience => settings.audiences.includes(audience))) return "audience mismatch";
+
+  if (typeof payload.exp !== "number" || payload.exp + JWT_CLOCK_SKEW_SECONDS <= now) return "expired";
+  if (payload.nbf !== undefined && (typeof payload.nbf !== "number" || payload.nbf - JWT_CLOCK_SKEW_SECONDS > now)) {
+    return "not yet valid";
+  }
+
+  // Entries starting with "@" allow a whole email domain
+  if (settings.allowedEmails.length > 0) {
+    const email = typeof payload.email === "string" ? payload.email.toLowerCase() : "";
+    const allowed = settings.allowedEmails.some(entry => entry.startsWith("@") ? email.endsWith(entry) : email === entry);
+    if (!allowed) return "email not allowed";
+  }
+  if (settings.allowedGroups.length > 0) {
+    const groups = Array.isArray(payload.groups) ? payload.groups : [];
+    if (!groups.some(group => settings.allowedGroups.includes(group))) return "group not allowed";
+  }
+  return null;
+}
+
+// Verifies a JWT's signature and claims
+// Returns { payload } if valid, otherwise { error } with a short reason for logging
+export async function verifyJwt(token, settings, resolveKey) {
+  if (typeof token !== "string" || token.length > MAX_JWT_LENGTH) return { error: "malformed token" };
+  const parts = token.split(".");
+  if (parts.length !== 3) return { error: "malformed token" };
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch {
+    return { error: "malformed token" };
+  }
+
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) return { error: "unsupported algorithm" };
+
+  const key = await resolveKey(header.kid, header.alg);
+  if (!key) return { error: "unknown key" };
+
+  const signature = base64UrlDecodeBytes(parts[2]);
+  const data = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+  let valid = false;
+  try {
+    valid = await crypto.subtle.verify(algorithm.verifyParams, key, signature, data);
+  } catch {
+    valid = false;
+  }
+  if (!valid) return { error: "invalid signature" };
+
+  const claimError = checkClaims(payload, settings);
+  return claimError ? { error: claimError } : { payload };
+}
+
+// Lists the JWT_* variables present in env (including JWT_AUTH_SUBDOMAINS)
+export function jwtConfigKeys(env) {
+  return Object.keys(env).filter(key => key.startsWith("JWT_") && env[key] !== undefined).sort();
+}
+
+// Builds raw JWT settings from JWT_ISSUER, JWT_AUDIENCE, JWT_JWKS or JWT_JWKS_URL,
+// JWT_ALLOWED_EMAILS and JWT_ALLOWED_GROUPS (lists are comma-separated)
+// Returns null if none of them is set
+export function jwtSettingsFromEnv(env, errors = []) {
+  const keys = ["JWT_ISSUER", "JWT_AUDIENCE", "JWT_JWKS", "JWT_JWKS_URL", "JWT_ALLOWED_EMAILS", "JWT_ALLOWED_GROUPS"];
+  if (!keys.some(key => env[key])) return null;
+
+  const list = value => value ? value.split(",").map(item => item.trim()).filter(Boolean) : undefined;
+  const raw = {
+    issuer: env.JWT_ISSUER,
+    audience: list(env.JWT_AUDIENCE),
+    allowedEmails: list(env.JWT_ALLOWED_EMAILS),
+    allowedGroups: list(env.JWT_ALLOWED_GROUPS),
+  };
+  if (env.JWT_JWKS_URL) raw.jwksUrl = env.JWT_JWKS_URL;
+  if (env.JWT_JWKS) {
+    try {
+      raw.jwks = JSON.parse(env.JWT_JWKS);
+    } catch (error) {
+      errors.push(`JWT_JWKS: not valid JSON: ${error.message}`);
+      return null;
+    }
+  }
+  for (const key of Object.keys(raw)) {
+    if (raw[key] === undefined) delete raw[key];
+  }
+  return parseJwtSettings(raw, errors, "JWT");
+}
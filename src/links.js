@@ -0,0 +1,104 @@
+import { matchPatternRules } from "./patterns.js";
+import { shortLinkId, SHORT_LINK_KV_PREFIX } from "./shortlinks.js";
+import { validateLinkRecord } from "./config.js";
+import { envKeyFor } from "./env-keys.js";
+
+// Isolate-level cache for KV link records: Subdomain -> { record, expiresAt }
+export const DEFAULT_LINK_CACHE_TTL_MS = 60 * 1000; // 1 minute
+export const MAX_LINK_CACHE_ENTRIES = 1_000;
+const LINK_CACHE = new Map();
+
+function nowMs() { return Date.now(); }
+
+// Convention: LINK_<SUBDOMAIN> (uppercase)
+// For multi-level subdomains, dots are replaced with underscores
+// Example: foo.bar -> LINK_FOO_BAR, foo@example.org -> LINK_EXAMPLE_ORG__FOO
+export function getEnvLink(name, env) {
+  const target = env[`LINK_${envKeyFor(name)}`];
+  return target ? { target } : null;
+}
+
+// Validates a link record as stored in KV: { target, status?, protected?, users?, credentials? }
+// Uses the same rules as REDIRECT_CONFIG links and throws with all problems found
+export function parseLinkRecord(value) {
+  const { link, errors } = validateLinkRecord(value);
+  if (errors.length > 0) throw new Error(errors.join("; "));
+  return link;
+}
+
+function cacheTtlMs(env) {
+  const seconds = Number(env.LINKS_CACHE_TTL);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : DEFAULT_LINK_CACHE_TTL_MS;
+}
+
+// Remove oldest entry if cache is full
+function evictIfNeeded() {
+  if (LINK_CACHE.size < MAX_LINK_CACHE_ENTRIES) return;
+  const firstKey = LINK_CACHE.keys().next().value;
+  if (firstKey !== undefined) LINK_CACHE.delete(firstKey);
+}
+
+// Reads a link record from the LINKS KV namespace, caching hits and misses
+async function getKvLink(key, env) {
+  const cached = LINK_CACHE.get(key);
+  if (cached && nowMs() < cached.expiresAt) return cached.record;
+
+  let value;
+  try {
+    value = await env.LINKS.get(key, { type: "json" });
+  } catch (error) {
+    console.warn(`KV link lookup failed for "${key}": ${error.message}`);
+    return null;
+  }
+
+  let record = null;
+  try {
+    if (value !== null) record = parseLinkRecord(value);
+  } catch (error) {
+    console.warn(`Invalid KV link record "${key}": ${error.message}`);
+  }
+
+  LINK_CACHE.delete(key);
+  evictIfNeeded();
+  LINK_CACHE.set(key, { record, expiresAt: nowMs() + cacheTtlMs(env) });
+  return record;
+}
+
+// Resolves a link by exact name (a subdomain or a suffix-scoped "<subdomain>@<suffix>")
+// Lookup order: KV namespace (if bound), REDIRECT_CONFIG links, then LINK_* variables
+export async function getExactLink(name, env, configLinks = new Map()) {
+  if (env.LINKS) {
+    const record = await getKvLink(name, env);
+    if (record) return record;
+  }
+  return configLinks.get(name) ?? getEnvLink(name, env);
+}
+
+// Resolves the link for a subdomain
+// Lookup order: KV namespace (if bound), REDIRECT_CONFIG links, LINK_* variables, then pattern rules
+// Links matched by a pattern carry the pattern's captures for target substitution, and its match as pattern
+export async function getLink(subdomain, env, configLinks = new Map(), patternRules = []) {
+  const exact = await getExactLink(subdomain, env, configLinks);
+  if (exact) return exact;
+
+  const match = matchPatternRules(subdomain, patternRules);
+  return match ? { ...match.rule.link, captures: match.captures, pattern: match.rule.match } : null;
+}
+
+// Resolves a path-based short link by name
+// Lookup order: KV namespace (if bound), REDIRECT_CONFIG short links, then LINK_SHORTLINK_<NAME>
+export async function getShortLink(name, env, configShortLinks = new Map()) {
+  if (env.LINKS) {
+    const record = await getKvLink(SHORT_LINK_KV_PREFIX + name, env);
+    if (record) return record;
+  }
+  return configShortLinks.get(name) ?? getEnvLink(shortLinkId(name), env);
+}
+
+// Drops cached KV records for one key, or all of them
+export function invalidateLinkCache(key) {
+  if (key === undefined) LINK_CACHE.clear();
+  else LINK_CACHE.delete(key);
+}
+
+export { LINK_CACHE };
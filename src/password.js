@@ -0,0 +1,45 @@
+import { toHex, fromHex, pbkdf2Sha256Hex } from "./crypto.js";
+
+// Passwords may be stored as PBKDF2-SHA256 hashes instead of plaintext:
+// pbkdf2$<iterations>$<salt hex>$<hash hex>
+// Generate them with: npm run hash-password
+export const PASSWORD_HASH_PREFIX = "pbkdf2$";
+
+// Cloudflare Workers reject PBKDF2 with more than 100,000 iterations
+// Basic Auth checks the hash on every request, so the iterations are CPU time spent per request
+export const DEFAULT_PBKDF2_ITERATIONS = 100_000;
+export const MAX_PBKDF2_ITERATIONS = 100_000;
+
+const SALT_BYTES = 16;
+const MIN_HASH_BYTES = 16;
+
+// Returns true if a stored password is meant to be a hash (even if malformed)
+export function isPasswordHash(value) {
+  return typeof value === "string" && value.startsWith(PASSWORD_HASH_PREFIX);
+}
+
+// Parses a password hash into { iterations, salt, hash }, or returns null if it is malformed
+export function parsePasswordHash(value) {
+  if (!isPasswordHash(value)) return null;
+  const parts = value.split("$");
+  if (parts.length !== 4) return null;
+
+  const [, iterationsText, saltHex, hash] = parts;
+  const iterations = /^\d{1,7}$/.test(iterationsText) ? Number(iterationsText) : NaN;
+  if (!(iterations >= 1 && iterations <= MAX_PBKDF2_ITERATIONS)) return null;
+
+  const salt = fromHex(saltHex);
+  const hashBytes = fromHex(hash);
+  if (!salt || salt.length === 0 || !hashBytes || hashBytes.length < MIN_HASH_BYTES) return null;
+  return { iterations, salt, hash: hash.toLowerCase() };
+}
+
+// Hashes a password in the format above with a random salt
+export async function hashPassword(password, iterations = DEFAULT_PBKDF2_ITERATIONS) {
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new Error(`Iterations must be an integer between 1 and ${MAX_PBKDF2_ITERATIONS}`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await pbkdf2Sha256Hex(password, salt, iterations);
+  return `${PASSWORD_HASH_PREFIX}${iterations}$${toHex(salt)}$${hash}`;
+}
@@ -0,0 +1,109 @@
+// Subdomain patterns:
+// - Globs: "*" matches a single label, "**" matches one or more labels, e.g. "*.preview"
+// - Regular expressions wrapped in slashes, e.g. "/^pr-(\d+)\.preview$/"
+// Wildcards and regex groups are captured and exposed to targets as {1}, {2}, ...
+
+const REGEX_PATTERN = /^\/(.+)\/$/;
+
+// Links matched by a rule are identified by the rule ("pattern:<match>"), so every subdomain it
+// matches shares one rate limit budget, the rule's credentials and its access tokens
+export const PATTERN_LINK_PREFIX = "pattern:";
+
+export function patternLinkId(match) {
+  return `${PATTERN_LINK_PREFIX}${match}`;
+}
+const GLOB_PATTERN = /^[a-z0-9.*-]+$/;
+
+// Returns true if the value is a glob or regex rather than a plain subdomain
+export function isPattern(value) {
+  return typeof value === "string" && (value.includes("*") || REGEX_PATTERN.test(value));
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.+?^${}()|[\]\\-]/g, "\\$&");
+}
+
+// Compiles a glob or regex pattern into { regex, specificity }
+// Specificity is the number of literal characters, used to order glob rules
+export function compilePattern(source) {
+  if (typeof source !== "string" || !source) {
+    throw new Error("Pattern must be a non-empty string");
+  }
+
+  const regexMatch = REGEX_PATTERN.exec(source);
+  if (regexMatch) {
+    try {
+      return { regex: new RegExp(`^(?:${regexMatch[1]})$`), specificity: 0 };
+    } catch (error) {
+      throw new Error(`Invalid regular expression: ${error.message}`);
+    }
+  }
+
+  if (!GLOB_PATTERN.test(source) || source.includes("***")) {
+    throw new Error("Glob patterns may only contain lowercase letters, digits, dots, hyphens and wildcards");
+  }
+  const body = source
+    .split(/(\*\*|\*)/)
+    .map(part => part === "**" ? "(.+)" : part === "*" ? "([^.]+)" : escapeRegex(part))
+    .join("");
+  return { regex: new RegExp(`^${body}$`), specificity: source.replace(/\*/g, "").length };
+}
+
+// Orders rules by priority (highest first), then specificity, then declaration order
+export function sortPatternRules(rules) {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) =>
+      (b.rule.priority - a.rule.priority) ||
+      (b.rule.specificity - a.rule.specificity) ||
+      (a.index - b.index))
+    .map(({ rule }) => rule);
+}
+
+// Returns the captures of the first matching rule as { rule, captures } or null
+export function matchPatternRules(subdomain, rules) {
+  for (const rule of rules) {
+    const match = rule.regex.exec(subdomain);
+    if (match) return { rule, captures: match.slice(1).map(value => value ?? "") };
+  }
+  return null;
+}
+
+// Converts captures to template variables: ["a", "b"] -> { 1: "a", 2: "b" }
+export function captureVariables(captures = []) {
+  return Object.fromEntries(captures.map((value, index) => [String(index + 1), value]));
+}
+
+// Compiles PROTECTED_SUBDOMAINS entries into exact names and patterns
+// Entries of the form "<name>@<suffix>" only apply to hosts under that suffix
+// Invalid patterns are collected in errors
+export function compileSubdomainMatcher(entries, errors = []) {
+  const exact = new Set();
+  const patterns = [];
+  for (const entry of entries) {
+    const separator = entry.lastIndexOf("@");
+    const name = separator === -1 ? entry : entry.slice(0, separator);
+    const suffix = separator === -1 ? null : entry.slice(separator + 1).toLowerCase().replace(/^\./, "");
+
+    if (!isPattern(name)) {
+      exact.add(suffix === null ? name : `${name}@${suffix}`);
+      continue;
+    }
+    try {
+      patterns.push({ regex: compilePattern(name).regex, suffix });
+    } catch (error) {
+      errors.push(`"${entry}": ${error.message}`);
+    }
+  }
+  return { exact, patterns };
+}
+
+// Returns true if a subdomain matches an exact name or any pattern
+// Suffix-specific entries only match when the request's host suffix is given and equal
+export function subdomainMatches(subdomain, matcher, suffix = "") {
+  const suffixName = suffix.startsWith(".") ? suffix.slice(1) : null;
+  if (matcher.exact.has(subdomain)) return true;
+  if (suffixName !== null && matcher.exact.has(`${subdomain}@${suffixName}`)) return true;
+  return matcher.patterns.some(pattern =>
+    (pattern.suffix === null || pattern.suffix === suffixName) && pattern.regex.test(subdomain));
+}
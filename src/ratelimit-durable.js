@@ -0,0 +1,114 @@
+import {
+  DEFAULT_RATE_LIMIT_POLICY, activeEntry, addFailure, canClaim, entryExpiresAt, entryStatus, isLockedOut, makeRateLimitKey
+} from "./ratelimit.js";
+
+// Distributed rate limiting with a Durable Object per client and link (or scope)
+// Enabled by binding the RateLimiterDurableObject class as RATE_LIMITER; every isolate then
+// shares the same failure counts instead of starting with a fresh budget
+//
+// The object keeps one entry with the same rules as ratelimit.js, applying the policy each
+// request passes, and an alarm removes it once it has nothing left to remember
+// Objects for claimed values (see claimValue in ratelimit.js) keep the claim instead, until it expires
+
+const ENTRY_KEY = "entry";
+const CLAIM_KEY = "claim";
+
+function json(body) {
+  return new Response(JSON.stringify(body), { headers: { "Content-Type": "application/json" } });
+}
+
+export class RateLimiterDurableObject {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async currentEntry(now) {
+    const stored = await this.state.storage.get(ENTRY_KEY);
+    const entry = activeEntry(stored, now);
+    if (!entry) {
+      if (stored) await this.state.storage.delete(ENTRY_KEY);
+      return null;
+    }
+    if (entry !== stored) await this.saveEntry(entry);
+    return entry;
+  }
+
+  // The alarm fires when the entry has nothing left to remember
+  async saveEntry(entry) {
+    await this.state.storage.put(ENTRY_KEY, entry);
+    await this.state.storage.setAlarm(entryExpiresAt(entry));
+  }
+
+  async claim(value, ttlMs, now) {
+    if (!canClaim(await this.state.storage.get(CLAIM_KEY), value, now)) return false;
+    await this.state.storage.put(CLAIM_KEY, { value, expiresAt: now + ttlMs });
+    await this.state.storage.setAlarm(now + ttlMs);
+    return true;
+  }
+
+  // POST /check, /fail or /clear with { clientId, policy? }; responds with { limited, retryAfter, limit, remaining }
+  // POST /claim with { value, ttlMs }; responds with { claimed }
+  async fetch(request) {
+    const action = new URL(request.url).pathname.slice(1);
+    const { clientId, policy = DEFAULT_RATE_LIMIT_POLICY, value, ttlMs } = await request.json();
+    const now = Date.now();
+    if (action === "claim") return json({ claimed: await this.claim(value, ttlMs, now) });
+    let entry = await this.currentEntry(now);
+
+    if (action === "clear") {
+      await this.state.storage.delete(ENTRY_KEY);
+      entry = null;
+    } else if (action === "fail") {
+      entry = addFailure(entry, now, clientId, policy);
+      await this.saveEntry(entry);
+    } else if (action !== "check") {
+      return new Response("Not found", { status: 404 });
+    }
+
+    const { limit, remaining, reset } = entryStatus(entry, now, clientId, policy);
+    return json({ limited: isLockedOut(entry, now), retryAfter: reset, limit, remaining });
+  }
+
+  async alarm() {
+    const now = Date.now();
+    await this.currentEntry(now);
+    const claimed = await this.state.storage.get(CLAIM_KEY);
+    if (claimed && now >= claimed.expiresAt) await this.state.storage.delete(CLAIM_KEY);
+  }
+}
+
+// Client for the RATE_LIMITER namespace, with the same operations as the in-memory limiter
+export function createDurableObjectRateLimiter(namespace) {
+  async function call(action, clientId, scope, fields = {}) {
+    const stub = namespace.get(namespace.idFromName(makeRateLimitKey(clientId, scope)));
+    const response = await stub.fetch(`https://rate-limiter/${action}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ clientId, ...fields }),
+    });
+    if (!response.ok) throw new Error(`Rate limiter returned ${response.status}`);
+    return response.json();
+  }
+
+  return {
+    async isRateLimited(clientId, scope, policy) {
+      return (await call("check", clientId, scope, { policy })).limited;
+    },
+    async registerFailedAttempt(clientId, scope, policy) {
+      await call("fail", clientId, scope, { policy });
+    },
+    async clearFailures(clientId, scope) {
+      await call("clear", clientId, scope);
+    },
+    async retryAfterSeconds(clientId, scope) {
+      return (await call("check", clientId, scope)).retryAfter;
+    },
+    async status(clientId, scope, policy) {
+      const { limit, remaining, retryAfter } = await call("check", clientId, scope, { policy });
+      return { limit, remaining, reset: retryAfter };
+    },
+    async claim(key, scope, value, ttlMs) {
+      return (await call("claim", key, scope, { value, ttlMs })).claimed;
+    },
+  };
+}
@@ -0,0 +1,141 @@
+import { lookupByEnvKey } from "./env-keys.js";
+import { DEFAULT_RATE_LIMIT_POLICY } from "./ratelimit.js";
+import { DEFAULT_PER_CLIENT_POLICY, DEFAULT_PER_USER_POLICY } from "./stuffing.js";
+import { isPlainObject } from "./utils.js";
+
+// Rate limit policies for failed authentication attempts
+// { window?, maxAttempts?, maxAttemptsUnknown?, escalate?, maxLockout? } (window and maxLockout in seconds)
+// - RATE_LIMIT_WINDOW, RATE_LIMIT_MAX_ATTEMPTS, RATE_LIMIT_MAX_ATTEMPTS_UNKNOWN, RATE_LIMIT_ESCALATE
+//   and RATE_LIMIT_MAX_LOCKOUT apply to all links (REDIRECT_CONFIG "rateLimit" replaces them)
+// - RATE_LIMIT_POLICY_<LINK> JSON and a link's "rateLimit" property apply to one link
+// - RATE_LIMIT_PER_CLIENT and RATE_LIMIT_PER_USER JSON (or "perClient" and "perUser" in REDIRECT_CONFIG
+//   "rateLimit") set the policies of the counters across all links (see stuffing.js), or false to disable them
+// Settings left out are inherited: link property, then RATE_LIMIT_POLICY_<LINK>, then the global policy
+
+const POLICY_PREFIX = "RATE_LIMIT_POLICY_";
+const POLICY_KEYS = new Set(["window", "maxAttempts", "maxAttemptsUnknown", "escalate", "maxLockout"]);
+const COUNTER_KEYS = ["perClient", "perUser"];
+const COUNTER_VARIABLES = { perClient: "RATE_LIMIT_PER_CLIENT", perUser: "RATE_LIMIT_PER_USER" };
+
+// Global variables and the policy settings they hold
+const GLOBAL_VARIABLES = {
+  RATE_LIMIT_WINDOW: "window",
+  RATE_LIMIT_MAX_ATTEMPTS: "maxAttempts",
+  RATE_LIMIT_MAX_ATTEMPTS_UNKNOWN: "maxAttemptsUnknown",
+  RATE_LIMIT_ESCALATE: "escalate",
+  RATE_LIMIT_MAX_LOCKOUT: "maxLockout",
+};
+
+function parsePositiveInteger(value, path, errors) {
+  if (!Number.isInteger(value) || value <= 0) errors.push(`${path}: must be a positive integer`);
+  return value;
+}
+
+// Validates a policy, collecting problems in errors
+// The global policy in REDIRECT_CONFIG may also set the counters across all links
+export function parseRateLimitPolicy(value, path, errors, { global = false } = {}) {
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: must be an object`);
+    return undefined;
+  }
+  for (const key of Object.keys(value)) {
+    if (!POLICY_KEYS.has(key) && !(global && COUNTER_KEYS.includes(key))) errors.push(`${path}.${key}: unknown property`);
+  }
+
+  const policy = {};
+  for (const key of ["window", "maxAttempts", "maxAttemptsUnknown", "maxLockout"]) {
+    if (value[key] !== undefined) policy[key] = parsePositiveInteger(value[key], `${path}.${key}`, errors);
+  }
+  if (value.escalate !== undefined) {
+    if (typeof value.escalate !== "boolean") errors.push(`${path}.escalate: must be a boolean`);
+    policy.escalate = value.escalate;
+  }
+  for (const key of global ? COUNTER_KEYS : []) {
+    if (value[key] !== undefined) policy[key] = parseCounterPolicy(value[key], `${path}.${key}`, errors);
+  }
+  return policy;
+}
+
+// A counter's policy, or false if it is disabled
+function parseCounterPolicy(value, path, errors) {
+  return value === false ? false : parseRateLimitPolicy(value, path, errors);
+}
+
+// Applies the settings of a policy to a resolved one ({ windowMs, ..., maxLockoutMs })
+function applyPolicy(base, policy) {
+  if (!policy) return base;
+  const resolved = { ...base };
+  if (policy.window !== undefined) resolved.windowMs = policy.window * 1000;
+  if (policy.maxAttempts !== undefined) resolved.maxAttempts = policy.maxAttempts;
+  if (policy.maxAttemptsUnknown !== undefined) resolved.maxAttemptsUnknown = policy.maxAttemptsUnknown;
+  if (policy.escalate !== undefined) resolved.escalate = policy.escalate;
+  if (policy.maxLockout !== undefined) resolved.maxLockoutMs = policy.maxLockout * 1000;
+  return resolved;
+}
+
+// Reads the global variables into a policy
+function globalPolicyFromEnv(env, errors) {
+  const policy = {};
+  for (const [setting, key] of Object.entries(COUNTER_VARIABLES)) {
+    if (env[key] === undefined || env[key] === "") continue;
+    try {
+      policy[setting] = parseCounterPolicy(JSON.parse(env[key]), key, errors);
+    } catch (error) {
+      errors.push(`${key}: not valid JSON: ${error.message}`);
+    }
+  }
+  for (const [key, setting] of Object.entries(GLOBAL_VARIABLES)) {
+    const value = env[key];
+    if (value === undefined || value === "") continue;
+    if (setting === "escalate") {
+      if (value !== "true" && value !== "false") errors.push(`${key}: must be "true" or "false"`);
+      policy.escalate = value === "true";
+    } else {
+      policy[setting] = parsePositiveInteger(/^\d+$/.test(value.trim()) ? Number(value) : NaN, key, errors);
+    }
+  }
+  return policy;
+}
+
+// Lists the RATE_LIMIT_* variables present in env, for configuration change detection
+export function rateLimitConfigKeys(env) {
+  return Object.keys(env).filter(key => key.startsWith("RATE_LIMIT_") && env[key] !== undefined).sort();
+}
+
+// Applies a counter's settings to its defaults; false disables the counter
+function counterPolicy(defaults, policy) {
+  return policy === false ? null : applyPolicy(defaults, policy);
+}
+
+// Builds the global and per-link policies from the variables and the REDIRECT_CONFIG "rateLimit" policy
+// Returns { global, byKey, perClient, perUser }; perClient and perUser are null if disabled
+// Invalid settings are collected in errors rather than falling back to the defaults
+export function parseRateLimitConfig(env, configPolicy, errors = []) {
+  const globalPolicy = configPolicy ?? globalPolicyFromEnv(env, errors);
+  const global = applyPolicy(DEFAULT_RATE_LIMIT_POLICY, globalPolicy);
+
+  const byKey = new Map();
+  for (const key of rateLimitConfigKeys(env).filter(key => key.startsWith(POLICY_PREFIX))) {
+    let value;
+    try {
+      value = JSON.parse(env[key]);
+    } catch (error) {
+      errors.push(`${key}: not valid JSON: ${error.message}`);
+      continue;
+    }
+    const policy = parseRateLimitPolicy(value, key, errors);
+    if (policy) byKey.set(key.slice(POLICY_PREFIX.length), applyPolicy(global, policy));
+  }
+  return {
+    global,
+    byKey,
+    perClient: counterPolicy(DEFAULT_PER_CLIENT_POLICY, globalPolicy.perClient),
+    perUser: counterPolicy(DEFAULT_PER_USER_POLICY, globalPolicy.perUser),
+  };
+}
+
+// Policy for a link: its own "rateLimit" settings over RATE_LIMIT_POLICY_<LINK> over the global policy
+export function rateLimitPolicyFor(linkId, link, rateLimitConfig) {
+  const base = lookupByEnvKey(rateLimitConfig.byKey, linkId) ?? rateLimitConfig.global;
+  return applyPolicy(base, link?.rateLimit);
+}
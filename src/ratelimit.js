@@ -3,56 +3,172 @@ import { securityHeaders } from './security-headers.js';
 export const RATE_LIMIT_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
 export const MAX_FAILED_ATTEMPTS = 10;
 export const MAX_FAILED_ATTEMPTS_UNKNOWN = 3; // Stricter for unknown clients
+export const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000; // 1 day
+
+// Limits used unless configured otherwise (see ratelimit-policy.js)
+// Failures count within a sliding window: reaching the limit locks the client out until the
+// oldest of those failures leaves the window
+// With escalate set, the lockout instead lasts windowMs, and every further lockout doubles that,
+// up to maxLockoutMs. The count of lockouts is forgotten after a success, or once maxLockoutMs
+// has passed since the last lockout ended
+export const DEFAULT_RATE_LIMIT_POLICY = Object.freeze({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  maxAttempts: MAX_FAILED_ATTEMPTS,
+  maxAttemptsUnknown: MAX_FAILED_ATTEMPTS_UNKNOWN,
+  escalate: false,
+  maxLockoutMs: MAX_LOCKOUT_MS,
+});
 
 // Capacity & eviction to avoid unbounded memory growth
+// When full, the least recently touched expired entry is dropped, otherwise the least recently
+// touched one without a lockout, so flooding the bucket with new keys does not end lockouts
 export const MAX_RATE_LIMIT_KEYS = 10_000;
+export const EVICTION_SCAN_LIMIT = 256;
+
+// Expired entries are also swept in the background of requests, in bounded batches
+export const SWEEP_INTERVAL_MS = 30 * 1000;
+export const SWEEP_BATCH_SIZE = 100;
 
 // Authorization header sanity limit to reduce header-based DoS attempts
 export const MAX_AUTH_HEADER_LENGTH = 4096;
 
-// Internal bucket: Key -> { fails, resetAt }
+// Internal bucket: Key -> { failures, windowMs, lockedUntil, lockouts, lockoutsResetAt },
+// least recently touched first. failures holds the times of the most recent failures in the window,
+// at most as many as the limit
 const RATE_LIMIT_BUCKET = new Map();
 
+// Values claimed at most once, e.g. accepted TOTP steps: Key -> { value, expiresAt },
+// least recently claimed first
+const CLAIMED_VALUES = new Map();
+
+const STATS = { evictions: 0, sweptEntries: 0 };
+let lastSweepAt = 0;
+
 function makeRateLimitKey(clientId, subdomain) {
   return `${clientId}::${subdomain}`;
 }
 
 function nowMs() { return Date.now(); }
 
-function pruneIfExpired(key) {
-  const entry = RATE_LIMIT_BUCKET.get(key);
-  if (entry && nowMs() > entry.resetAt) RATE_LIMIT_BUCKET.delete(key);
+function limitFor(clientId, policy = DEFAULT_RATE_LIMIT_POLICY) {
+  return clientId === "unknown" ? policy.maxAttemptsUnknown : policy.maxAttempts;
 }
 
-// Remove oldest entry if bucket is full
-function evictIfNeeded() {
-  if (RATE_LIMIT_BUCKET.size < MAX_RATE_LIMIT_KEYS) return;
-  const firstKey = RATE_LIMIT_BUCKET.keys().next().value;
-  if (firstKey) RATE_LIMIT_BUCKET.delete(firstKey);
+// Time from which an entry has nothing left to remember
+export function entryExpiresAt(entry) {
+  const lastFailure = entry.failures.at(-1);
+  return Math.max(lastFailure === undefined ? 0 : lastFailure + entry.windowMs, entry.lockedUntil, entry.lockouts > 0 ? entry.lockoutsResetAt : 0);
 }
 
-function limitFor(clientId) {
-  return clientId === "unknown" ? MAX_FAILED_ATTEMPTS_UNKNOWN : MAX_FAILED_ATTEMPTS;
+// Returns the entry still in effect at now, without failures that left the window, or null
+// Entries stored in the earlier { fails, resetAt } format are dropped
+export function activeEntry(entry, now) {
+  if (!entry || !Array.isArray(entry.failures) || now >= entryExpiresAt(entry)) return null;
+  const failures = entry.failures.filter(time => now - time < entry.windowMs);
+  return failures.length === entry.failures.length ? entry : { ...entry, failures };
 }
 
-export function isRateLimited(clientId, subdomain) {
-  const key = makeRateLimitKey(clientId, subdomain);
-  pruneIfExpired(key);
-  const entry = RATE_LIMIT_BUCKET.get(key);
-  return !!entry && entry.fails >= limitFor(clientId);
+// Returns true if an entry locks its client out at now
+export function isLockedOut(entry, now) {
+  return !!entry && now < entry.lockedUntil;
 }
 
-export function registerFailedAttempt(clientId, subdomain) {
-  const key = makeRateLimitKey(clientId, subdomain);
-  pruneIfExpired(key);
-  const currentTime = nowMs();
-  let entry = RATE_LIMIT_BUCKET.get(key);
-  if (!entry) {
-    evictIfNeeded();
-    entry = { fails: 0, resetAt: currentTime + RATE_LIMIT_WINDOW_MS };
-    RATE_LIMIT_BUCKET.set(key, entry);
+// Returns the entry after one more failure; failures during a lockout do not extend it
+export function addFailure(entry, now, clientId, policy = DEFAULT_RATE_LIMIT_POLICY) {
+  const limit = limitFor(clientId, policy);
+  const current = entry ?? { failures: [], lockedUntil: 0, lockouts: 0, lockoutsResetAt: 0 };
+  const next = {
+    ...current,
+    windowMs: policy.windowMs,
+    failures: [...current.failures.filter(time => now - time < policy.windowMs), now].slice(-limit),
+  };
+  if (isLockedOut(next, now) || next.failures.length < limit) return next;
+
+  if (policy.escalate) {
+    next.lockedUntil = now + Math.min(policy.windowMs * 2 ** next.lockouts, Math.max(policy.maxLockoutMs, policy.windowMs));
+    next.lockouts += 1;
+    next.lockoutsResetAt = next.lockedUntil + policy.maxLockoutMs;
+  } else {
+    next.lockedUntil = next.failures[0] + policy.windowMs;
+  }
+  return next;
+}
+
+// Seconds until an entry's lockout ends, or (without one) until its failures have left the window
+export function retryAfterSeconds(entry, now) {
+  if (!entry) return 0;
+  const lastFailure = entry.failures.at(-1);
+  const until = isLockedOut(entry, now) ? entry.lockedUntil : lastFailure === undefined ? now : lastFailure + entry.windowMs;
+  return Math.ceil(Math.max(0, until - now) / 1000);
+}
+
+// Client-facing state of an entry: { limit, remaining, reset }, reset in seconds as for Retry-After
+export function entryStatus(entry, now, clientId, policy = DEFAULT_RATE_LIMIT_POLICY) {
+  const limit = limitFor(clientId, policy);
+  const remaining = isLockedOut(entry, now) ? 0 : Math.max(0, limit - (entry?.failures.length ?? 0));
+  return { limit, remaining, reset: retryAfterSeconds(entry, now) };
+}
+
+// Returns the entry for a key, if still in effect, and marks it as most recently touched
+function touch(key, now) {
+  const entry = activeEntry(RATE_LIMIT_BUCKET.get(key), now);
+  RATE_LIMIT_BUCKET.delete(key);
+  if (entry) RATE_LIMIT_BUCKET.set(key, entry);
+  return entry;
+}
+
+// Removes expired entries among the least recently touched ones; returns how many were removed
+export function sweepExpired(now = nowMs(), limit = SWEEP_BATCH_SIZE) {
+  let scanned = 0;
+  let removed = 0;
+  for (const [key, entry] of RATE_LIMIT_BUCKET) {
+    if (scanned++ >= limit) break;
+    if (now >= entryExpiresAt(entry)) {
+      RATE_LIMIT_BUCKET.delete(key);
+      removed++;
+    }
+  }
+  STATS.sweptEntries += removed;
+  return removed;
+}
+
+function sweepIfDue(now) {
+  if (now >= lastSweepAt && now - lastSweepAt < SWEEP_INTERVAL_MS) return;
+  lastSweepAt = now;
+  sweepExpired(now);
+}
+
+// Makes room for a new entry if the bucket is full
+function evictIfNeeded(now = nowMs()) {
+  if (RATE_LIMIT_BUCKET.size < MAX_RATE_LIMIT_KEYS) return;
+  let unlocked;
+  let scanned = 0;
+  for (const [key, entry] of RATE_LIMIT_BUCKET) {
+    if (scanned++ >= EVICTION_SCAN_LIMIT) break;
+    if (now >= entryExpiresAt(entry)) {
+      RATE_LIMIT_BUCKET.delete(key);
+      STATS.sweptEntries++;
+      return;
+    }
+    if (unlocked === undefined && !isLockedOut(entry, now)) unlocked = key;
   }
-  entry.fails += 1;
+  RATE_LIMIT_BUCKET.delete(unlocked ?? RATE_LIMIT_BUCKET.keys().next().value);
+  STATS.evictions++;
+}
+
+export function isRateLimited(clientId, subdomain, policy = DEFAULT_RATE_LIMIT_POLICY) {
+  const now = nowMs();
+  sweepIfDue(now);
+  return isLockedOut(touch(makeRateLimitKey(clientId, subdomain), now), now);
+}
+
+export function registerFailedAttempt(clientId, subdomain, policy = DEFAULT_RATE_LIMIT_POLICY) {
+  const key = makeRateLimitKey(clientId, subdomain);
+  const now = nowMs();
+  sweepIfDue(now);
+  const entry = touch(key, now);
+  if (!entry) evictIfNeeded(now);
+  RATE_LIMIT_BUCKET.set(key, addFailure(entry, now, clientId, policy));
 }
 
 export function clearFailures(clientId, subdomain) {
@@ -60,13 +176,43 @@ export function clearFailures(clientId, subdomain) {
 }
 
 function remainingWindowSeconds(clientId, subdomain) {
-  const entry = RATE_LIMIT_BUCKET.get(makeRateLimitKey(clientId, subdomain));
-  if (!entry) return 0;
-  return Math.ceil(Math.max(0, entry.resetAt - nowMs()) / 1000);
+  const now = nowMs();
+  return retryAfterSeconds(touch(makeRateLimitKey(clientId, subdomain), now), now);
 }
 
 export function rateLimitRetryHeaders(clientId, subdomain) {
   return securityHeaders({ "Retry-After": String(remainingWindowSeconds(clientId, subdomain)) });
 }
 
-export { RATE_LIMIT_BUCKET, makeRateLimitKey, nowMs, pruneIfExpired, evictIfNeeded, limitFor };
\ No newline at end of file
+export function rateLimitStatus(clientId, subdomain, policy = DEFAULT_RATE_LIMIT_POLICY) {
+  const now = nowMs();
+  return entryStatus(touch(makeRateLimitKey(clientId, subdomain), now), now, clientId, policy);
+}
+
+// Returns true if a value can be claimed at now: nothing was claimed, the claim expired or it was for a lower value
+export function canClaim(claimed, value, now) {
+  return !claimed || now >= claimed.expiresAt || claimed.value < value;
+}
+
+// Claims a value for a key and scope; returns false if the same or a higher value was claimed within ttlMs
+export function claimValue(key, scope, value, ttlMs) {
+  const claimKey = makeRateLimitKey(key, scope);
+  const now = nowMs();
+  if (!canClaim(CLAIMED_VALUES.get(claimKey), value, now)) return false;
+  CLAIMED_VALUES.delete(claimKey);
+  if (CLAIMED_VALUES.size >= MAX_RATE_LIMIT_KEYS) CLAIMED_VALUES.delete(CLAIMED_VALUES.keys().next().value);
+  CLAIMED_VALUES.set(claimKey, { value, expiresAt: now + ttlMs });
+  return true;
+}
+
+// Counters for tests and diagnostics: entries held, live entries evicted for capacity and expired entries swept
+export function rateLimitStats() {
+  return { size: RATE_LIMIT_BUCKET.size, capacity: MAX_RATE_LIMIT_KEYS, evictions: STATS.evictions, sweptEntries: STATS.sweptEntries };
+}
+
+export function resetRateLimitStats() {
+  STATS.evictions = 0;
+  STATS.sweptEntries = 0;
+}
+
+export { RATE_LIMIT_BUCKET, CLAIMED_VALUES, makeRateLimitKey, nowMs, evictIfNeeded, limitFor };
@@ -0,0 +1,83 @@
+import { securityHeaders } from "./security-headers.js";
+import { isRateLimited, registerFailedAttempt, clearFailures, rateLimitRetryHeaders, rateLimitStatus, claimValue } from "./ratelimit.js";
+import { createDurableObjectRateLimiter } from "./ratelimit-durable.js";
+
+// Selects the rate limiter for a request: the Durable Object limiter if RATE_LIMITER is bound,
+// otherwise the in-memory limiter of this isolate
+// If the Durable Object cannot be reached, the in-memory limiter is used for that operation
+// isRateLimited, registerFailedAttempt and status take the link's policy (see ratelimit-policy.js)
+
+const memoryRateLimiter = {
+  async isRateLimited(clientId, scope, policy) {
+    return isRateLimited(clientId, scope, policy);
+  },
+  async registerFailedAttempt(clientId, scope, policy) {
+    registerFailedAttempt(clientId, scope, policy);
+  },
+  async clearFailures(clientId, scope) {
+    clearFailures(clientId, scope);
+  },
+  async retryHeaders(clientId, scope) {
+    return rateLimitRetryHeaders(clientId, scope);
+  },
+  async status(clientId, scope, policy) {
+    return rateLimitStatus(clientId, scope, policy);
+  },
+  async claim(key, scope, value, ttlMs) {
+    return claimValue(key, scope, value, ttlMs);
+  },
+};
+
+function withFallback(durable) {
+  async function attempt(operation, ...args) {
+    try {
+      return await durable[operation](...args);
+    } catch (error) {
+      console.warn(`Durable Object rate limiter failed, using in-memory limiter: ${error.message}`);
+      return memoryRateLimiter[operation](...args);
+    }
+  }
+
+  return {
+    isRateLimited: (clientId, scope, policy) => attempt("isRateLimited", clientId, scope, policy),
+    registerFailedAttempt: (clientId, scope, policy) => attempt("registerFailedAttempt", clientId, scope, policy),
+    clearFailures: (clientId, scope) => attempt("clearFailures", clientId, scope),
+    status: (clientId, scope, policy) => attempt("status", clientId, scope, policy),
+    claim: (key, scope, value, ttlMs) => attempt("claim", key, scope, value, ttlMs),
+    async retryHeaders(clientId, scope) {
+      try {
+        return securityHeaders({ "Retry-After": String(await durable.retryAfterSeconds(clientId, scope)) });
+      } catch (error) {
+        console.warn(`Durable Object rate limiter failed, using in-memory limiter: ${error.message}`);
+        return memoryRateLimiter.retryHeaders(clientId, scope);
+      }
+    },
+  };
+}
+
+// Limiters are cached per namespace binding
+const DURABLE_LIMITERS = new WeakMap();
+
+// Returns { isRateLimited, registerFailedAttempt, clearFailures, retryHeaders, status, claim }, all async
+// status resolves to { limit, remaining, reset } for the RateLimit-* headers
+// claim(key, scope, value, ttlMs) resolves to false if the same or a higher value was claimed within ttlMs
+export function getRateLimiter(env) {
+  const namespace = env.RATE_LIMITER;
+  if (!namespace) return memoryRateLimiter;
+  let limiter = DURABLE_LIMITERS.get(namespace);
+  if (!limiter) {
+    limiter = withFallback(createDurableObjectRateLimiter(namespace));
+    DURABLE_LIMITERS.set(namespace, limiter);
+  }
+  return limiter;
+}
+
+// RateLimit-* response headers (draft-ietf-httpapi-ratelimit-headers) for a status from a limiter
+// Limit and Remaining count failed attempts; Reset is the seconds until the count starts over
+export function rateLimitHeaders({ limit, remaining, reset }) {
+  return {
+    "RateLimit-Limit": String(limit),
+    "RateLimit-Remaining": String(remaining),
+    "RateLimit-Reset": String(reset),
+  };
+}
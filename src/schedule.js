@@ -0,0 +1,25 @@
+// Activation windows for links: { notBefore?, notAfter?, comingSoonTarget?, expiredTarget? }
+// Before notBefore a link is not found (or redirects to comingSoonTarget);
+// from notAfter on it is gone with 410 (or redirects to expiredTarget)
+// Times are ISO 8601 strings with a time zone ("2026-11-01T09:00:00Z") or Unix seconds
+
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+function nowMs() { return Date.now(); }
+
+// Parses a timestamp into milliseconds, or returns null if it is invalid
+export function parseTimestamp(value) {
+  if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? value * 1000 : null;
+  if (typeof value !== "string" || !ISO_TIMESTAMP_PATTERN.test(value.trim())) return null;
+  const ms = Date.parse(value.trim());
+  return Number.isNaN(ms) ? null : ms;
+}
+
+// Where a link is in its window at a time: "pending", "active" or "expired"
+export function linkPhase(link, timeMs = nowMs()) {
+  if (link?.notBefore !== undefined && timeMs < parseTimestamp(link.notBefore)) return "pending";
+  if (link?.notAfter !== undefined && timeMs >= parseTimestamp(link.notAfter)) return "expired";
+  return "active";
+}
+
+export { nowMs };
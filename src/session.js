@@ -0,0 +1,152 @@
+import { base64UrlEncode, base64UrlDecode } from "./base64.js";
+import { hmacSha256Hex } from "./crypto.js";
+import { constantTimeEqual, credentialList } from "./auth.js";
+
+// Login form and cookie sessions for links protected with Basic Auth credentials
+// Enabled by SESSION_SECRET: browsers get an HTML form instead of the Basic Auth prompt,
+// and a successful login sets a signed cookie for the whole host suffix
+//
+// The cookie names the user and a fingerprint of the credential that matched, so it is
+// only accepted on links with the same credential, and stops working when the password changes
+
+export const SESSION_COOKIE_NAME = "__Secure-redirect_session";
+export const LOGIN_PATH = "/_auth/login";
+export const LOGOUT_PATH = "/_auth/logout";
+
+export const DEFAULT_SESSION_TTL_SECONDS = 12 * 60 * 60; // 12 hours
+export const MAX_SESSION_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+// Login form bodies are tiny; anything larger is rejected before parsing
+export const MAX_LOGIN_BODY_BYTES = 8 * 1024;
+
+const SESSION_PATTERN = /^[A-Za-z0-9_-]+\.[0-9a-f]{64}$/;
+
+function nowSeconds() { return Math.floor(Date.now() / 1000); }
+
+// Parses SESSION_TTL (seconds), falling back to the default for invalid values
+export function sessionTtlSeconds(env) {
+  const seconds = Number(env.SESSION_TTL);
+  return Number.isInteger(seconds) && seconds > 0 ? Math.min(seconds, MAX_SESSION_TTL_SECONDS) : DEFAULT_SESSION_TTL_SECONDS;
+}
+
+// Cookie domain for a host suffix (".example.com" -> "example.com"); none for IP hosts
+export function cookieDomain(suffix) {
+  return suffix && suffix.startsWith(".") ? suffix.slice(1) : null;
+}
+
+// A TOTP secret is part of the fingerprint, so replacing it ends existing sessions
+function credentialFingerprint(secret, credential) {
+  const totp = credential.totp === undefined ? "" : `\n${credential.totp}`;
+  return hmacSha256Hex(secret, `credential\n${credential.user}\n${credential.pass}${totp}`);
+}
+
+function cookieAttributes(domain, maxAge) {
+  return [`Path=/`, ...(domain ? [`Domain=${domain}`] : []), `Max-Age=${maxAge}`, "HttpOnly", "Secure", "SameSite=Lax"].join("; ");
+}
+
+// Set-Cookie value for a session of the given credential
+export async function createSessionCookie(secret, credential, ttlSeconds, domain) {
+  const payload = { u: credential.user, f: await credentialFingerprint(secret, credential), exp: nowSeconds() + ttlSeconds };
+  const encoded = base64UrlEncode(JSON.stringify(payload));
+  const value = `${encoded}.${await hmacSha256Hex(secret, `session\n${encoded}`)}`;
+  return `${SESSION_COOKIE_NAME}=${value}; ${cookieAttributes(domain, ttlSeconds)}`;
+}
+
+// Set-Cookie value that removes the session
+export function clearSessionCookie(domain) {
+  return `${SESSION_COOKIE_NAME}=; ${cookieAttributes(domain, 0)}`;
+}
+
+// Reads the session cookie from a request, or returns null
+export function readSessionCookie(request) {
+  const header = request.headers.get("Cookie") || "";
+  for (const part of header.split(";")) {
+    const separator = part.indexOf("=");
+    if (separator !== -1 && part.slice(0, separator).trim() === SESSION_COOKIE_NAME) return part.slice(separator + 1).trim();
+  }
+  return null;
+}
+
+// Checks that a session cookie is validly signed, not expired and matches one of the expected credentials
+// Returns the matching credential, or null
+export async function verifySession(secret, value, expected) {
+  if (!secret || typeof value !== "string" || !SESSION_PATTERN.test(value)) return null;
+  const [encoded, signature] = value.split(".");
+  if (!constantTimeEqual(signature, await hmacSha256Hex(secret, `session\n${encoded}`))) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(base64UrlDecode(encoded));
+  } catch {
+    return null;
+  }
+  if (!payload || typeof payload.u !== "string" || typeof payload.f !== "string") return null;
+  if (!Number.isInteger(payload.exp) || payload.exp <= nowSeconds()) return null;
+
+  for (const credential of credentialList(expected)) {
+    if (credential.user !== payload.u) continue;
+    if (constantTimeEqual(payload.f, await credentialFingerprint(secret, credential))) return credential;
+  }
+  return null;
+}
+
+// Only same-host paths are accepted as the page to return to after login
+export function safeReturnPath(value) {
+  return typeof value === "string" && value.startsWith("/") && !value.startsWith("//") && !value.includes("\\")
+    ? value
+    : "/";
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+// Headers for HTML pages: no scripts, inline styles only, forms may only post to this host
+export function htmlHeaders(extra = {}) {
+  return {
+    "Content-Type": "text/html; charset=utf-8",
+    "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'",
+    ...extra,
+  };
+}
+
+function page(title, content) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; display: flex; justify-content: center; padding-top: 10vh; background: #f5f5f5; }
+main { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, .15); width: 18rem; }
+label, input, button { display: block; width: 100%; box-sizing: border-box; }
+input { margin: .25rem 0 1rem; padding: .5rem; }
+button { padding: .5rem; }
+.error { color: #b00020; }
+</style>
+</head>
+<body>
+<main>
+${content}
+</main>
+</body>
+</html>
+`;
+}
+
+// The login form; returnTo is the path to continue to after login
+export function loginFormHtml({ returnTo = "/", error } = {}) {
+  return page("Sign in", `<h1>Sign in</h1>
+${error ? `<p class="error">${escapeHtml(error)}</p>\n` : ""}<form method="post" action="${LOGIN_PATH}">
+<input type="hidden" name="return" value="${escapeHtml(safeReturnPath(returnTo))}">
+<label>User <input name="user" autocomplete="username" required autofocus></label>
+<label>Password <input name="pass" type="password" autocomplete="current-password" required></label>
+<label>One-time code, if enabled <input name="code" inputmode="numeric" autocomplete="one-time-code" pattern="[0-9]{6}" maxlength="6"></label>
+<button type="submit">Sign in</button>
+</form>`);
+}
+
+export function logoutHtml() {
+  return page("Signed out", "<h1>Signed out</h1>\n<p>You have been signed out.</p>");
+}
@@ -0,0 +1,70 @@
+// Path-based short links on the bare host suffix, e.g. example.com/go/roadmap
+// Each short link is identified internally as "shortlink.<name>", so its environment
+// variables follow the subdomain conventions: LINK_SHORTLINK_<NAME>, USER_SHORTLINK_<NAME>, ...
+// Subdomains in that namespace are not served, so they cannot pick up a short link's variables or tokens
+
+// Short links are stored in the LINKS KV namespace under "short:<name>"
+export const SHORT_LINK_KV_PREFIX = "short:";
+
+const PREFIX_PATTERN = /^(\/[a-z0-9_-]+)+$/i;
+const NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+// Validates and normalizes a short link path prefix: "go/" -> "/go"
+export function validateShortLinkPrefix(prefix) {
+  if (typeof prefix !== "string" || !prefix.trim()) {
+    throw new Error("Short link prefix must be a non-empty string");
+  }
+  let normalized = prefix.trim().toLowerCase();
+  if (!normalized.startsWith("/")) normalized = "/" + normalized;
+  if (normalized.endsWith("/")) normalized = normalized.slice(0, -1);
+  if (!PREFIX_PATTERN.test(normalized)) {
+    throw new Error("Short link prefix may only contain path segments of letters, digits, hyphens and underscores");
+  }
+  return normalized;
+}
+
+// Parses SHORT_LINK_PREFIXES (comma-separated), collecting invalid entries in errors
+export function parseShortLinkPrefixes(value, errors = []) {
+  if (!value) return [];
+  const prefixes = [];
+  for (const prefix of value.split(",").map(s => s.trim()).filter(Boolean)) {
+    try {
+      prefixes.push(validateShortLinkPrefix(prefix));
+    } catch (error) {
+      errors.push(`"${prefix}": ${error.message}`);
+    }
+  }
+  return prefixes;
+}
+
+// Returns true if a short link name is valid
+export function isShortLinkName(name) {
+  return typeof name === "string" && NAME_PATTERN.test(name);
+}
+
+// Matches a request path against the prefixes: "/go/roadmap/q3" -> { name: "roadmap", pathname: "/q3" }
+export function matchShortLinkPath(pathname, prefixes) {
+  const lowerPath = pathname.toLowerCase();
+  for (const prefix of prefixes) {
+    if (!lowerPath.startsWith(prefix + "/")) continue;
+    const rest = pathname.slice(prefix.length + 1);
+    const slash = rest.indexOf("/");
+    const name = slash === -1 ? rest : rest.slice(0, slash);
+    if (!isShortLinkName(name)) return null;
+    return { name: name.toLowerCase(), pathname: slash === -1 ? "/" : rest.slice(slash) };
+  }
+  return null;
+}
+
+const SHORT_LINK_ID_LABEL = "shortlink";
+
+// Internal identifier used for env lookups, rate limiting and protection
+// Hyphens are kept, so "q3-roadmap" and "q3_roadmap" are separate links (LINK_SHORTLINK_Q3-ROADMAP)
+export function shortLinkId(name) {
+  return `${SHORT_LINK_ID_LABEL}.${name}`;
+}
+
+// Returns true for subdomains reserved for short link identifiers ("shortlink" and "shortlink.*")
+export function isShortLinkNamespace(subdomain) {
+  return subdomain === SHORT_LINK_ID_LABEL || subdomain.startsWith(`${SHORT_LINK_ID_LABEL}.`);
+}
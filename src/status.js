@@ -0,0 +1,53 @@
+import { lookupByEnvKey } from "./env-keys.js";
+
+// Redirect status codes a link may be configured with
+export const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+export const DEFAULT_REDIRECT_STATUS = 302;
+
+// Per-subdomain override convention: STATUS_<SUBDOMAIN> (uppercase, dots to underscores)
+const STATUS_PREFIX = "STATUS_";
+
+// Parses a redirect status code, throwing for anything that is not a supported redirect
+export function parseRedirectStatus(value) {
+  const text = String(value).trim();
+  const status = /^\d{3}$/.test(text) ? Number(text) : NaN;
+  if (!REDIRECT_STATUS_CODES.includes(status)) {
+    throw new Error(`Redirect status must be one of ${REDIRECT_STATUS_CODES.join(", ")}`);
+  }
+  return status;
+}
+
+// Parses REDIRECT_STATUS and STATUS_<SUBDOMAIN> variables
+// Invalid codes are collected in errors and never used
+export function parseStatusConfig(env, errors = []) {
+  let defaultStatus = DEFAULT_REDIRECT_STATUS;
+  const statusByKey = new Map();
+
+  if (env.REDIRECT_STATUS) {
+    try {
+      defaultStatus = parseRedirectStatus(env.REDIRECT_STATUS);
+    } catch (error) {
+      errors.push(`REDIRECT_STATUS: ${error.message}`);
+    }
+  }
+
+  for (const key of statusConfigKeys(env)) {
+    try {
+      statusByKey.set(key.slice(STATUS_PREFIX.length), parseRedirectStatus(env[key]));
+    } catch (error) {
+      errors.push(`${key}: ${error.message}`);
+    }
+  }
+
+  return { defaultStatus, statusByKey };
+}
+
+// Lists the STATUS_<SUBDOMAIN> variables present in env
+export function statusConfigKeys(env) {
+  return Object.keys(env).filter(key => key.startsWith(STATUS_PREFIX) && env[key] !== undefined).sort();
+}
+
+// Returns the configured redirect status for a subdomain
+export function statusForSubdomain(subdomain, statusConfig) {
+  return lookupByEnvKey(statusConfig.statusByKey, subdomain) ?? statusConfig.defaultStatus;
+}
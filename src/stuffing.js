@@ -0,0 +1,71 @@
+import { sha256Hex } from "./crypto.js";
+
+// Counters against credential stuffing and password spraying, alongside the per-link counters:
+// - per client across all links, for one address trying many links
+// - per attempted username across all clients and links, for many addresses trying one user
+// Both apply to password attempts (Basic Auth and the login form); once either is over its limit,
+// attempts get 429 until its window ends, even with the right password
+// A username over its limit only blocks clients that failed for it themselves, so that
+// failing on purpose from elsewhere cannot lock its owner out
+// Usernames are only counted by their SHA-256 hash, so they are never stored or logged in plaintext
+
+// Scope of the counters across all links; link names never contain it
+export const ALL_LINKS_SCOPE = "*";
+
+export const DEFAULT_PER_CLIENT_POLICY = Object.freeze({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  maxAttempts: 30,
+  maxAttemptsUnknown: 10,
+  escalate: false,
+  maxLockoutMs: 24 * 60 * 60 * 1000,
+});
+
+export const DEFAULT_PER_USER_POLICY = Object.freeze({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  maxAttempts: 100,
+  maxAttemptsUnknown: 100,
+  escalate: false,
+  maxLockoutMs: 24 * 60 * 60 * 1000,
+});
+
+// Identifier the username counter is kept under, in place of a client
+export async function usernameCounterId(username) {
+  return `user:${await sha256Hex(username)}`;
+}
+
+// Counters an attempt by a client with a username (if any) counts against: [{ clientId, scope, policy, failures? }]
+// The username counter's failures counts the client's own failures for that username
+// perClient and perUser are the policies, or null if disabled
+export async function stuffingCounters(clientId, username, { perClient = DEFAULT_PER_CLIENT_POLICY, perUser = DEFAULT_PER_USER_POLICY } = {}) {
+  const counters = [];
+  if (perClient) counters.push({ clientId, scope: ALL_LINKS_SCOPE, policy: perClient });
+  if (perUser && typeof username === "string" && username !== "") {
+    const userId = await usernameCounterId(username);
+    counters.push({ clientId: userId, scope: ALL_LINKS_SCOPE, policy: perUser, failures: { clientId, scope: userId, policy: perUser } });
+  }
+  return counters;
+}
+
+// Returns the first counter over its limit that applies to the client, or null
+export async function limitedCounter(limiter, counters) {
+  for (const counter of counters) {
+    if (!await limiter.isRateLimited(counter.clientId, counter.scope, counter.policy)) continue;
+    if (counter.failures && !await hasFailed(limiter, counter.failures)) continue;
+    return counter;
+  }
+  return null;
+}
+
+async function hasFailed(limiter, { clientId, scope, policy }) {
+  const { limit, remaining } = await limiter.status(clientId, scope, policy);
+  return remaining < limit;
+}
+
+// Counts a failed attempt against every counter
+// A successful login does not reset them, so a valid account cannot be used to clear them
+export async function registerCounterFailures(limiter, counters) {
+  for (const counter of counters) {
+    await limiter.registerFailedAttempt(counter.clientId, counter.scope, counter.policy);
+    if (counter.failures) await limiter.registerFailedAttempt(counter.failures.clientId, counter.failures.scope, counter.failures.policy);
+  }
+}
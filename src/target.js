@@ -0,0 +1,106 @@
+// Placeholders supported in redirect targets, e.g. https://docs.example.net/{path}
+const PLACEHOLDER_PATTERN = /\{([a-z0-9]+)\}/gi;
+
+// A trailing "*" appends the request path and query string to the target
+const APPEND_MARKER = "*";
+
+// Splits an absolute http(s) URL into scheme, authority and the remainder
+const URL_PARTS_PATTERN = /^(https?:\/\/)([^/?#]*)(.*)$/i;
+
+// Values substituted into the host part must be plain hostname characters
+const HOST_VALUE_PATTERN = /^[a-z0-9.-]*$/i;
+
+// Placeholders that are never allowed in the host part of a target
+const PATH_ONLY_PLACEHOLDERS = new Set(["path", "query"]);
+
+// A {query} placeholder with the "?" or "&" that joins it to the rest of the target
+const QUERY_AT_END_PATTERN = /[?&]\{query\}(?=#|$)/gi;
+const QUERY_BEFORE_PARAMS_PATTERN = /\{query\}&/gi;
+
+// Returns true if the target uses placeholders or the append marker
+export function isTemplate(target) {
+  if (typeof target !== "string") return false;
+  PLACEHOLDER_PATTERN.lastIndex = 0;
+  return PLACEHOLDER_PATTERN.test(target) || target.endsWith(APPEND_MARKER);
+}
+
+// Re-encodes a single path segment so it cannot introduce new URL delimiters
+function encodeSegment(segment) {
+  try {
+    return encodeURIComponent(decodeURIComponent(segment));
+  } catch {
+    return encodeURIComponent(segment);
+  }
+}
+
+// Builds the placeholder values for a request; all values are already URL-encoded
+// The pathname can be overridden, e.g. with the part of the path after a short link
+export function templateVariables(url, subdomain, pathname = url.pathname) {
+  return {
+    path: pathname.slice(1).split("/").map(encodeSegment).join("/"),
+    query: url.search.slice(1),
+    host: url.hostname,
+    subdomain: subdomain || "",
+  };
+}
+
+// Replaces known placeholders; unknown placeholders are left untouched
+function substitute(text, vars, inHost) {
+  let unsafe = false;
+  const result = text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const key = name.toLowerCase();
+    if (!Object.hasOwn(vars, key)) return match;
+    const value = String(vars[key]);
+    if (inHost && (PATH_ONLY_PLACEHOLDERS.has(key) || !HOST_VALUE_PATTERN.test(value))) unsafe = true;
+    return value;
+  });
+  return unsafe ? null : result;
+}
+
+// Removes an empty {query} placeholder with its delimiter, so "/{path}?{query}" does not end in "?"
+function dropEmptyQuery(text, vars) {
+  if (vars.query) return text;
+  return text.replace(QUERY_AT_END_PATTERN, "").replace(QUERY_BEFORE_PARAMS_PATTERN, "");
+}
+
+// Appends path and query to a target, keeping any query the target already has
+function appendPathAndQuery(target, vars) {
+  const queryIndex = target.indexOf("?");
+  let base = queryIndex === -1 ? target : target.slice(0, queryIndex);
+  let query = queryIndex === -1 ? "" : target.slice(queryIndex + 1);
+
+  if (vars.path) base += (base.endsWith("/") ? "" : "/") + vars.path;
+  if (vars.query) query = query ? `${query}&${vars.query}` : vars.query;
+
+  return query ? `${base}?${query}` : base;
+}
+
+// Renders a redirect target template for a request
+// Returns null if the result is not an http(s) URL on the origin the template names
+export function renderTarget(template, vars) {
+  if (!isTemplate(template)) return template;
+
+  const append = template.endsWith(APPEND_MARKER);
+  const source = append ? template.slice(0, -APPEND_MARKER.length) : template;
+
+  const parts = URL_PARTS_PATTERN.exec(source);
+  if (!parts) return null;
+  const [, scheme, authority, rest] = parts;
+
+  const renderedAuthority = substitute(authority, vars, true);
+  if (renderedAuthority === null) return null;
+  let rendered = scheme + renderedAuthority + substitute(dropEmptyQuery(rest, vars), vars, false);
+  if (append) rendered = appendPathAndQuery(rendered, vars);
+
+  // Placeholder values must never change the origin, e.g. via "@" or "//"
+  let expectedOrigin, result;
+  try {
+    expectedOrigin = new URL(scheme + renderedAuthority).origin;
+    result = new URL(rendered);
+  } catch {
+    return null;
+  }
+  if (result.origin !== expectedOrigin || result.username || result.password) return null;
+
+  return result.toString();
+}
@@ -0,0 +1,110 @@
+import { securityHeaders } from "./security-headers.js";
+import { respond, isPlainObject } from "./utils.js";
+
+// Request throttling with a token bucket per client (and optionally per subdomain)
+// Unlike ratelimit.js, which counts failed authentication attempts, every request takes a token
+// Enabled by THROTTLE_RATE (tokens refilled per second); THROTTLE_BURST is the bucket size
+// With THROTTLE_PER_SUBDOMAIN=true each host gets its own bucket, otherwise a client shares one
+// bucket across all hosts, which also slows down enumerating subdomains
+// REDIRECT_CONFIG "throttle": { rate, burst?, perSubdomain? } replaces the variables
+
+export const DEFAULT_THROTTLE_BURST = 20;
+
+// Capacity & eviction to avoid unbounded memory growth
+export const MAX_THROTTLE_KEYS = 10_000;
+
+const THROTTLE_KEYS = new Set(["rate", "burst", "perSubdomain"]);
+
+// Internal buckets: Key -> { tokens, updatedAt }
+const THROTTLE_BUCKETS = new Map();
+
+function nowMs() { return Date.now(); }
+
+function parseRate(value, path, errors) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) errors.push(`${path}: must be a positive number`);
+  return value;
+}
+
+function parseBurst(value, path, errors) {
+  if (!Number.isInteger(value) || value <= 0) errors.push(`${path}: must be a positive integer`);
+  return value;
+}
+
+// Validates REDIRECT_CONFIG "throttle", collecting problems in errors
+export function parseThrottleSettings(value, path, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: must be an object`);
+    return undefined;
+  }
+  for (const key of Object.keys(value)) {
+    if (!THROTTLE_KEYS.has(key)) errors.push(`${path}.${key}: unknown property`);
+  }
+  const settings = {
+    rate: parseRate(value.rate, `${path}.rate`, errors),
+    burst: value.burst === undefined ? DEFAULT_THROTTLE_BURST : parseBurst(value.burst, `${path}.burst`, errors),
+    perSubdomain: value.perSubdomain ?? false,
+  };
+  if (typeof settings.perSubdomain !== "boolean") errors.push(`${path}.perSubdomain: must be a boolean`);
+  return settings;
+}
+
+// Reads the THROTTLE_* variables; returns null if throttling is disabled
+export function throttleSettingsFromEnv(env, errors = []) {
+  if (!env.THROTTLE_RATE) return null;
+  const number = text => /^\d+(\.\d+)?$/.test(String(text).trim()) ? Number(text) : NaN;
+  const settings = {
+    rate: parseRate(number(env.THROTTLE_RATE), "THROTTLE_RATE", errors),
+    burst: env.THROTTLE_BURST ? parseBurst(number(env.THROTTLE_BURST), "THROTTLE_BURST", errors) : DEFAULT_THROTTLE_BURST,
+    perSubdomain: env.THROTTLE_PER_SUBDOMAIN === "true",
+  };
+  if (env.THROTTLE_PER_SUBDOMAIN && !["true", "false"].includes(env.THROTTLE_PER_SUBDOMAIN)) {
+    errors.push('THROTTLE_PER_SUBDOMAIN: must be "true" or "false"');
+  }
+  return settings;
+}
+
+// Lists the THROTTLE_* variables present in env, for configuration change detection
+export function throttleConfigKeys(env) {
+  return Object.keys(env).filter(key => key.startsWith("THROTTLE_") && env[key] !== undefined).sort();
+}
+
+// Remove oldest entry if the buckets are full
+function evictIfNeeded() {
+  if (THROTTLE_BUCKETS.size < MAX_THROTTLE_KEYS) return;
+  const firstKey = THROTTLE_BUCKETS.keys().next().value;
+  if (firstKey !== undefined) THROTTLE_BUCKETS.delete(firstKey);
+}
+
+// Takes a token from the client's bucket; returns 0 if the request may proceed,
+// otherwise the seconds until a token is available
+export function takeToken(clientId, hostname, settings) {
+  const key = settings.perSubdomain ? `${clientId}::${hostname}` : clientId;
+  const now = nowMs();
+  let bucket = THROTTLE_BUCKETS.get(key);
+  if (bucket) {
+    bucket.tokens = Math.min(settings.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * settings.rate);
+    bucket.updatedAt = now;
+    // Recently used buckets move to the end, so eviction drops idle clients first
+    THROTTLE_BUCKETS.delete(key);
+  } else {
+    evictIfNeeded();
+    bucket = { tokens: settings.burst, updatedAt: now };
+  }
+  THROTTLE_BUCKETS.set(key, bucket);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - bucket.tokens) / settings.rate);
+}
+
+// Returns a 429 response if the request exceeds the client's rate, otherwise null
+export function throttleRequest(clientId, hostname, settings) {
+  if (!settings) return null;
+  const retryAfter = takeToken(clientId, hostname, settings);
+  if (retryAfter === 0) return null;
+  return respond("Too many requests", 429, securityHeaders({ "Retry-After": String(retryAfter) }));
+}
+
+export { THROTTLE_BUCKETS };
@@ -0,0 +1,94 @@
+import { base64UrlEncode, base64UrlDecode } from "./base64.js";
+import { hmacSha256Hex } from "./crypto.js";
+import { constantTimeEqual } from "./auth.js";
+
+// Signed, expiring access tokens for protected links, as an alternative to Basic Auth
+// Format: <base64url JSON payload>.<hex HMAC-SHA256 of the encoded payload>
+// Payload: { sub: <link id>, exp: <expiry in seconds since the epoch>, label?: <free text> }
+// Tokens are signed with ACCESS_TOKEN_SECRET and passed as ?access_token=<token>
+// or as a leading path segment: /_token/<token>/rest/of/path
+
+export const ACCESS_TOKEN_QUERY_PARAM = "access_token";
+export const ACCESS_TOKEN_PATH_PREFIX = "/_token/";
+
+// Upper bound for token lifetimes; shorter is better for links handed to third parties
+export const MAX_ACCESS_TOKEN_TTL_SECONDS = 90 * 24 * 60 * 60; // 90 days
+export const MAX_ACCESS_TOKEN_LENGTH = 1024;
+const MAX_LABEL_LENGTH = 100;
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]+\.[0-9a-f]{64}$/;
+
+function nowSeconds() { return Math.floor(Date.now() / 1000); }
+
+// Mints a token for a link id, valid for ttlSeconds
+export async function createAccessToken(secret, linkId, ttlSeconds, label) {
+  if (!secret) throw new Error("Access token secret is not configured");
+  if (typeof linkId !== "string" || !linkId) throw new Error("Link must be a non-empty string");
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > MAX_ACCESS_TOKEN_TTL_SECONDS) {
+    throw new Error(`TTL must be between 1 and ${MAX_ACCESS_TOKEN_TTL_SECONDS} seconds`);
+  }
+  if (label !== undefined && (typeof label !== "string" || label.length > MAX_LABEL_LENGTH)) {
+    throw new Error(`Label must be a string of at most ${MAX_LABEL_LENGTH} characters`);
+  }
+
+  const payload = { sub: linkId, exp: nowSeconds() + ttlSeconds };
+  if (label) payload.label = label;
+  const encoded = base64UrlEncode(JSON.stringify(payload));
+  return { token: `${encoded}.${await hmacSha256Hex(secret, encoded)}`, payload };
+}
+
+// Verifies a token for a link id, returning its payload or null if it is invalid or expired
+export async function verifyAccessToken(secret, token, linkId) {
+  if (!secret || typeof token !== "string" || token.length > MAX_ACCESS_TOKEN_LENGTH || !TOKEN_PATTERN.test(token)) {
+    return null;
+  }
+  const [encoded, signature] = token.split(".");
+  if (!constantTimeEqual(signature, await hmacSha256Hex(secret, encoded))) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(base64UrlDecode(encoded));
+  } catch {
+    return null;
+  }
+  if (!payload || payload.sub !== linkId || !Number.isInteger(payload.exp) || payload.exp <= nowSeconds()) return null;
+  return payload;
+}
+
+// Removes an access token from the request URL so it is never forwarded to the target
+// Returns { accessToken, url }; accessToken is undefined if none was passed
+export function extractAccessToken(url) {
+  const stripped = new URL(url);
+  let accessToken;
+
+  if (stripped.pathname.startsWith(ACCESS_TOKEN_PATH_PREFIX)) {
+    const rest = stripped.pathname.slice(ACCESS_TOKEN_PATH_PREFIX.length);
+    const slash = rest.indexOf("/");
+    accessToken = slash === -1 ? rest : rest.slice(0, slash);
+    stripped.pathname = slash === -1 ? "/" : rest.slice(slash);
+  }
+
+  // Filter the raw query so the remaining parameters keep their original encoding
+  if (stripped.search) {
+    const kept = [];
+    for (const param of stripped.search.slice(1).split("&")) {
+      const separator = param.indexOf("=");
+      const key = separator === -1 ? param : param.slice(0, separator);
+      if (key !== ACCESS_TOKEN_QUERY_PARAM) {
+        kept.push(param);
+        continue;
+      }
+      accessToken ??= separator === -1 ? "" : param.slice(separator + 1);
+    }
+    stripped.search = kept.length > 0 ? `?${kept.join("&")}` : "";
+  }
+  return { accessToken, url: stripped };
+}
+
+// Parses durations like "3600", "90m", "48h" or "7d" into seconds, or returns NaN
+export function parseDuration(value) {
+  const match = /^(\d+)([smhd]?)$/.exec(String(value).trim());
+  if (!match) return NaN;
+  const unit = { "": 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 }[match[2]];
+  return Number(match[1]) * unit;
+}
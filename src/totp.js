@@ -0,0 +1,100 @@
+import { hmacSha1, sha256Hex } from "./crypto.js";
+import { getRateLimiter } from "./ratelimiter.js";
+
+// RFC 6238 time-based one-time passwords as a second factor for users with a "totp" secret
+// Secrets are base32 (as shown by authenticator apps); codes have 6 digits and change every 30 seconds
+// Codes from one step before or after the current one are accepted to allow for clock skew,
+// and each code is accepted only once per secret
+
+export const TOTP_DIGITS = 6;
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_WINDOW_STEPS = 1;
+
+// At least 80 bits, as recommended by RFC 4226
+export const MIN_TOTP_SECRET_LENGTH = 16;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const CODE_PATTERN = new RegExp(`^\\d{${TOTP_DIGITS}}$`);
+
+// The last accepted step per secret is claimed through the rate limiter, so with RATE_LIMITER bound
+// a code cannot be replayed on another isolate; otherwise replay protection is per isolate
+const TOTP_REPLAY_SCOPE = "totp";
+// A code stays acceptable while its step is within the skew window
+const TOTP_REPLAY_TTL_MS = (2 * TOTP_WINDOW_STEPS + 1) * TOTP_STEP_SECONDS * 1000;
+
+// Normalizes a base32 secret ("jbsw y3dp ehpk 3pxp" -> "JBSWY3DPEHPK3PXP")
+function normalizeSecret(secret) {
+  return secret.replace(/[\s-]/g, "").replace(/=+$/, "").toUpperCase();
+}
+
+// Decodes a base32 secret into bytes, or returns null if it is invalid
+export function base32Decode(secret) {
+  if (typeof secret !== "string") return null;
+  const normalized = normalizeSecret(secret);
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of normalized) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+// Returns true if a secret is valid base32 of at least MIN_TOTP_SECRET_LENGTH characters
+export function isTotpSecret(secret) {
+  return typeof secret === "string" && normalizeSecret(secret).length >= MIN_TOTP_SECRET_LENGTH && base32Decode(secret) !== null;
+}
+
+function stepAt(timeMs) {
+  return Math.floor(timeMs / 1000 / TOTP_STEP_SECONDS);
+}
+
+// The code for a secret (bytes) at a time step (RFC 4226 dynamic truncation)
+export async function totpCode(secretBytes, step) {
+  const counter = new Uint8Array(8);
+  new DataView(counter.buffer).setBigUint64(0, BigInt(step));
+  const hmac = await hmacSha1(secretBytes, counter);
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// Checks a code against a base32 secret; returns { valid, replayed }
+// valid is true at most once per code: a code is rejected if the same or a later step was already accepted
+// replayed is true for a rejected code that was correct for such a step, e.g. one a browser sends again
+// Options: limiter to claim steps with (the in-memory one by default) and timeMs
+export async function checkTotp(secret, code, { limiter = getRateLimiter({}), timeMs = Date.now() } = {}) {
+  let replayed = false;
+  if (typeof code !== "string" || !CODE_PATTERN.test(code)) return { valid: false, replayed };
+  const secretBytes = base32Decode(secret);
+  if (!secretBytes || secretBytes.length === 0) return { valid: false, replayed };
+
+  // Steps are claimed under a hash, so the secret never leaves the isolate
+  const key = await sha256Hex(normalizeSecret(secret));
+  const current = stepAt(timeMs);
+  for (let step = current - TOTP_WINDOW_STEPS; step <= current + TOTP_WINDOW_STEPS; step++) {
+    if (await totpCode(secretBytes, step) !== code) continue;
+    if (await limiter.claim(key, TOTP_REPLAY_SCOPE, step, TOTP_REPLAY_TTL_MS)) return { valid: true, replayed: false };
+    replayed = true;
+  }
+  return { valid: false, replayed };
+}
+
+// Verifies a code against a base32 secret; returns true at most once per code
+export async function verifyTotp(secret, code, options) {
+  return (await checkTotp(secret, code, options)).valid;
+}
+
+// Splits "<password><code>" as entered in a Basic Auth prompt, or returns null
+export function splitTotpCode(pass) {
+  if (typeof pass !== "string" || pass.length <= TOTP_DIGITS) return null;
+  const code = pass.slice(-TOTP_DIGITS);
+  return CODE_PATTERN.test(code) ? { pass: pass.slice(0, -TOTP_DIGITS), code } : null;
+}
@@ -23,3 +23,13 @@ export function setHeaders(response, headers) {
     headers: newHeaders,
   });
 }
+
+// Helper to create a JSON response with body, status and headers
+export function respondJson(body, status = 200, headers = {}) {
+  return respond(JSON.stringify(body), status, { ...headers, "Content-Type": "application/json; charset=utf-8" });
+}
+
+// Returns true for objects that are not arrays, e.g. parsed JSON documents and their properties
+export function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
@@ -0,0 +1,262 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker from '../src/index.js';
+import * as ratelimit from '../src/ratelimit.js';
+import { adminBasePath, signAdminRequest, adminSignaturePayload, MAX_ADMIN_BODY_BYTES, MAX_ADMIN_LIST_LIMIT } from '../src/admin.js';
+import { invalidateLinkCache } from '../src/links.js';
+import { createMemoryKV } from './helpers/memory-kv.js';
+
+const TOKEN = 'admin-token-123';
+const SECRET = 'hmac-secret-456';
+
+function adminRequest(path, { method = 'GET', body, headers = {}, hostname = 'admin.example.com' } = {}) {
+  return new Request(`https://${hostname}${path}`, {
+    method,
+    headers: { 'Authorization': `Bearer ${TOKEN}`, ...headers },
+    body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+describe('Admin API', () => {
+  let kv;
+  let env;
+
+  beforeEach(() => {
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+    ratelimit.CLAIMED_VALUES.clear();
+    invalidateLinkCache();
+    kv = createMemoryKV({ foo: { target: 'https://foo.example.net/' } });
+    env = {
+      ALLOWED_HOST_SUFFIXES: '.example.com',
+      ADMIN_HOST: 'admin.example.com',
+      ADMIN_TOKEN: TOKEN,
+      LINKS: kv
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('adminBasePath', () => {
+    it('is disabled without a token or secret', () => {
+      expect(adminBasePath(new URL('https://admin.example.com/links'), { ADMIN_HOST: 'admin.example.com' }, [])).toBeNull();
+    });
+
+    it('matches the admin host and path', () => {
+      const adminEnv = { ADMIN_TOKEN: TOKEN, ADMIN_HOST: 'Admin.Example.com', ADMIN_PATH: '/_admin/' };
+      expect(adminBasePath(new URL('https://admin.example.com/links'), adminEnv, ['.example.com'])).toBe('');
+      expect(adminBasePath(new URL('https://foo.example.com/_admin/links'), adminEnv, ['.example.com'])).toBe('/_admin');
+      expect(adminBasePath(new URL('https://foo.example.com/_administrator'), adminEnv, ['.example.com'])).toBeNull();
+      expect(adminBasePath(new URL('https://foo.example.org/_admin/links'), adminEnv, ['.example.com'])).toBeNull();
+    });
+  });
+
+  it('rejects requests without valid credentials and rate limits them', async () => {
+    const response = await worker.fetch(adminRequest('/links', { headers: { 'Authorization': 'Bearer wrong' } }), env);
+    expect(response.status).toBe(401);
+    expect(response.headers.get('WWW-Authenticate')).toContain('Bearer');
+
+    for (let i = 1; i < ratelimit.MAX_FAILED_ATTEMPTS_UNKNOWN; i++) {
+      await worker.fetch(adminRequest('/links', { headers: { 'Authorization': 'Bearer wrong' } }), env);
+    }
+    const limited = await worker.fetch(adminRequest('/links'), env);
+    expect(limited.status).toBe(429);
+  });
+
+  it('lists links without exposing passwords', async () => {
+    await kv.put('vault', JSON.stringify({ target: 'https://vault.example.net/', protected: true, users: [{ user: 'alice', pass: 'secret' }] }));
+    await kv.put('broken', JSON.stringify({ status: 200 }));
+
+    const response = await worker.fetch(adminRequest('/links'), env);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toContain('application/json');
+
+    const body = await response.json();
+    expect(body.cursor).toBeNull();
+    expect(body.links).toEqual([
+      { name: 'broken', errors: expect.any(Array) },
+      { name: 'foo', target: 'https://foo.example.net/' },
+      { name: 'vault', target: 'https://vault.example.net/', protected: true, users: [{ user: 'alice' }] }
+    ]);
+    expect(JSON.stringify(body)).not.toContain('secret');
+  });
+
+  it('paginates the list', async () => {
+    await kv.put('bar', JSON.stringify({ target: 'https://bar.example.net/' }));
+
+    const first = await (await worker.fetch(adminRequest('/links?limit=1'), env)).json();
+    expect(first.links.map(link => link.name)).toEqual(['bar']);
+    expect(first.cursor).not.toBeNull();
+
+    const second = await (await worker.fetch(adminRequest(`/links?limit=1&cursor=${first.cursor}`), env)).json();
+    expect(second.links.map(link => link.name)).toEqual(['foo']);
+  });
+
+  it('caps the page size below the KV operation limit per request', async () => {
+    const list = vi.spyOn(kv, 'list');
+    await worker.fetch(adminRequest('/links?limit=5000'), env);
+    expect(list).toHaveBeenCalledWith(expect.objectContaining({ limit: MAX_ADMIN_LIST_LIMIT }));
+  });
+
+  it('gets single links', async () => {
+    const response = await worker.fetch(adminRequest('/links/foo'), env);
+    expect(await response.json()).toEqual({ name: 'foo', target: 'https://foo.example.net/' });
+
+    expect((await worker.fetch(adminRequest('/links/missing'), env)).status).toBe(404);
+  });
+
+  it('creates and replaces links', async () => {
+    const created = await worker.fetch(adminRequest('/links/new', {
+      method: 'PUT', body: { target: 'https://new.example.net/', status: 301, protected: true, users: [{ user: 'bob', pass: 'pw' }] }
+    }), env);
+    expect(created.status).toBe(201);
+    expect(await created.json()).toEqual({
+      name: 'new', target: 'https://new.example.net/', status: 301, protected: true, users: [{ user: 'bob' }]
+    });
+    expect(JSON.parse(kv.store.get('new')).users).toEqual([{ user: 'bob', pass: 'pw' }]);
+
+    const replaced = await worker.fetch(adminRequest('/links/new', { method: 'PUT', body: { target: 'https://newer.example.net/' } }), env);
+    expect(replaced.status).toBe(200);
+    expect(JSON.parse(kv.store.get('new'))).toEqual({ target: 'https://newer.example.net/' });
+  });
+
+  it('returns per-user targets without passwords or TOTP secrets', async () => {
+    const users = [{ user: 'acme', pass: 'pw', target: 'https://dash.example.net/acme/', status: 307, totp: 'GEZDGNBVGY3TQOJQ' }];
+    const created = await worker.fetch(adminRequest('/links/portal', {
+      method: 'PUT', body: { target: 'https://portal.example.net/', protected: true, users }
+    }), env);
+    expect((await created.json()).users).toEqual([{ user: 'acme', target: 'https://dash.example.net/acme/', status: 307 }]);
+    expect(JSON.parse(kv.store.get('portal')).users).toEqual(users);
+  });
+
+  it('stores short links and suffix-specific links', async () => {
+    expect((await worker.fetch(adminRequest('/links/short:roadmap', { method: 'PUT', body: { target: 'https://r.example.net/' } }), env)).status).toBe(201);
+    expect((await worker.fetch(adminRequest('/links/foo%40example.org', { method: 'PUT', body: { target: 'https://o.example.net/' } }), env)).status).toBe(201);
+    expect(kv.store.has('short:roadmap')).toBe(true);
+    expect(kv.store.has('foo@example.org')).toBe(true);
+  });
+
+  it('validates names and records like the configuration', async () => {
+    const badName = await worker.fetch(adminRequest('/links/foo%40bad..org', { method: 'PUT', body: { target: 'https://x.example.net/' } }), env);
+    expect(badName.status).toBe(400);
+    expect((await badName.json()).errors).toEqual(['Host suffix contains malformed domain tokens']);
+
+    const badRecord = await worker.fetch(adminRequest('/links/bar', { method: 'PUT', body: { target: 'javascript:alert(1)', status: 200 } }), env);
+    expect(badRecord.status).toBe(400);
+    expect((await badRecord.json()).errors).toEqual([
+      'link.target: must be an absolute http(s) URL',
+      'link.status: Redirect status must be one of 301, 302, 303, 307, 308'
+    ]);
+
+    const badTarget = await worker.fetch(adminRequest('/links/x', { method: 'PUT', body: { target: 'https://[bad' } }), env);
+    expect(badTarget.status).toBe(400);
+    expect((await badTarget.json()).errors).toEqual(['link.target: must be an absolute http(s) URL']);
+    expect(kv.store.has('x')).toBe(false);
+
+    const badJson = await worker.fetch(adminRequest('/links/bar', { method: 'PUT', body: '{nope' }), env);
+    expect(badJson.status).toBe(400);
+    expect(kv.store.has('bar')).toBe(false);
+  });
+
+  it('patches links and removes properties set to null', async () => {
+    await kv.put('vault', JSON.stringify({ target: 'https://vault.example.net/', protected: true, status: 301 }));
+
+    const response = await worker.fetch(adminRequest('/links/vault', { method: 'PATCH', body: { protected: false, status: null } }), env);
+    expect(response.status).toBe(200);
+    expect(JSON.parse(kv.store.get('vault'))).toEqual({ target: 'https://vault.example.net/', protected: false });
+
+    expect((await worker.fetch(adminRequest('/links/missing', { method: 'PATCH', body: {} }), env)).status).toBe(404);
+  });
+
+  it('deletes links', async () => {
+    const response = await worker.fetch(adminRequest('/links/foo', { method: 'DELETE' }), env);
+    expect(response.status).toBe(204);
+    expect(kv.store.has('foo')).toBe(false);
+
+    expect((await worker.fetch(adminRequest('/links/foo', { method: 'DELETE' }), env)).status).toBe(404);
+  });
+
+  it('makes writes visible to redirects in the same isolate immediately', async () => {
+    const before = await worker.fetch(new Request('https://foo.example.com/'), env);
+    expect(before.headers.get('Location')).toBe('https://foo.example.net/');
+
+    await worker.fetch(adminRequest('/links/foo', { method: 'PUT', body: { target: 'https://changed.example.net/' } }), env);
+
+    const after = await worker.fetch(new Request('https://foo.example.com/'), env);
+    expect(after.headers.get('Location')).toBe('https://changed.example.net/');
+  });
+
+  it('rejects unsupported methods and unknown routes', async () => {
+    expect((await worker.fetch(adminRequest('/links', { method: 'POST', body: {} }), env)).status).toBe(405);
+    expect((await worker.fetch(adminRequest('/links/foo', { method: 'POST', body: {} }), env)).status).toBe(405);
+    expect((await worker.fetch(adminRequest('/other'), env)).status).toBe(404);
+  });
+
+  it('rejects oversized bodies', async () => {
+    const body = JSON.stringify({ target: 'https://x.example.net/', pad: 'x'.repeat(MAX_ADMIN_BODY_BYTES) });
+    expect((await worker.fetch(adminRequest('/links/bar', { method: 'PUT', body }), env)).status).toBe(413);
+  });
+
+  it('returns 503 without a KV namespace', async () => {
+    const { LINKS, ...withoutKv } = env;
+    expect((await worker.fetch(adminRequest('/links'), withoutKv)).status).toBe(503);
+  });
+
+  it('serves the API below ADMIN_PATH', async () => {
+    const pathEnv = { ...env, ADMIN_HOST: undefined, ADMIN_PATH: '/_admin' };
+    const response = await worker.fetch(adminRequest('/_admin/links/foo', { hostname: 'www.example.com' }), pathEnv);
+    expect(response.status).toBe(200);
+  });
+
+  describe('HMAC signatures', () => {
+    const hmacEnv = () => ({ ...env, ADMIN_TOKEN: undefined, ADMIN_HMAC_SECRET: SECRET });
+
+    const newNonce = () => crypto.randomUUID();
+
+    async function signedRequest(path, { method = 'GET', body = '', timestamp = Math.floor(Date.now() / 1000), nonce = newNonce(), secret = SECRET } = {}) {
+      const signature = await signAdminRequest(secret, method, path, String(timestamp), nonce, body);
+      return new Request(`https://admin.example.com${path}`, {
+        method,
+        headers: { 'X-Admin-Timestamp': String(timestamp), 'X-Admin-Nonce': nonce, 'X-Admin-Signature': signature },
+        body: body || undefined
+      });
+    }
+
+    it('builds the signed payload', () => {
+      expect(adminSignaturePayload('put', '/links/foo', '1700000000', 'nonce-0123456789ab', '{}'))
+        .toBe('1700000000\nnonce-0123456789ab\nPUT\n/links/foo\n{}');
+    });
+
+    it('accepts valid signatures', async () => {
+      const body = JSON.stringify({ target: 'https://signed.example.net/' });
+      const response = await worker.fetch(await signedRequest('/links/signed', { method: 'PUT', body }), hmacEnv());
+      expect(response.status).toBe(201);
+    });
+
+    it('rejects wrong secrets, stale timestamps and tampered bodies', async () => {
+      expect((await worker.fetch(await signedRequest('/links', { secret: 'other' }), hmacEnv())).status).toBe(401);
+
+      const stale = Math.floor(Date.now() / 1000) - 3600;
+      expect((await worker.fetch(await signedRequest('/links', { timestamp: stale }), hmacEnv())).status).toBe(401);
+
+      const nonce = newNonce();
+      const signature = await signAdminRequest(SECRET, 'PUT', '/links/x', String(Math.floor(Date.now() / 1000)), nonce, '{"target":"https://a.example.net/"}');
+      const tampered = new Request('https://admin.example.com/links/x', {
+        method: 'PUT',
+        headers: { 'X-Admin-Timestamp': String(Math.floor(Date.now() / 1000)), 'X-Admin-Nonce': nonce, 'X-Admin-Signature': signature },
+        body: '{"target":"https://evil.example.net/"}'
+      });
+      expect((await worker.fetch(tampered, hmacEnv())).status).toBe(401);
+    });
+
+    it('rejects missing and reused nonces', async () => {
+      expect((await worker.fetch(await signedRequest('/links', { nonce: '' }), hmacEnv())).status).toBe(401);
+      expect((await worker.fetch(await signedRequest('/links', { nonce: 'short' }), hmacEnv())).status).toBe(401);
+
+      const nonce = newNonce();
+      expect((await worker.fetch(await signedRequest('/links', { nonce }), hmacEnv())).status).toBe(200);
+      expect((await worker.fetch(await signedRequest('/links', { nonce }), hmacEnv())).status).toBe(401);
+      expect((await worker.fetch(await signedRequest('/links'), hmacEnv())).status).toBe(200);
+    });
+  });
+});
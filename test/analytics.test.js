@@ -0,0 +1,231 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker from '../src/index.js';
+import * as ratelimit from '../src/ratelimit.js';
+import {
+  outcomeForStatus,
+  userAgentClass,
+  referrerHost,
+  buildClickEvent,
+  createAnalyticsEngineSink,
+  createQueueSink,
+  getAnalyticsSink,
+  setAnalyticsSink,
+  recordClick,
+  summarizeClicks
+} from '../src/analytics.js';
+import { createMemoryAnalyticsSink } from './helpers/memory-analytics.js';
+
+const NOW = 1_700_000_000_000;
+
+function createCtx() {
+  const pending = [];
+  return { pending, waitUntil: promise => pending.push(promise) };
+}
+
+describe('analytics helpers', () => {
+  it('maps response statuses to outcomes', () => {
+    expect(outcomeForStatus(302)).toBe('redirect');
+    expect(outcomeForStatus(308)).toBe('redirect');
+    expect(outcomeForStatus(401)).toBe('unauthorized');
+    expect(outcomeForStatus(403)).toBe('forbidden');
+    expect(outcomeForStatus(404)).toBe('not_found');
+    expect(outcomeForStatus(410)).toBe('expired');
+    expect(outcomeForStatus(429)).toBe('rate_limited');
+    expect(outcomeForStatus(200)).toBeNull();
+    expect(outcomeForStatus(500)).toBeNull();
+  });
+
+  it('classifies user agents', () => {
+    expect(userAgentClass(null)).toBe('none');
+    expect(userAgentClass('Googlebot/2.1 (+http://www.google.com/bot.html)')).toBe('bot');
+    expect(userAgentClass('curl/8.4.0')).toBe('bot');
+    expect(userAgentClass('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148')).toBe('mobile');
+    expect(userAgentClass('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0')).toBe('desktop');
+  });
+
+  it('extracts the referrer host', () => {
+    expect(referrerHost('https://News.Example.net/article?id=1')).toBe('news.example.net');
+    expect(referrerHost('not a url')).toBe('');
+    expect(referrerHost(null)).toBe('');
+  });
+
+  it('builds events without identifying data', () => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+    const request = new Request('https://foo.example.com/', {
+      headers: { 'Referer': 'https://news.example.net/', 'User-Agent': 'Mozilla/5.0 (Macintosh)', 'CF-Connecting-IP': '203.0.113.1' }
+    });
+    Object.defineProperty(request, 'cf', { value: { country: 'DE' } });
+
+    expect(buildClickEvent(request, 'foo', 302)).toEqual({
+      link: 'foo', outcome: 'redirect', country: 'DE', referrerHost: 'news.example.net', userAgentClass: 'desktop', timestamp: NOW
+    });
+    expect(buildClickEvent(request, 'foo', 405)).toBeNull();
+    vi.restoreAllMocks();
+  });
+
+  it('summarizes counts per link', () => {
+    expect(summarizeClicks([
+      { link: 'foo', outcome: 'redirect', count: 3 },
+      { link: 'bar', outcome: 'redirect', count: 5 },
+      { link: 'foo', outcome: 'unauthorized', count: 4 }
+    ])).toEqual([
+      { link: 'foo', total: 7, outcomes: { redirect: 3, unauthorized: 4 } },
+      { link: 'bar', total: 5, outcomes: { redirect: 5 } }
+    ]);
+  });
+});
+
+describe('analytics sinks', () => {
+  afterEach(() => {
+    setAnalyticsSink(null);
+    vi.restoreAllMocks();
+  });
+
+  const event = { link: 'foo', outcome: 'redirect', country: 'DE', referrerHost: '', userAgentClass: 'bot', timestamp: NOW };
+
+  it('writes Analytics Engine data points', () => {
+    const dataset = { writeDataPoint: vi.fn() };
+    createAnalyticsEngineSink(dataset).record(event);
+    expect(dataset.writeDataPoint).toHaveBeenCalledWith({
+      indexes: ['foo'], blobs: ['foo', 'redirect', 'DE', '', 'bot'], doubles: [1]
+    });
+  });
+
+  it('only aggregates Analytics Engine data with SQL API credentials', () => {
+    const dataset = { writeDataPoint: vi.fn() };
+    expect(createAnalyticsEngineSink(dataset).aggregate).toBeUndefined();
+    expect(createAnalyticsEngineSink(dataset, { datasetName: 'x; DROP', accountId: 'a', apiToken: 't' }).aggregate).toBeUndefined();
+    expect(createAnalyticsEngineSink(dataset, { datasetName: 'clicks', accountId: 'a', apiToken: 't' }).aggregate).toBeTypeOf('function');
+  });
+
+  it('queries the Analytics Engine SQL API', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+    const fetchMock = vi.spyOn(globalThis, 'fetch').mockResolvedValue(
+      new Response(JSON.stringify({ data: [{ link: 'foo', outcome: 'redirect', count: '12' }] }))
+    );
+    const sink = createAnalyticsEngineSink({ writeDataPoint() {} }, { datasetName: 'clicks', accountId: 'acc', apiToken: 'tok' });
+
+    expect(await sink.aggregate({ since: NOW - 7 * 24 * 60 * 60 * 1000 })).toEqual([{ link: 'foo', outcome: 'redirect', count: 12 }]);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('https://api.cloudflare.com/client/v4/accounts/acc/analytics_engine/sql');
+    expect(init.headers.Authorization).toBe('Bearer tok');
+    expect(init.body).toContain("FROM clicks WHERE timestamp > NOW() - INTERVAL '7' DAY");
+  });
+
+  it('sends events to a queue', async () => {
+    const queue = { send: vi.fn().mockResolvedValue(undefined) };
+    await createQueueSink(queue).record(event);
+    expect(queue.send).toHaveBeenCalledWith(event);
+  });
+
+  it('resolves the sink from bindings', () => {
+    const dataset = { writeDataPoint: vi.fn() };
+    const queue = { send: vi.fn() };
+    expect(getAnalyticsSink({})).toBeNull();
+    expect(getAnalyticsSink({ ANALYTICS_QUEUE: queue }).aggregate).toBeUndefined();
+
+    getAnalyticsSink({ ANALYTICS: dataset, ANALYTICS_QUEUE: queue }).record(event);
+    expect(dataset.writeDataPoint).toHaveBeenCalled();
+    expect(queue.send).not.toHaveBeenCalled();
+
+    const memory = createMemoryAnalyticsSink();
+    setAnalyticsSink(memory);
+    expect(getAnalyticsSink({ ANALYTICS: dataset })).toBe(memory);
+  });
+
+  it('records through waitUntil and swallows sink failures', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    setAnalyticsSink({ record: () => Promise.reject(new Error('queue full')) });
+    const ctx = createCtx();
+
+    recordClick(ctx, {}, new Request('https://foo.example.com/'), 'foo', 302);
+    expect(ctx.pending).toHaveLength(1);
+    await Promise.all(ctx.pending);
+    expect(warn).toHaveBeenCalledWith('Recording analytics event failed: queue full');
+  });
+});
+
+describe('click analytics in the worker', () => {
+  let sink;
+  let ctx;
+  const env = {
+    ALLOWED_HOST_SUFFIXES: '.example.com',
+    PROTECTED_SUBDOMAINS: 'secret',
+    LINK_FOO: 'https://foo.example.net/',
+    LINK_SECRET: 'https://secret.example.net/',
+    USER_SECRET: 'alice',
+    PASS_SECRET: 'pw',
+    ADMIN_HOST: 'admin.example.com',
+    ADMIN_TOKEN: 'admin-token'
+  };
+
+  beforeEach(() => {
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+    sink = createMemoryAnalyticsSink();
+    setAnalyticsSink(sink);
+    ctx = createCtx();
+  });
+
+  afterEach(() => {
+    setAnalyticsSink(null);
+    vi.restoreAllMocks();
+  });
+
+  async function fetchLink(hostname, headers = {}) {
+    const response = await worker.fetch(new Request(`https://${hostname}/`, { headers }), env, ctx);
+    await Promise.all(ctx.pending);
+    return response;
+  }
+
+  it('records redirects, auth failures, rate limiting and unknown links', async () => {
+    await fetchLink('foo.example.com', { 'Referer': 'https://news.example.net/' });
+    await fetchLink('secret.example.com', { 'CF-Connecting-IP': '203.0.113.1' });
+    await fetchLink('missing.example.com');
+    for (let i = 1; i < ratelimit.MAX_FAILED_ATTEMPTS; i++) {
+      await fetchLink('secret.example.com', { 'CF-Connecting-IP': '203.0.113.1' });
+    }
+    await fetchLink('secret.example.com', { 'CF-Connecting-IP': '203.0.113.1' });
+
+    expect(sink.events[0]).toMatchObject({ link: 'foo', outcome: 'redirect', referrerHost: 'news.example.net' });
+    expect(sink.events[1]).toMatchObject({ link: 'secret', outcome: 'unauthorized' });
+    expect(sink.events[2]).toMatchObject({ link: 'missing', outcome: 'not_found' });
+    expect(sink.events.at(-1)).toMatchObject({ link: 'secret', outcome: 'rate_limited' });
+  });
+
+  it('does not record requests that never resolve a link', async () => {
+    await worker.fetch(new Request('https://foo.example.org/'), env, ctx);
+    await worker.fetch(new Request('https://foo.example.com/', { method: 'POST' }), env, ctx);
+    await worker.fetch(new Request('http://foo.example.com/'), env, ctx);
+    expect(sink.events).toEqual([]);
+  });
+
+  it('serves per-link counts on the admin API', async () => {
+    await fetchLink('foo.example.com');
+    await fetchLink('foo.example.com');
+    await fetchLink('secret.example.com');
+
+    const unauthorized = await worker.fetch(new Request('https://admin.example.com/analytics'), env);
+    expect(unauthorized.status).toBe(401);
+
+    const response = await worker.fetch(new Request('https://admin.example.com/analytics?days=1', {
+      headers: { 'Authorization': 'Bearer admin-token' }
+    }), env);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      days: 1,
+      links: [
+        { link: 'foo', total: 2, outcomes: { redirect: 2 } },
+        { link: 'secret', total: 1, outcomes: { unauthorized: 1 } }
+      ]
+    });
+  });
+
+  it('returns 501 if the sink cannot aggregate', async () => {
+    setAnalyticsSink({ record() {} });
+    const response = await worker.fetch(new Request('https://admin.example.com/analytics', {
+      headers: { 'Authorization': 'Bearer admin-token' }
+    }), env);
+    expect(response.status).toBe(501);
+  });
+});
@@ -1,7 +1,8 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 
 import worker, { invalidateConfigCache } from '../src/index.js';
 import { base64Encode } from '../src/base64.js';
+import { hashPassword } from '../src/password.js';
 
 const makeAuthHeader = (user, pass) => `Basic ${base64Encode(`${user}:${pass}`)}`;
 
@@ -74,7 +75,8 @@ describe('Multi-user Basic Auth (USERS_<SUBDOMAIN>)', () => {
     expect(res.headers.get('Location')).toBe('https://single.example.com/');
   });
 
-  it('rejects malformed USERS_<SUBDOMAIN> JSON and falls back', async () => {
+  it('fails closed on malformed USERS_<SUBDOMAIN> JSON', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
     const env = {
       ...baseEnv,
       USERS_MULTI: '[{"user":"alice","pass":"pw1"},', // malformed JSON
@@ -85,11 +87,19 @@ describe('Multi-user Basic Auth (USERS_<SUBDOMAIN>)', () => {
       headers: { Authorization: makeAuthHeader('singleuser', 'singlepass') }
     });
     const res = await worker.fetch(req, env);
-    expect(res.status).toBe(302);
-    expect(res.headers.get('Location')).toBe('https://multi.example.com/');
+    expect(res.status).toBe(500);
+    expect(error).toHaveBeenCalledWith(expect.stringMatching(/^Invalid USERS_\* credentials:\n  - USERS_MULTI: not valid JSON/));
+    // Links that do not use the variable keep working
+    const other = new Request('https://single.example.com', {
+      headers: { Authorization: makeAuthHeader('fallback', 'fallbackpw') }
+    });
+    expect((await worker.fetch(other, env)).status).toBe(302);
+    expect(error).toHaveBeenCalledTimes(1);
+    error.mockRestore();
   });
 
-  it('rejects if USERS_<SUBDOMAIN> is an empty array', async () => {
+  it('fails closed if USERS_<SUBDOMAIN> is an empty array', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
     const env = {
       ...baseEnv,
       USERS_MULTI: '[]'
@@ -98,6 +108,125 @@ describe('Multi-user Basic Auth (USERS_<SUBDOMAIN>)', () => {
       headers: { Authorization: makeAuthHeader('alice', 'pw1') }
     });
     const res = await worker.fetch(req, env);
-    expect(res.status).toBe(401);
+    expect(res.status).toBe(500);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('USERS_MULTI: must be a non-empty array of {user, pass} objects'));
+    error.mockRestore();
+  });
+});
+
+describe('Hashed passwords', () => {
+  beforeEach(() => invalidateConfigCache());
+
+  it('accepts PBKDF2 hashes in USERS_, PASS_ and FALLBACK_PASS', async () => {
+    const env = {
+      ...baseEnv,
+      USERS_MULTI: JSON.stringify([{ user: 'alice', pass: await hashPassword('pw1', 1000) }]),
+      USER_SINGLE: 'bob',
+      PASS_SINGLE: await hashPassword('pw2', 1000),
+      FALLBACK_PASS: await hashPassword('fallbackpw', 1000),
+      PROTECTED_SUBDOMAINS: 'multi,single,other',
+      LINK_OTHER: 'https://other.example.com'
+    };
+
+    const cases = [
+      ['multi', 'alice', 'pw1', 302],
+      ['multi', 'alice', 'wrong', 401],
+      ['single', 'bob', 'pw2', 302],
+      ['single', 'bob', env.PASS_SINGLE, 401],
+      ['other', 'fallback', 'fallbackpw', 302]
+    ];
+    for (const [subdomain, user, pass, status] of cases) {
+      const req = new Request(`https://${subdomain}.example.com`, {
+        headers: { Authorization: makeAuthHeader(user, pass) }
+      });
+      const res = await worker.fetch(req, env);
+      expect(res.status).toBe(status);
+    }
+  });
+});
+
+describe('Per-user targets', () => {
+  beforeEach(() => invalidateConfigCache());
+
+  const visit = (env, user, pass, path = '/', extraHeaders = {}) => worker.fetch(new Request(`https://multi.example.com${path}`, {
+    headers: { Authorization: makeAuthHeader(user, pass), ...extraHeaders }
+  }), env);
+
+  it('sends each user in USERS_<SUBDOMAIN> to their own target and status', async () => {
+    const env = {
+      ...baseEnv,
+      USERS_MULTI: JSON.stringify([
+        { user: 'acme', pass: 'pw1', target: 'https://dash.example.net/acme/{path}', status: 307 },
+        { user: 'globex', pass: 'pw2', target: 'https://dash.example.net/globex/' },
+        { user: 'staff', pass: 'pw3' }
+      ])
+    };
+
+    const acme = await visit(env, 'acme', 'pw1', '/reports');
+    expect(acme.status).toBe(307);
+    expect(acme.headers.get('Location')).toBe('https://dash.example.net/acme/reports');
+
+    const globex = await visit(env, 'globex', 'pw2');
+    expect(globex.status).toBe(302);
+    expect(globex.headers.get('Location')).toBe('https://dash.example.net/globex/');
+
+    const staff = await visit(env, 'staff', 'pw3');
+    expect(staff.headers.get('Location')).toBe('https://multi.example.com/');
+  });
+
+  it('fails closed on USERS_<SUBDOMAIN> with an invalid target or TOTP secret', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const env = {
+      ...baseEnv,
+      USERS_MULTI: JSON.stringify([
+        { user: 'acme', pass: 'pw1', target: 'javascript:alert(1)' },
+        { user: 'bob', pass: 'pw2', totp: 'short' }
+      ])
+    };
+
+    // The fallback credentials do not stand in for the invalid list
+    expect((await visit(env, 'acme', 'pw1')).status).toBe(500);
+    expect((await visit(env, 'fallback', 'fallbackpw')).status).toBe(500);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('USERS_MULTI[0].target: must be an absolute http(s) URL'));
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('USERS_MULTI[1].totp: must be a base32 secret'));
+    error.mockRestore();
+  });
+
+  it('uses per-user targets from REDIRECT_CONFIG users', async () => {
+    const env = {
+      ...baseEnv,
+      REDIRECT_CONFIG: JSON.stringify({
+        links: {
+          portal: {
+            target: 'https://portal.example.net/',
+            protected: true,
+            users: [{ user: 'acme', pass: 'pw1', target: 'https://dash.example.net/acme/', status: 303 }]
+          }
+        }
+      })
+    };
+    const res = await worker.fetch(new Request('https://portal.example.com/', {
+      headers: { Authorization: makeAuthHeader('acme', 'pw1') }
+    }), env);
+    expect(res.status).toBe(303);
+    expect(res.headers.get('Location')).toBe('https://dash.example.net/acme/');
+  });
+
+  it('uses the per-user target of a session', async () => {
+    const env = {
+      ...baseEnv,
+      SESSION_SECRET: 'session-secret',
+      USERS_MULTI: JSON.stringify([{ user: 'acme', pass: 'pw1', target: 'https://dash.example.net/acme/' }])
+    };
+    const login = await worker.fetch(new Request('https://multi.example.com/_auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ user: 'acme', pass: 'pw1', return: '/' }).toString()
+    }), env);
+    const cookie = login.headers.get('Set-Cookie').split(';')[0];
+
+    const res = await worker.fetch(new Request('https://multi.example.com/', { headers: { Cookie: cookie } }), env);
+    expect(res.status).toBe(302);
+    expect(res.headers.get('Location')).toBe('https://dash.example.net/acme/');
   });
 });
@@ -1,5 +1,6 @@
-import { describe, it, expect } from 'vitest';
-import { checkBasicAuth, constantTimeEqual, isNonEmpty } from '../src/auth.js';
+import { describe, it, expect, vi } from 'vitest';
+import { authenticateCredential, decodeBasicAuth, constantTimeEqual, isNonEmpty, verifyPassword } from '../src/auth.js';
+import { hashPassword } from '../src/password.js';
 import { base64Encode } from '../src/base64.js';
 
 describe('auth.js', () => {
@@ -28,35 +29,68 @@ describe('auth.js', () => {
     });
   });
 
-  describe('checkBasicAuth', () => {
-    function makeHeader(user, pass) {
-      return 'Basic ' + base64Encode(`${user}:${pass}`);
-    }
-    it('returns true for correct credentials', () => {
-      const header = makeHeader('user', 'pass');
-      expect(checkBasicAuth(header, 'user', 'pass')).toBe(true);
-    });
-    it('returns false for wrong credentials', () => {
-      const header = makeHeader('user', 'wrong');
-      expect(checkBasicAuth(header, 'user', 'pass')).toBe(false);
-    });
-    it('returns false for malformed header', () => {
-      expect(checkBasicAuth('Basic notbase64', 'user', 'pass')).toBe(false);
-      expect(checkBasicAuth('Bearer token', 'user', 'pass')).toBe(false);
-    });
-    it('returns false for missing colon', () => {
-      const b64 = base64Encode('userpass');
-      expect(checkBasicAuth('Basic ' + b64, 'user', 'pass')).toBe(false);
-    });
-    it('returns false for undefined or empty authorization header', () => {
-      expect(checkBasicAuth(undefined, 'user', 'pass')).toBe(false);
-      expect(checkBasicAuth(null, 'user', 'pass')).toBe(false);
-      expect(checkBasicAuth('', 'user', 'pass')).toBe(false);
-    });
-    it('returns false if decoded credentials lack a colon', () => {
-      // 'dXNlcnBhc3M=' is base64 for 'userpass' (no colon)
-      const malformed = 'Basic dXNlcnBhc3M=';
-      expect(checkBasicAuth(malformed, 'user', 'pass')).toBe(false);
+  describe('authenticateCredential', () => {
+    it('hashes the password once for known and unknown users alike', async () => {
+      const expected = [
+        { user: 'alice', pass: await hashPassword('pw1', 1000) },
+        { user: 'bob', pass: 'pw2' }
+      ];
+      const deriveBits = vi.spyOn(crypto.subtle, 'deriveBits');
+      try {
+        expect((await authenticateCredential('alice', 'wrong', expected)).credential).toBeNull();
+        expect(deriveBits).toHaveBeenCalledTimes(1);
+        expect((await authenticateCredential('mallory', 'wrong', expected)).credential).toBeNull();
+        expect(deriveBits).toHaveBeenCalledTimes(2);
+        expect(deriveBits.mock.calls[1][0].iterations).toBe(1000);
+      } finally {
+        deriveBits.mockRestore();
+      }
+    });
+
+    it('accepts hashed and plaintext passwords in credential lists', async () => {
+      const expected = [
+        { user: 'alice', pass: await hashPassword('pw1', 1000) },
+        { user: 'bob', pass: 'pw2' }
+      ];
+      expect((await authenticateCredential('alice', 'pw1', expected)).credential).toBe(expected[0]);
+      expect((await authenticateCredential('bob', 'pw2', expected)).credential).toBe(expected[1]);
+      expect((await authenticateCredential('alice', 'pw2', expected)).credential).toBeNull();
+      expect((await authenticateCredential('alice', expected[0].pass, expected)).credential).toBeNull();
+      expect((await authenticateCredential('user', 'pass', { user: 'user', pass: 'pass' })).credential).toEqual({ user: 'user', pass: 'pass' });
+    });
+
+    it('checks every entry and returns the first match', async () => {
+      const expected = [
+        { user: 'alice', pass: 'old' },
+        { user: 'alice', pass: 'new' },
+        { user: 'alice', pass: 'new', target: 'https://other.example.com' }
+      ];
+      expect((await authenticateCredential('alice', 'new', expected)).credential).toBe(expected[1]);
+      expect((await authenticateCredential('alice', 'old', expected)).credential).toBe(expected[0]);
+      expect((await authenticateCredential('alice', 'x', [])).credential).toBeNull();
+    });
+  });
+
+  describe('decodeBasicAuth', () => {
+    it('returns the user and password of a Basic Auth header', () => {
+      expect(decodeBasicAuth('Basic ' + base64Encode('alice:pw:with:colons'))).toEqual({ user: 'alice', pass: 'pw:with:colons' });
+      expect(decodeBasicAuth('Basic ' + base64Encode('alice'))).toBeNull();
+      expect(decodeBasicAuth('Bearer token')).toBeNull();
+      expect(decodeBasicAuth('')).toBeNull();
+      expect(decodeBasicAuth(undefined)).toBeNull();
+      expect(decodeBasicAuth(null)).toBeNull();
+      expect(decodeBasicAuth('Basic notbase64')).toBeNull();
+    });
+  });
+
+  describe('verifyPassword', () => {
+    it('compares plaintext passwords', async () => {
+      expect(await verifyPassword('pass', 'pass')).toBe(true);
+      expect(await verifyPassword('pass', 'other')).toBe(false);
+      expect(await verifyPassword(undefined, 'pass')).toBe(false);
+    });
+    it('never matches malformed hashes, even verbatim', async () => {
+      expect(await verifyPassword('pbkdf2$broken', 'pbkdf2$broken')).toBe(false);
     });
   });
 });
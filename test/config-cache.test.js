@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import worker, { invalidateConfigCache } from '../src/index.js';
 
 describe('Configuration Caching', () => {
@@ -82,6 +82,16 @@ describe('Configuration Caching', () => {
     expect(response3.status).toBe(401); // Should require auth now
   });
 
+  it('detects redirect status changes', async () => {
+    const request = createRequest('public.example.com');
+
+    const response1 = await worker.fetch(request, mockEnv1);
+    expect(response1.status).toBe(302);
+
+    const response2 = await worker.fetch(request, { ...mockEnv1, STATUS_PUBLIC: '301' });
+    expect(response2.status).toBe(301);
+  });
+
   it('invalidateConfigCache forces re-parsing', async () => {
     const request = createRequest('public.example.com');
 
@@ -97,6 +107,19 @@ describe('Configuration Caching', () => {
     expect(response2.status).toBe(302);
   });
 
+  it('fails closed on invalid ALLOWED_HOST_SUFFIXES', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const env = { ...mockEnv1, ALLOWED_HOST_SUFFIXES: 'invalid..suffix' };
+
+    const response = await worker.fetch(createRequest('public.example.com'), env);
+    expect(response.status).toBe(500);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('Invalid ALLOWED_HOST_SUFFIXES:\n  - "invalid..suffix"'));
+    // REDIRECT_CONFIG hosts replace the variable
+    const configured = await worker.fetch(createRequest('public.example.com'), { ...env, REDIRECT_CONFIG: '{"hosts":["example.com"]}' });
+    expect(configured.status).toBe(302);
+    error.mockRestore();
+  });
+
   it('handles empty configuration values gracefully', async () => {
     const emptyEnv = {
       ALLOWED_HOST_SUFFIXES: '',
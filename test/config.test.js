@@ -0,0 +1,251 @@
+import { describe, it, expect } from 'vitest';
+import { parseRedirectConfig, parseLinkPatterns, ConfigError } from '../src/config.js';
+
+function errorsFor(document) {
+  try {
+    parseRedirectConfig(typeof document === 'string' ? document : JSON.stringify(document));
+  } catch (error) {
+    expect(error).toBeInstanceOf(ConfigError);
+    return error.errors;
+  }
+  throw new Error('expected a ConfigError');
+}
+
+describe('config.js', () => {
+  it('parses a complete configuration document', () => {
+    const config = parseRedirectConfig(JSON.stringify({
+      hosts: ['example.com', '.example.org'],
+      defaultStatus: 301,
+      links: {
+        foo: { target: 'https://foo.example.net/', status: '308', protected: true, users: [{ user: 'alice', pass: 'pw1' }] },
+        'api.v1': { target: 'https://api.example.net/*', credentials: 'shared' }
+      },
+      auth: { fallback: { user: 'fallback', pass: 'secret' } }
+    }));
+
+    expect(config.hosts).toEqual(['.example.com', '.example.org']);
+    expect(config.defaultStatus).toBe(301);
+    expect(config.links.get('foo')).toEqual({
+      target: 'https://foo.example.net/', status: 308, protected: true, users: [{ user: 'alice', pass: 'pw1' }]
+    });
+    expect(config.links.get('api.v1')).toEqual({ target: 'https://api.example.net/*', credentials: 'shared' });
+    expect(config.fallbackCredentials).toEqual({ user: 'fallback', pass: 'secret' });
+  });
+
+  it('accepts an empty document', () => {
+    const config = parseRedirectConfig('{}');
+    expect(config.hosts).toBeUndefined();
+    expect(config.links.size).toBe(0);
+  });
+
+  it('rejects invalid JSON and non-object documents', () => {
+    expect(errorsFor('{nope')[0]).toContain('not valid JSON');
+    expect(errorsFor('[]')).toEqual(['must be a JSON object']);
+  });
+
+  it('aggregates all validation errors', () => {
+    const errors = errorsFor({
+      hosts: ['example.com', 'bad..host'],
+      defaultStatus: 200,
+      links: {
+        Foo: { target: 'https://foo.example.net/' },
+        bar: { target: 'ftp://bar.example.net/', status: 304, protected: 'yes' },
+        baz: { target: 'https://baz.example.net/', users: [{ user: 'alice' }], extra: true },
+        qux: 'https://qux.example.net/'
+      },
+      auth: { fallback: { user: '', pass: 'x' } },
+      unknown: 1
+    });
+
+    expect(errors).toEqual([
+      'config.unknown: unknown property',
+      'hosts[1]: Host suffix contains malformed domain tokens',
+      'defaultStatus: Redirect status must be one of 301, 302, 303, 307, 308',
+      'links.Foo: link names must be lowercase subdomains',
+      'links.bar.target: must be an absolute http(s) URL',
+      'links.bar.status: Redirect status must be one of 301, 302, 303, 307, 308',
+      'links.bar.protected: must be a boolean',
+      'links.baz.extra: unknown property',
+      'links.baz.users[0]: must have non-empty string user and pass',
+      'links.qux: must be an object',
+      'auth.fallback: must have non-empty string user and pass'
+    ]);
+  });
+
+  it('rejects targets that do not parse as URLs', () => {
+    expect(errorsFor({
+      links: {
+        bracket: { target: 'https://[bad' },
+        space: { target: 'https://a b/' },
+        empty: { target: 'https://' },
+        portal: { target: 'https://portal.example.net/', users: [{ user: 'a', pass: 'b', target: 'https://[bad' }] },
+        promo: { target: 'https://promo.example.net/', comingSoonTarget: 'https://a b/' }
+      }
+    })).toEqual([
+      'links.bracket.target: must be an absolute http(s) URL',
+      'links.space.target: must be an absolute http(s) URL',
+      'links.empty.target: must be an absolute http(s) URL',
+      'links.portal.users[0].target: must be an absolute http(s) URL',
+      'links.promo.comingSoonTarget: must be an absolute http(s) URL'
+    ]);
+  });
+
+  it('rejects malformed password hashes', () => {
+    const errors = errorsFor({
+      links: { foo: { target: 'https://foo.example.net/', users: [{ user: 'alice', pass: 'pbkdf2$1000$zz$zz' }] } },
+      auth: { fallback: { user: 'admin', pass: 'pbkdf2$nope' } }
+    });
+
+    expect(errors).toEqual([
+      'links.foo.users[0].pass: malformed password hash, expected pbkdf2$<iterations>$<salt hex>$<hash hex>',
+      'auth.fallback.pass: malformed password hash, expected pbkdf2$<iterations>$<salt hex>$<hash hex>'
+    ]);
+  });
+
+  it('parses and validates per-user targets', () => {
+    const config = parseRedirectConfig(JSON.stringify({
+      links: { portal: { target: 'https://portal.example.net/', users: [{ user: 'acme', pass: 'pw', target: ' https://dash.example.net/acme/ ', status: '307' }] } }
+    }));
+    expect(config.links.get('portal').users).toEqual([{ user: 'acme', pass: 'pw', target: 'https://dash.example.net/acme/', status: 307 }]);
+
+    expect(errorsFor({
+      links: { portal: { target: 'https://portal.example.net/', users: [{ user: 'acme', pass: 'pw', target: '/acme', status: 200 }] } }
+    })).toEqual([
+      'links.portal.users[0].target: must be an absolute http(s) URL',
+      expect.stringMatching(/^links\.portal\.users\[0\]\.status: /)
+    ]);
+  });
+
+  it('parses and validates credential groups', () => {
+    const config = parseRedirectConfig(JSON.stringify({
+      auth: { groups: { Finance: [{ user: 'alice', pass: 'pw' }] } },
+      links: { ledger: { target: 'https://ledger.example.net/', groups: ['Finance'] } }
+    }));
+    expect(config.groups.get('finance')).toEqual([{ user: 'alice', pass: 'pw' }]);
+    expect(config.links.get('ledger').groups).toEqual(['finance']);
+
+    expect(errorsFor({
+      auth: { groups: { 'bad name': [{ user: 'alice', pass: 'pw' }], ops: [] } },
+      links: { ledger: { target: 'https://ledger.example.net/', groups: ['ok', 'no.dots'] } }
+    })).toEqual([
+      'links.ledger.groups[1]: group names may only contain letters, digits, hyphens and underscores',
+      'auth.groups.bad name: group names may only contain letters, digits, hyphens and underscores',
+      'auth.groups.ops: must be a non-empty array of {user, pass} objects'
+    ]);
+  });
+
+  it('validates auth modes and JWT settings', () => {
+    const errors = errorsFor({
+      links: { foo: { target: 'https://foo.example.net/', authMode: 'oauth' } },
+      auth: { jwt: { issuer: 'https://team.cloudflareaccess.com', audience: 'aud', jwksUrl: 'https://team.cloudflareaccess.com/cdn-cgi/access/certs', extra: 1 } }
+    });
+
+    expect(errors).toEqual([
+      'links.foo.authMode: must be one of basic, jwt',
+      'auth.jwt.extra: unknown property'
+    ]);
+  });
+
+  it('validates IP rules', () => {
+    const errors = errorsFor({
+      links: { foo: { target: 'https://foo.example.net/', ip: { allow: ['10.0.0.0/8', 'nope'], bypassAuth: 'yes' } } },
+      ip: { deny: '10.0.0.0/8', extra: true }
+    });
+
+    expect(errors).toEqual([
+      'links.foo.ip.allow: "nope": Invalid IP address or CIDR range',
+      'links.foo.ip.bypassAuth: must be a boolean',
+      'ip.extra: unknown property',
+      'ip.deny: must be an array of IP addresses or CIDR ranges'
+    ]);
+
+    const config = parseRedirectConfig(JSON.stringify({ ip: { allow: [' 192.0.2.0/24 '], bypassAuth: true } }));
+    expect(config.ip).toEqual({ allow: ['192.0.2.0/24'], bypassAuth: true });
+  });
+
+  it('validates geo rules on links and pattern rules', () => {
+    expect(errorsFor({
+      links: { foo: { target: 'https://foo.example.net/', geo: { allowCountries: ['DE'], status: 410 } } },
+      patterns: [{ match: '*.eu', target: 'https://eu.example.net/', geo: 'EU' }]
+    })).toEqual([
+      'links.foo.geo.status: must be one of 403, 404',
+      'patterns[0].geo: must be an object'
+    ]);
+  });
+
+  it('parses pattern rules', () => {
+    const config = parseRedirectConfig(JSON.stringify({
+      patterns: [{ match: '*.preview', target: 'https://{1}.pages.example.net/', priority: 5, protected: true }]
+    }));
+
+    expect(config.patterns).toHaveLength(1);
+    expect(config.patterns[0]).toMatchObject({
+      match: '*.preview', priority: 5, specificity: 8,
+      link: { target: 'https://{1}.pages.example.net/', protected: true }
+    });
+    expect(config.patterns[0].regex.test('feature.preview')).toBe(true);
+  });
+
+  it('validates pattern rules', () => {
+    expect(errorsFor({ patterns: {} })).toEqual(['patterns: must be an array of pattern rules']);
+    expect(errorsFor({ patterns: [{ match: '*.Bad', target: 'https://x.example.net/', priority: 1.5, nope: 1 }] })).toEqual([
+      'patterns[0].nope: unknown property',
+      'patterns[0].match: Glob patterns may only contain lowercase letters, digits, dots, hyphens and wildcards',
+      'patterns[0].priority: must be an integer'
+    ]);
+  });
+
+  it('parses LINK_PATTERNS and reports errors under its own name', () => {
+    expect(parseLinkPatterns('[{"match":"*.preview","target":"https://x.example.net/"}]')).toHaveLength(1);
+    expect(() => parseLinkPatterns('[{"match":"*.preview"}]')).toThrow('Invalid LINK_PATTERNS');
+  });
+
+  it('parses suffix-specific links', () => {
+    const config = parseRedirectConfig(JSON.stringify({
+      links: { foo: { target: 'https://shared.example.net/' } },
+      suffixLinks: { '.Example.org': { foo: { target: 'https://org.example.net/', status: 301 } } }
+    }));
+
+    expect(config.links.get('foo')).toEqual({ target: 'https://shared.example.net/' });
+    expect(config.links.get('foo@example.org')).toEqual({ target: 'https://org.example.net/', status: 301 });
+  });
+
+  it('validates suffix-specific links', () => {
+    expect(errorsFor({
+      suffixLinks: { 'bad..org': { foo: { target: 'https://x.example.net/' } }, 'example.org': { Foo: { target: 'nope' } }, 'example.net': [] }
+    })).toEqual([
+      'suffixLinks.bad..org: Host suffix contains malformed domain tokens',
+      'suffixLinks.example.org.Foo: link names must be lowercase subdomains',
+      'suffixLinks.example.org.Foo.target: must be an absolute http(s) URL',
+      'suffixLinks.example.net: must be an object keyed by subdomain'
+    ]);
+  });
+
+  it('parses short links', () => {
+    const config = parseRedirectConfig(JSON.stringify({
+      shortLinks: { prefixes: ['go', '/r/'], links: { roadmap: { target: 'https://roadmap.example.net/', protected: true } } }
+    }));
+
+    expect(config.shortLinks.prefixes).toEqual(['/go', '/r']);
+    expect(config.shortLinks.links.get('roadmap')).toEqual({ target: 'https://roadmap.example.net/', protected: true });
+  });
+
+  it('validates short links', () => {
+    expect(errorsFor({ shortLinks: { prefixes: ['/'], links: { 'Bad.Name': { target: 'https://x.example.net/', x: 1 } } } })).toEqual([
+      'shortLinks.prefixes[0]: Short link prefix may only contain path segments of letters, digits, hyphens and underscores',
+      'shortLinks.links.Bad.Name: short link names may only contain lowercase letters, digits, hyphens and underscores',
+      'shortLinks.links.Bad.Name.x: unknown property'
+    ]);
+  });
+
+  it('reports every error in the message', () => {
+    expect.assertions(1);
+    try {
+      parseRedirectConfig(JSON.stringify({ hosts: 'example.com', links: [] }));
+    } catch (error) {
+      expect(error.message).toBe(
+        'Invalid REDIRECT_CONFIG:\n  - hosts: must be an array of host suffixes\n  - links: must be an object keyed by subdomain'
+      );
+    }
+  });
+});
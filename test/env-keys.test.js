@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { envKeyFor, envKeysFor, lookupByEnvKey, scopedName } from '../src/env-keys.js';
+
+describe('env-keys.js', () => {
+  it('maps subdomains to environment key suffixes', () => {
+    expect(envKeyFor('foo')).toBe('FOO');
+    expect(envKeyFor('api.v1')).toBe('API_V1');
+    expect(envKeyFor('')).toBe('');
+  });
+
+  it('maps suffix-scoped names with the suffix first', () => {
+    expect(envKeyFor('foo@example.org')).toBe('EXAMPLE_ORG__FOO');
+    expect(envKeyFor('api.v1@my-brand.co.uk')).toBe('MY_BRAND_CO_UK__API_V1');
+  });
+
+  it('falls back to the shared subdomain key for suffix-scoped names', () => {
+    expect(envKeysFor('foo')).toEqual(['FOO']);
+    expect(envKeysFor('foo@example.org')).toEqual(['EXAMPLE_ORG__FOO', 'FOO']);
+    expect(envKeysFor('pattern:*.preview')).toEqual([]);
+
+    const map = new Map([['FOO', 'shared'], ['EXAMPLE_ORG__BAR', 'scoped'], ['BAR', 'shared']]);
+    expect(lookupByEnvKey(map, 'foo@example.org')).toBe('shared');
+    expect(lookupByEnvKey(map, 'bar@example.org')).toBe('scoped');
+  });
+
+  it('builds suffix-scoped names', () => {
+    expect(scopedName('foo', '.example.org')).toBe('foo@example.org');
+    expect(scopedName('', '.example.org')).toBe('@example.org');
+    expect(scopedName('foo', '')).toBeNull();
+    expect(scopedName('foo', '[2001:db8::1]')).toBeNull();
+  });
+});
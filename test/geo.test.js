@@ -0,0 +1,154 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { invalidateConfigCache } from '../src/index.js';
+import { parseGeoRules, parseGeoConfig, geoRulesFor, evaluateGeoRules, isKnownBot } from '../src/geo.js';
+import { visitWorker, workerEnv } from './helpers/worker.js';
+
+function rulesFor(value) {
+  const errors = [];
+  const rules = parseGeoRules(value, 'geo', errors);
+  expect(errors).toEqual([]);
+  return rules;
+}
+
+describe('geo.js', () => {
+  it('normalizes country and continent codes and AS numbers', () => {
+    expect(rulesFor({ allowCountries: ['de', ' AT '], denyContinents: ['as'], denyAsns: [12345, 'AS64500', '64501'] })).toEqual({
+      allowCountries: ['DE', 'AT'],
+      denyContinents: ['AS'],
+      denyAsns: [12345, 64500, 64501]
+    });
+  });
+
+  it('collects invalid rules', () => {
+    const errors = [];
+    parseGeoRules({
+      allowCountries: ['DE', 'Germany'],
+      denyContinents: ['XX'],
+      denyAsns: ['ASX', -1],
+      allowAsns: [],
+      knownBots: 'block',
+      status: 500,
+      region: ['BY']
+    }, 'links.foo.geo', errors);
+
+    expect(errors).toEqual([
+      'links.foo.geo.region: unknown property',
+      'links.foo.geo.allowCountries: "GERMANY" is not a valid country code',
+      'links.foo.geo.denyContinents: "XX" is not a valid continent code',
+      'links.foo.geo.allowAsns: must be a non-empty array of AS numbers',
+      'links.foo.geo.denyAsns: "ASX" is not a valid AS number',
+      'links.foo.geo.denyAsns: -1 is not a valid AS number',
+      'links.foo.geo.knownBots: must be one of allow, deny',
+      'links.foo.geo.status: must be one of 403, 404'
+    ]);
+    expect(parseGeoRules([], 'geo', [])).toBeUndefined();
+  });
+
+  it('allows only listed countries', () => {
+    const rules = rulesFor({ allowCountries: ['DE', 'AT', 'CH'] });
+    expect(evaluateGeoRules({ country: 'DE' }, rules)).toBeNull();
+    expect(evaluateGeoRules({ country: 'FR' }, rules)).toBe(403);
+    expect(evaluateGeoRules(undefined, rules)).toBe(403);
+  });
+
+  it('denies listed countries, continents and networks', () => {
+    const rules = rulesFor({ denyCountries: ['T1'], denyContinents: ['AN'], denyAsns: [12345], status: 404 });
+    expect(evaluateGeoRules({ country: 'DE', continent: 'EU', asn: 3320 }, rules)).toBeNull();
+    expect(evaluateGeoRules({ country: 'T1', continent: 'EU', asn: 3320 }, rules)).toBe(404);
+    expect(evaluateGeoRules({ country: 'AQ', continent: 'AN', asn: 3320 }, rules)).toBe(404);
+    expect(evaluateGeoRules({ country: 'DE', continent: 'EU', asn: 12345 }, rules)).toBe(404);
+    expect(evaluateGeoRules(undefined, rules)).toBeNull();
+  });
+
+  it('combines allow lists', () => {
+    const rules = rulesFor({ allowContinents: ['EU'], allowAsns: [3320] });
+    expect(evaluateGeoRules({ continent: 'EU', asn: 3320 }, rules)).toBeNull();
+    expect(evaluateGeoRules({ continent: 'EU', asn: 13335 }, rules)).toBe(403);
+    expect(evaluateGeoRules({ continent: 'NA', asn: 3320 }, rules)).toBe(403);
+  });
+
+  it('denies or admits known bots', () => {
+    const bot = { country: 'US', botManagement: { verifiedBot: true } };
+    expect(isKnownBot(bot)).toBe(true);
+    expect(isKnownBot({ verifiedBotCategory: 'Search Engine Crawler' })).toBe(true);
+    expect(isKnownBot({ botManagement: { verifiedBot: false } })).toBe(false);
+    expect(isKnownBot(undefined)).toBe(false);
+
+    expect(evaluateGeoRules(bot, rulesFor({ knownBots: 'deny' }))).toBe(403);
+    expect(evaluateGeoRules({ country: 'US' }, rulesFor({ knownBots: 'deny' }))).toBeNull();
+    expect(evaluateGeoRules(bot, rulesFor({ allowCountries: ['DE'], knownBots: 'allow' }))).toBeNull();
+    expect(evaluateGeoRules(bot, rulesFor({ allowCountries: ['DE'] }))).toBe(403);
+  });
+
+  it('reads GEO_<LINK> variables, with link rules taking precedence', () => {
+    const errors = [];
+    const geoConfig = parseGeoConfig({ GEO_API_V1: '{"allowCountries":["DE"]}', GEO_EXAMPLE_ORG__FOO: '{"denyAsns":[1]}' }, errors);
+    expect(errors).toEqual([]);
+    expect(geoRulesFor('api.v1', null, geoConfig)).toEqual({ allowCountries: ['DE'] });
+    expect(geoRulesFor('foo@example.org', null, geoConfig)).toEqual({ denyAsns: [1] });
+    expect(geoRulesFor('api.v1', { geo: { denyCountries: ['FR'] } }, geoConfig)).toEqual({ denyCountries: ['FR'] });
+    expect(geoRulesFor('other', null, geoConfig)).toBeNull();
+  });
+
+  it('collects invalid GEO_<LINK> variables', () => {
+    const errors = [];
+    parseGeoConfig({ GEO_FOO: '{nope', GEO_BAR: '{"allowCountries":"DE"}' }, errors);
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toBe('GEO_BAR.allowCountries: must be a non-empty array of country codes');
+    expect(errors[1]).toMatch(/^GEO_FOO: not valid JSON/);
+  });
+});
+
+describe('Geo rules in the worker', () => {
+  let env;
+
+  beforeEach(() => {
+    invalidateConfigCache();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    env = workerEnv({
+      LINK_FOO: 'https://foo.example.net/',
+      LINK_BAR: 'https://bar.example.net/',
+      GEO_FOO: JSON.stringify({ allowCountries: ['DE', 'AT', 'CH'] })
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function visit(hostname, cf) {
+    return visitWorker(env, hostname, { cf });
+  }
+
+  it('rejects requests from other countries with 403', async () => {
+    expect((await visit('foo.example.com', { country: 'AT' })).status).toBe(302);
+    const response = await visit('foo.example.com', { country: 'US' });
+    expect(response.status).toBe(403);
+    expect(await response.text()).toBe('Forbidden');
+    expect(response.headers.get('X-Content-Type-Options')).toBe('nosniff');
+    expect((await visit('bar.example.com', { country: 'US' })).status).toBe(302);
+  });
+
+  it('applies link rules from REDIRECT_CONFIG with a 404 response', async () => {
+    env.REDIRECT_CONFIG = JSON.stringify({
+      links: { hidden: { target: 'https://hidden.example.net/', geo: { denyAsns: ['AS12345'], status: 404 } } }
+    });
+    expect((await visit('hidden.example.com', { asn: 64500 })).status).toBe(302);
+    const response = await visit('hidden.example.com', { asn: 12345 });
+    expect(response.status).toBe(404);
+    expect(await response.text()).toBe('Not found');
+  });
+
+  it('checks geo rules before authentication', async () => {
+    env.PROTECTED_SUBDOMAINS = 'foo';
+    env.USER_FOO = 'alice';
+    env.PASS_FOO = 'pw';
+    expect((await visit('foo.example.com', { country: 'US' })).status).toBe(403);
+    expect((await visit('foo.example.com', { country: 'DE' })).status).toBe(401);
+  });
+
+  it('fails closed on invalid GEO_<LINK> variables', async () => {
+    env.GEO_FOO = '{"allowCountries":["Germany"]}';
+    expect((await visit('bar.example.com', { country: 'DE' })).status).toBe(500);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { invalidateConfigCache } from '../src/index.js';
+import { parseGroupConfig, groupNamesFor, groupCredentials } from '../src/groups.js';
+import { visitWorker, workerEnv } from './helpers/worker.js';
+
+describe('groups.js', () => {
+  it('parses GROUP_<NAME> and GROUPS_<SUBDOMAIN>', () => {
+    const errors = [];
+    const groupConfig = parseGroupConfig({
+      GROUP_FINANCE: '[{"user":"alice","pass":"pw1"}]',
+      GROUP_FINANCE_EU: '[{"user":"bob","pass":"pw2","target":"https://eu.example.net/"}]',
+      GROUPS_LEDGER: 'finance, finance-eu',
+      GROUPS_API_V1: 'finance'
+    }, new Map(), errors);
+
+    expect(errors).toEqual([]);
+    expect(groupNamesFor('ledger', null, groupConfig)).toEqual(['finance', 'finance-eu']);
+    expect(groupNamesFor('api.v1', null, groupConfig)).toEqual(['finance']);
+    expect(groupNamesFor('api.v1', { groups: ['finance-eu'] }, groupConfig)).toEqual(['finance-eu']);
+    expect(groupNamesFor('other', null, groupConfig)).toBeNull();
+    expect(groupCredentials(['finance', 'finance-eu'], groupConfig)).toEqual([
+      { user: 'alice', pass: 'pw1' },
+      { user: 'bob', pass: 'pw2', target: 'https://eu.example.net/' }
+    ]);
+  });
+
+  it('lets REDIRECT_CONFIG groups replace variables of the same name', () => {
+    const groupConfig = parseGroupConfig(
+      { GROUP_FINANCE: '[{"user":"alice","pass":"pw1"}]' },
+      new Map([['finance', [{ user: 'carol', pass: 'pw3' }]]])
+    );
+    expect(groupCredentials(['finance'], groupConfig)).toEqual([{ user: 'carol', pass: 'pw3' }]);
+  });
+
+  it('collects invalid groups and unknown references', () => {
+    const errors = [];
+    parseGroupConfig({
+      GROUP_BROKEN: '{nope',
+      GROUP_EMPTY: '[]',
+      GROUP_NOPASS: '[{"user":"alice"}]',
+      GROUPS_FOO: 'missing'
+    }, new Map(), errors);
+
+    expect(errors).toHaveLength(4);
+    expect(errors[0]).toMatch(/^GROUP_BROKEN: not valid JSON/);
+    expect(errors.slice(1)).toEqual([
+      'GROUP_EMPTY: must be a non-empty array of {user, pass} objects',
+      'GROUP_NOPASS[0]: must have non-empty string user and pass',
+      'GROUPS_FOO: unknown credential group "missing"'
+    ]);
+  });
+});
+
+describe('Credential groups in the worker', () => {
+  let env;
+
+  beforeEach(() => {
+    invalidateConfigCache();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    env = workerEnv({
+      PROTECTED_SUBDOMAINS: 'ledger,payroll,wiki',
+      LINK_LEDGER: 'https://ledger.example.net/',
+      LINK_PAYROLL: 'https://payroll.example.net/',
+      LINK_WIKI: 'https://wiki.example.net/',
+      GROUP_FINANCE: JSON.stringify([{ user: 'alice', pass: 'pw1' }]),
+      GROUP_OPS: JSON.stringify([{ user: 'bob', pass: 'pw2' }]),
+      GROUPS_LEDGER: 'finance,ops',
+      GROUPS_PAYROLL: 'finance',
+      USER_PAYROLL: 'carol',
+      PASS_PAYROLL: 'pw3',
+      FALLBACK_USER: 'fallback',
+      FALLBACK_PASS: 'fallbackpw'
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function visit(hostname, user, pass) {
+    return visitWorker(env, hostname, { auth: [user, pass] });
+  }
+
+  it('accepts members of any referenced group', async () => {
+    expect((await visit('ledger.example.com', 'alice', 'pw1')).status).toBe(302);
+    expect((await visit('ledger.example.com', 'bob', 'pw2')).status).toBe(302);
+    expect((await visit('payroll.example.com', 'bob', 'pw2')).status).toBe(401);
+  });
+
+  it('combines groups with the link credentials but not the fallback', async () => {
+    expect((await visit('payroll.example.com', 'carol', 'pw3')).status).toBe(302);
+    expect((await visit('payroll.example.com', 'alice', 'pw1')).status).toBe(302);
+    expect((await visit('payroll.example.com', 'fallback', 'fallbackpw')).status).toBe(401);
+    // Links without groups keep using the fallback
+    expect((await visit('wiki.example.com', 'fallback', 'fallbackpw')).status).toBe(302);
+  });
+
+  it('supports groups in REDIRECT_CONFIG', async () => {
+    env.REDIRECT_CONFIG = JSON.stringify({
+      auth: { groups: { legal: [{ user: 'dave', pass: 'pw4' }] } },
+      links: { contracts: { target: 'https://contracts.example.net/', protected: true, groups: ['legal', 'finance'] } }
+    });
+    expect((await visit('contracts.example.com', 'dave', 'pw4')).status).toBe(302);
+    expect((await visit('contracts.example.com', 'alice', 'pw1')).status).toBe(302);
+    expect((await visit('contracts.example.com', 'bob', 'pw2')).status).toBe(401);
+  });
+
+  it('fails closed on unknown group references', async () => {
+    env.REDIRECT_CONFIG = JSON.stringify({
+      links: { contracts: { target: 'https://contracts.example.net/', groups: ['legal'] } }
+    });
+    const response = await visit('wiki.example.com', 'fallback', 'fallbackpw');
+    expect(response.status).toBe(500);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('links.contracts.groups: unknown credential group "legal"'));
+  });
+});
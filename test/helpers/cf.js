@@ -0,0 +1,5 @@
+// Attaches a fake request.cf object, as Cloudflare does for incoming requests
+export function withCf(request, cf) {
+  Object.defineProperty(request, 'cf', { value: cf });
+  return request;
+}
@@ -0,0 +1,54 @@
+// In-process stand-in for a Durable Object namespace binding
+// Each name gets one instance of the class with in-memory storage; alarms are recorded,
+// and runAlarms() fires those that are due
+export function createDurableObjectNamespace(ObjectClass, env = {}) {
+  const instances = new Map();
+  let requests = 0;
+
+  function createStorage() {
+    const data = new Map();
+    return {
+      data,
+      alarm: null,
+      async get(key) { return structuredClone(data.get(key)); },
+      async put(key, value) { data.set(key, structuredClone(value)); },
+      async delete(key) { return data.delete(key); },
+      async deleteAll() { data.clear(); },
+      async setAlarm(time) { this.alarm = Number(time); },
+      async getAlarm() { return this.alarm; },
+      async deleteAlarm() { this.alarm = null; }
+    };
+  }
+
+  function instanceFor(name) {
+    if (!instances.has(name)) {
+      const state = { id: { name, toString: () => name }, storage: createStorage() };
+      instances.set(name, { state, object: new ObjectClass(state, env) });
+    }
+    return instances.get(name);
+  }
+
+  return {
+    instances,
+    get requests() { return requests; },
+    idFromName(name) {
+      return { name, toString: () => name };
+    },
+    get(id) {
+      return {
+        async fetch(input, init) {
+          requests += 1;
+          return instanceFor(id.name).object.fetch(new Request(input, init));
+        }
+      };
+    },
+    async runAlarms(now = Date.now()) {
+      for (const { state, object } of instances.values()) {
+        if (state.storage.alarm !== null && state.storage.alarm <= now) {
+          state.storage.alarm = null;
+          await object.alarm();
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,33 @@
+import { base64UrlEncode } from '../../src/base64.js';
+
+const PARAMS = {
+  RS256: {
+    generate: { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    sign: { name: 'RSASSA-PKCS1-v1_5' }
+  },
+  ES256: {
+    generate: { name: 'ECDSA', namedCurve: 'P-256' },
+    sign: { name: 'ECDSA', hash: 'SHA-256' }
+  }
+};
+
+function bytesToBase64Url(bytes) {
+  return Buffer.from(bytes).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Generates a signing key pair; jwk is the public key as published in a JWKS
+export async function createSigningKey(alg = 'RS256', kid = `${alg.toLowerCase()}-key`) {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(PARAMS[alg].generate, true, ['sign', 'verify']);
+  const jwk = { ...(await crypto.subtle.exportKey('jwk', publicKey)), kid, alg, use: 'sig' };
+
+  return {
+    kid,
+    jwk,
+    async sign(payload, header = {}) {
+      const encodedHeader = base64UrlEncode(JSON.stringify({ alg, kid, typ: 'JWT', ...header }));
+      const encodedPayload = base64UrlEncode(JSON.stringify(payload));
+      const signature = await crypto.subtle.sign(PARAMS[alg].sign, privateKey, new TextEncoder().encode(`${encodedHeader}.${encodedPayload}`));
+      return `${encodedHeader}.${encodedPayload}.${bytesToBase64Url(new Uint8Array(signature))}`;
+    }
+  };
+}
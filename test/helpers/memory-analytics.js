@@ -0,0 +1,23 @@
+// In-memory analytics sink: records events and aggregates them like the Analytics Engine SQL query
+export function createMemoryAnalyticsSink() {
+  const events = [];
+
+  return {
+    events,
+    record(event) {
+      events.push(event);
+    },
+    async aggregate({ since }) {
+      const counts = new Map();
+      for (const { link, outcome, timestamp } of events) {
+        if (timestamp < since) continue;
+        const key = `${link}\n${outcome}`;
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+      }
+      return [...counts].map(([key, count]) => {
+        const [link, outcome] = key.split('\n');
+        return { link, outcome, count };
+      });
+    },
+  };
+}
@@ -0,0 +1,36 @@
+// In-memory stand-in for a Workers KV namespace binding
+export function createMemoryKV(initial = {}) {
+  const store = new Map(
+    Object.entries(initial).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+  );
+  let reads = 0;
+
+  return {
+    store,
+    get reads() { return reads; },
+    async get(key, options = {}) {
+      reads += 1;
+      const type = typeof options === 'string' ? options : options.type;
+      if (!store.has(key)) return null;
+      const value = store.get(key);
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      store.set(key, String(value));
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+      const keys = [...store.keys()].filter(key => key.startsWith(prefix)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const page = keys.slice(start, start + limit);
+      const complete = start + limit >= keys.length;
+      return {
+        keys: page.map(name => ({ name })),
+        list_complete: complete,
+        cursor: complete ? undefined : String(start + limit),
+      };
+    },
+  };
+}
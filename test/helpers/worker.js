@@ -0,0 +1,32 @@
+import worker from '../../src/index.js';
+import { base64Encode } from '../../src/base64.js';
+import { withCf } from './cf.js';
+
+// Shared fixtures for tests that send requests through the worker
+
+// Environment serving links under .example.com, plus a test's own variables
+export function workerEnv(variables = {}) {
+  return { ALLOWED_HOST_SUFFIXES: '.example.com', ...variables };
+}
+
+// Authorization header value for Basic Auth
+export function basicAuth(user, pass) {
+  return `Basic ${base64Encode(`${user}:${pass}`)}`;
+}
+
+// Sends an https request for a host and optional path (e.g. "foo.example.com/docs") through the worker
+// Options: ip (CF-Connecting-IP), auth ([user, pass] for Basic Auth), form (fields to post), cf metadata,
+// method and headers, which take precedence over the others
+export function visitWorker(env, url, { ip, auth, form, cf, method = form ? 'POST' : 'GET', headers = {} } = {}) {
+  const init = { method, headers: {} };
+  if (ip !== undefined) init.headers['CF-Connecting-IP'] = ip;
+  if (auth) init.headers.Authorization = basicAuth(...auth);
+  if (form) {
+    init.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    init.body = new URLSearchParams(form).toString();
+  }
+  Object.assign(init.headers, headers);
+
+  const request = new Request(`https://${url}`, init);
+  return worker.fetch(cf ? withCf(request, cf) : request, env);
+}
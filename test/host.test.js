@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { parseCommaList, hostIsAllowed, extractSubdomain, validateAndNormalizeSuffix, parseSimpleCommaList } from '../src/host.js';
+import { parseCommaList, hostIsAllowed, hostMatchesSuffix, splitHostname, extractSubdomain, validateAndNormalizeSuffix, parseSimpleCommaList } from '../src/host.js';
 
 describe('host.js', () => {
   describe('validateAndNormalizeSuffix', () => {
@@ -58,18 +58,11 @@ describe('host.js', () => {
     it('handles undefined input', () => {
       expect(parseCommaList(undefined)).toEqual([]);
     });
-    it('skips invalid suffixes with warnings', () => {
-      // Mock console.warn to capture warnings
-      const originalWarn = console.warn;
-      const warnings = [];
-      console.warn = (msg) => warnings.push(msg);
-
-      const result = parseCommaList('example.com,invalid..suffix,test.org');
+    it('collects invalid suffixes in errors', () => {
+      const errors = [];
+      const result = parseCommaList('example.com,invalid..suffix,test.org', errors);
       expect(result).toEqual(['.example.com', '.test.org']);
-      expect(warnings.length).toBe(1);
-      expect(warnings[0]).toContain('invalid..suffix');
-
-      console.warn = originalWarn;
+      expect(errors).toEqual(['"invalid..suffix": Host suffix contains malformed domain tokens']);
     });
   });
 
@@ -114,6 +107,27 @@ describe('host.js', () => {
       expect(hostIsAllowed('foo.example.com', ['.example.org', '.example.com'])).toBe(true);
       expect(hostIsAllowed('foo.example.net', ['.example.com', '.example.org'])).toBe(false);
     });
+    it('matches the bare suffix host', () => {
+      expect(hostIsAllowed('example.com', ['.example.com'])).toBe(true);
+      expect(hostIsAllowed('badexample.com', ['.example.com'])).toBe(false);
+    });
+  });
+
+  describe('hostMatchesSuffix', () => {
+    it('matches subdomains and the bare suffix', () => {
+      expect(hostMatchesSuffix('foo.example.com', '.example.com')).toBe(true);
+      expect(hostMatchesSuffix('example.com', '.example.com')).toBe(true);
+      expect(hostMatchesSuffix('example.org', '.example.com')).toBe(false);
+      expect(hostMatchesSuffix('[2001:db8::1]', '[2001:db8::1]')).toBe(true);
+    });
+  });
+
+  describe('splitHostname', () => {
+    it('returns the subdomain and the matched suffix', () => {
+      expect(splitHostname('foo.example.org', ['.example.com', '.example.org'])).toEqual({ subdomain: 'foo', suffix: '.example.org' });
+      expect(splitHostname('example.com', '.example.com')).toEqual({ subdomain: '', suffix: '.example.com' });
+      expect(splitHostname('foo.bar', ['.example.com'])).toEqual({ subdomain: '', suffix: '' });
+    });
   });
 
   describe('extractSubdomain', () => {
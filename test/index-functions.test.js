@@ -10,7 +10,8 @@ import { base64Encode } from '../src/base64.js';
 import {Buffer} from "buffer";
 
 // Mock dependencies
-vi.mock('../src/utils.js', () => ({
+vi.mock('../src/utils.js', async (importOriginal) => ({
+  ...await importOriginal(),
   getClientIdFromCloudflare: vi.fn(() => 'test-client-id'),
   respond: vi.fn((message, status, headers) => new Response(message, { status, headers })),
   setHeaders: vi.fn((response, headers) => {
@@ -35,31 +36,26 @@ vi.mock('../src/host.js', () => ({
   extractSubdomain: vi.fn((hostname, suffixes) => {
     const suffix = suffixes.find(s => hostname.endsWith(s));
     return suffix ? hostname.replace(suffix, '') : hostname;
+  }),
+  splitHostname: vi.fn((hostname, suffixes) => {
+    const suffix = suffixes.find(s => hostname.endsWith(s));
+    return suffix ? { subdomain: hostname.replace(suffix, ''), suffix } : { subdomain: '', suffix: '' };
   })
 }));
 
 vi.mock('../src/auth.js', () => ({
-  checkBasicAuth: vi.fn((authHeader, expectedOrUser, maybePass) => {
-    if (!authHeader || !authHeader.startsWith('Basic ')) return false;
-    const credentials = authHeader.slice(6);
-    // Legacy signature: (header, user, pass)
-    if (typeof expectedOrUser === 'string' && typeof maybePass === 'string') {
-      const expected = base64Encode(`${expectedOrUser}:${maybePass}`);
-      return credentials === expected;
-    }
-    // New signature: (header, expected)
-    const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+  authenticateCredential: vi.fn(async (providedUser, providedPass, expected) => {
+    const credentials = Array.isArray(expected) ? expected : expected ? [expected] : [];
+    const credential = credentials.find(({ user, pass }) => providedUser === user && providedPass === pass) ?? null;
+    return { credential, replayed: false };
+  }),
+  decodeBasicAuth: vi.fn((authHeader) => {
+    if (!authHeader || !authHeader.startsWith('Basic ')) return null;
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
     const idx = decoded.indexOf(':');
-    if (idx === -1) return false;
-    const providedUser = decoded.slice(0, idx);
-    const providedPass = decoded.slice(idx + 1);
-    if (Array.isArray(expectedOrUser)) {
-      return expectedOrUser.some(({ user, pass }) => providedUser === user && providedPass === pass);
-    } else if (expectedOrUser && typeof expectedOrUser === 'object') {
-      return providedUser === expectedOrUser.user && providedPass === expectedOrUser.pass;
-    }
-    return false;
+    return idx === -1 ? null : { user: decoded.slice(0, idx), pass: decoded.slice(idx + 1) };
   }),
+  credentialList: vi.fn((expected) => Array.isArray(expected) ? expected : expected ? [expected] : []),
   isNonEmpty: vi.fn((value) => value && value.trim().length > 0)
 }));
 
@@ -68,6 +64,7 @@ vi.mock('../src/ratelimit.js', () => ({
   registerFailedAttempt: vi.fn(),
   clearFailures: vi.fn(),
   rateLimitRetryHeaders: vi.fn(() => ({ 'Retry-After': '60' })),
+  rateLimitStatus: vi.fn(() => ({ limit: 10, remaining: 10, reset: 0 })),
   MAX_AUTH_HEADER_LENGTH: 8192
 }));
 
@@ -136,12 +133,12 @@ describe('resolveSubdomain', () => {
 
   it('returns subdomain for allowed hostname', () => {
     const result = resolveSubdomain('api.example.com', allowedSuffixes);
-    expect(result).toEqual({ subdomain: 'api' });
+    expect(result).toEqual({ subdomain: 'api', suffix: '.example.com' });
   });
 
   it('returns subdomain for multi-level subdomain', () => {
     const result = resolveSubdomain('v1.api.example.com', allowedSuffixes);
-    expect(result).toEqual({ subdomain: 'v1.api' });
+    expect(result).toEqual({ subdomain: 'v1.api', suffix: '.example.com' });
   });
 
   it('returns error response for disallowed hostname', () => {
@@ -153,7 +150,7 @@ describe('resolveSubdomain', () => {
 
   it('handles different allowed suffixes', () => {
     const result = resolveSubdomain('staging.test.org', allowedSuffixes);
-    expect(result).toEqual({ subdomain: 'staging' });
+    expect(result).toEqual({ subdomain: 'staging', suffix: '.test.org' });
   });
 });
 
@@ -177,14 +174,14 @@ describe('authorizeProtectedSubdomain', () => {
     const request = new Request('https://test.example.com', {
       headers: { Authorization: authHeader }
     });
-    const response = await authorizeProtectedSubdomain(request, 'test', mockEnv);
+    const { response } = await authorizeProtectedSubdomain(request, 'test', mockEnv);
     expect(response).toBeNull();
   });
 
   it('returns 401 when credentials are not configured', async () => {
     const envWithoutCreds = {};
     const request = new Request('https://test.example.com');
-    const response = await authorizeProtectedSubdomain(request, 'test', envWithoutCreds);
+    const { response } = await authorizeProtectedSubdomain(request, 'test', envWithoutCreds);
     expect(response).toBeInstanceOf(Response);
     expect(response.status).toBe(401);
   });
@@ -193,7 +190,7 @@ describe('authorizeProtectedSubdomain', () => {
     const { isRateLimited } = await import('../src/ratelimit.js');
     isRateLimited.mockReturnValue(true);
     const request = new Request('https://test.example.com');
-    const response = await authorizeProtectedSubdomain(request, 'test', mockEnv);
+    const { response } = await authorizeProtectedSubdomain(request, 'test', mockEnv);
     expect(response).toBeInstanceOf(Response);
     expect(response.status).toBe(429);
   });
@@ -205,10 +202,10 @@ describe('authorizeProtectedSubdomain', () => {
     const request = new Request('https://test.example.com', {
       headers: { Authorization: longAuthHeader }
     });
-    const response = await authorizeProtectedSubdomain(request, 'test', mockEnv);
+    const { response } = await authorizeProtectedSubdomain(request, 'test', mockEnv);
     expect(response).toBeInstanceOf(Response);
     expect(response.status).toBe(401);
-    expect(registerFailedAttempt).toHaveBeenCalledWith('test-client-id', 'test');
+    expect(registerFailedAttempt).toHaveBeenCalledWith('test-client-id', 'test', undefined);
   });
 
   it('returns 401 for invalid credentials', async () => {
@@ -218,7 +215,7 @@ describe('authorizeProtectedSubdomain', () => {
     const request = new Request('https://test.example.com', {
       headers: { Authorization: authHeader }
     });
-    const response = await authorizeProtectedSubdomain(request, 'test', mockEnv);
+    const { response } = await authorizeProtectedSubdomain(request, 'test', mockEnv);
     expect(response).toBeInstanceOf(Response);
     expect(response.status).toBe(401);
   });
@@ -231,7 +228,7 @@ describe('authorizeProtectedSubdomain', () => {
       headers: { Authorization: authHeader }
     });
     await authorizeProtectedSubdomain(request, 'test', mockEnv);
-    expect(registerFailedAttempt).toHaveBeenCalledWith('test-client-id', 'test');
+    expect(registerFailedAttempt).toHaveBeenCalledWith('test-client-id', 'test', undefined);
   });
 
   it('clears failures on successful authentication', async () => {
@@ -252,9 +249,33 @@ describe('authorizeProtectedSubdomain', () => {
     const request = new Request('https://noconfig.example.com', {
       headers: { Authorization: authHeader }
     });
-    const response = await authorizeProtectedSubdomain(request, 'noconfig', mockEnv);
+    const { response } = await authorizeProtectedSubdomain(request, 'noconfig', mockEnv);
     expect(response).toBeNull();
   });
+
+  it('returns 401 for malformed Basic Auth headers', async () => {
+    for (const authHeader of ['Basic notbase64', `Basic ${base64Encode('testusertestpass')}`, 'Bearer token']) {
+      const request = new Request('https://test.example.com', {
+        headers: { Authorization: authHeader }
+      });
+      const { response } = await authorizeProtectedSubdomain(request, 'test', mockEnv);
+      expect(response.status).toBe(401);
+    }
+  });
+
+  it('returns the credential that matched the expected credentials', async () => {
+    const expected = [
+      { user: 'alice', pass: 'pw1' },
+      { user: 'bob', pass: 'pw2', target: 'https://bob.example.net/' }
+    ];
+    const authorize = (user, pass) => authorizeProtectedSubdomain(new Request('https://test.example.com', {
+      headers: { Authorization: `Basic ${base64Encode(`${user}:${pass}`)}` }
+    }), 'test', mockEnv, { expected });
+
+    expect(await authorize('alice', 'pw1')).toEqual({ response: null, credential: expected[0] });
+    expect(await authorize('bob', 'pw2')).toEqual({ response: null, credential: expected[1] });
+    expect((await authorize('alice', 'pw2')).response.status).toBe(401);
+  });
 });
 
 describe('handleRedirect', () => {
@@ -294,6 +315,13 @@ describe('handleRedirect', () => {
     expect(response.status).toBe(404);
   });
 
+  it('uses the given redirect status', () => {
+    const response = handleRedirect('https://target.example.com/', 308);
+
+    expect(response.status).toBe(308);
+    expect(response.headers.get('Location')).toBe('https://target.example.com/');
+  });
+
   it('handles complex URLs with query parameters', () => {
     const targetUrl = 'https://target.example.com/path?param=value&other=test';
     const response = handleRedirect(targetUrl);
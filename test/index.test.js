@@ -2,6 +2,8 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import worker from '../src/index.js';
 import * as ratelimit from '../src/ratelimit.js';
 import { base64Encode } from '../src/base64.js';
+import { invalidateLinkCache } from '../src/links.js';
+import { createMemoryKV } from './helpers/memory-kv.js';
 
 // Mock environment variables
 const mockEnv = {
@@ -170,6 +172,39 @@ describe('Worker', () => {
     expect(response.headers.get('Retry-After')).toBeDefined();
   });
 
+  it('sends RateLimit headers with 401 and 429 responses', async () => {
+    const credentials = base64Encode('wronguser:wrongpass');
+    const visit = (headers = {}) => worker.fetch(createRequest({
+      hostname: 'admin.example.com',
+      headers: { 'Authorization': `Basic ${credentials}`, 'CF-Connecting-IP': '192.168.1.2', ...headers }
+    }), mockEnv);
+
+    const first = await visit();
+    expect(first.status).toBe(401);
+    expect(first.headers.get('RateLimit-Limit')).toBe(String(ratelimit.MAX_FAILED_ATTEMPTS));
+    expect(first.headers.get('RateLimit-Remaining')).toBe(String(ratelimit.MAX_FAILED_ATTEMPTS - 1));
+    expect(first.headers.get('RateLimit-Reset')).toBe(String(ratelimit.RATE_LIMIT_WINDOW_MS / 1000));
+    expect(await first.text()).toBe('Not authorized');
+
+    mockTime += 60_000;
+    const json = await visit({ 'Accept': 'application/json' });
+    expect(json.status).toBe(401);
+    expect(json.headers.get('Content-Type')).toBe('application/json; charset=utf-8');
+    expect(json.headers.get('WWW-Authenticate')).toContain('Basic');
+    expect(json.headers.get('RateLimit-Remaining')).toBe(String(ratelimit.MAX_FAILED_ATTEMPTS - 2));
+    expect(await json.json()).toEqual({ error: 'Not authorized' });
+
+    for (let i = 2; i < ratelimit.MAX_FAILED_ATTEMPTS; i++) await visit();
+    const limited = await visit({ 'Accept': 'application/json, text/plain' });
+    const retryAfter = String(ratelimit.RATE_LIMIT_WINDOW_MS / 1000 - 60);
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('Retry-After')).toBe(retryAfter);
+    expect(limited.headers.get('RateLimit-Remaining')).toBe('0');
+    expect(limited.headers.get('RateLimit-Reset')).toBe(retryAfter);
+    expect(limited.headers.get('X-Content-Type-Options')).toBe('nosniff');
+    expect(await limited.json()).toEqual({ error: 'Too many requests', retryAfter: Number(retryAfter) });
+  });
+
   it('uses fallback credentials when specific ones not provided', async () => {
     // Define test environment with only fallback credentials
     const testEnv = {
@@ -237,6 +272,383 @@ describe('Worker', () => {
     expect(response.status).toBe(401);
   });
 
+  it('forwards path and query to templated targets', async () => {
+    const testEnv = {
+      ...mockEnv,
+      LINK_DOCS: 'https://docs-target.example.com/v2/{path}?{query}',
+      LINK_WIKI: 'https://wiki-target.example.com/*'
+    };
+
+    const docsResponse = await worker.fetch(createRequest({ hostname: 'docs.example.com', path: '/guide/setup?x=1' }), testEnv);
+    expect(docsResponse.status).toBe(302);
+    expect(docsResponse.headers.get('Location')).toBe('https://docs-target.example.com/v2/guide/setup?x=1');
+
+    const wikiResponse = await worker.fetch(createRequest({ hostname: 'wiki.example.com', path: '/page?lang=de' }), testEnv);
+    expect(wikiResponse.headers.get('Location')).toBe('https://wiki-target.example.com/page?lang=de');
+  });
+
+  it('returns 404 when a templated target would leave its origin', async () => {
+    const testEnv = { ...mockEnv, LINK_DOCS: 'https://docs-target.example.com{path}' };
+
+    const request = createRequest({ hostname: 'docs.example.com', path: '/evil.example.org' });
+    const response = await worker.fetch(request, testEnv);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('uses configured redirect status codes', async () => {
+    const testEnv = { ...mockEnv, REDIRECT_STATUS: '301', STATUS_ADMIN: '307' };
+
+    const publicResponse = await worker.fetch(createRequest({ hostname: 'public.example.com' }), testEnv);
+    expect(publicResponse.status).toBe(301);
+
+    const credentials = base64Encode('adminuser:adminpass');
+    const adminRequest = createRequest({ hostname: 'admin.example.com', headers: { 'Authorization': `Basic ${credentials}` } });
+    const adminResponse = await worker.fetch(adminRequest, testEnv);
+    expect(adminResponse.status).toBe(307);
+    expect(adminResponse.headers.get('Location')).toBe('https://admin-target.example.com/');
+  });
+
+  it('fails closed for invalid redirect status codes', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const testEnv = { ...mockEnv, STATUS_PUBLIC: '310' };
+
+    const response = await worker.fetch(createRequest({ hostname: 'public.example.com' }), testEnv);
+
+    expect(response.status).toBe(500);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('STATUS_PUBLIC'));
+    error.mockRestore();
+  });
+
+  describe('KV link store', () => {
+    beforeEach(() => {
+      invalidateLinkCache();
+    });
+
+    it('redirects using KV link records', async () => {
+      const testEnv = { ...mockEnv, LINKS: createMemoryKV({ promo: { target: 'https://promo-target.example.com', status: 308 } }) };
+
+      const response = await worker.fetch(createRequest({ hostname: 'promo.example.com' }), testEnv);
+
+      expect(response.status).toBe(308);
+      expect(response.headers.get('Location')).toBe('https://promo-target.example.com/');
+    });
+
+    it('protects KV links and resolves referenced credentials', async () => {
+      const testEnv = {
+        ...mockEnv,
+        LINKS: createMemoryKV({ vault: { target: 'https://vault-target.example.com', protected: true, credentials: 'secure' } })
+      };
+
+      const unauthenticated = await worker.fetch(createRequest({ hostname: 'vault.example.com' }), testEnv);
+      expect(unauthenticated.status).toBe(401);
+
+      const credentials = base64Encode('secureuser:securepass');
+      const request = createRequest({ hostname: 'vault.example.com', headers: { 'Authorization': `Basic ${credentials}` } });
+      const response = await worker.fetch(request, testEnv);
+      expect(response.status).toBe(302);
+      expect(response.headers.get('Location')).toBe('https://vault-target.example.com/');
+    });
+
+    it('lets a KV record unprotect a subdomain listed in PROTECTED_SUBDOMAINS', async () => {
+      const testEnv = { ...mockEnv, LINKS: createMemoryKV({ admin: { target: 'https://open-admin.example.com', protected: false } }) };
+
+      const response = await worker.fetch(createRequest({ hostname: 'admin.example.com' }), testEnv);
+
+      expect(response.status).toBe(302);
+    });
+  });
+
+  describe('REDIRECT_CONFIG', () => {
+    const redirectConfig = {
+      hosts: ['.example.com'],
+      defaultStatus: 301,
+      links: {
+        public: { target: 'https://config-public.example.com' },
+        team: { target: 'https://team-target.example.com', protected: true, users: [{ user: 'teamuser', pass: 'teampass' }] },
+        shared: { target: 'https://shared-target.example.com', protected: true }
+      },
+      auth: { fallback: { user: 'configuser', pass: 'configpass' } }
+    };
+    const testEnv = { ...mockEnv, REDIRECT_CONFIG: JSON.stringify(redirectConfig) };
+
+    it('takes precedence over legacy variables', async () => {
+      const response = await worker.fetch(createRequest({ hostname: 'public.example.com' }), testEnv);
+
+      expect(response.status).toBe(301);
+      expect(response.headers.get('Location')).toBe('https://config-public.example.com/');
+    });
+
+    it('replaces ALLOWED_HOST_SUFFIXES when hosts are set', async () => {
+      const response = await worker.fetch(createRequest({ hostname: 'public.test.org' }), testEnv);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('falls back to legacy links and credentials', async () => {
+      const credentials = base64Encode('adminuser:adminpass');
+      const request = createRequest({ hostname: 'admin.example.com', headers: { 'Authorization': `Basic ${credentials}` } });
+      const response = await worker.fetch(request, testEnv);
+
+      expect(response.status).toBe(301);
+      expect(response.headers.get('Location')).toBe('https://admin-target.example.com/');
+    });
+
+    it('uses users defined on the link', async () => {
+      const credentials = base64Encode('teamuser:teampass');
+      const request = createRequest({ hostname: 'team.example.com', headers: { 'Authorization': `Basic ${credentials}` } });
+      const response = await worker.fetch(request, testEnv);
+
+      expect(response.status).toBe(301);
+    });
+
+    it('prefers configured fallback credentials over FALLBACK_USER/FALLBACK_PASS', async () => {
+      const legacy = base64Encode('fallbackuser:fallbackpass');
+      const legacyRequest = createRequest({ hostname: 'shared.example.com', headers: { 'Authorization': `Basic ${legacy}` } });
+      expect((await worker.fetch(legacyRequest, testEnv)).status).toBe(401);
+
+      const configured = base64Encode('configuser:configpass');
+      const request = createRequest({ hostname: 'shared.example.com', headers: { 'Authorization': `Basic ${configured}` } });
+      expect((await worker.fetch(request, testEnv)).status).toBe(301);
+    });
+
+    it('fails closed with 500 for invalid configuration', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const invalidEnv = { ...mockEnv, REDIRECT_CONFIG: JSON.stringify({ links: { public: { target: 'nope' } } }) };
+
+      const response = await worker.fetch(createRequest({ hostname: 'public.example.com' }), invalidEnv);
+
+      expect(response.status).toBe(500);
+      expect(error).toHaveBeenCalledWith(expect.stringContaining('links.public.target'));
+      error.mockRestore();
+    });
+  });
+
+  describe('Pattern rules', () => {
+    const testEnv = {
+      ...mockEnv,
+      PROTECTED_SUBDOMAINS: 'admin,secure,*.internal',
+      LINK_PATTERNS: JSON.stringify([
+        { match: '*.preview', target: 'https://{1}.pages.example.com/{path}' },
+        { match: '/^pr-(\\d+)\\.preview$/', target: 'https://github.example.com/pulls/{1}', priority: 1 },
+        { match: '*.internal', target: 'https://intranet.example.com/{1}', credentials: 'internal' }
+      ]),
+      LINK_EXACT_PREVIEW: 'https://exact.example.com',
+      USERS_INTERNAL: JSON.stringify([{ user: 'hr', pass: 'hrpass' }])
+    };
+
+    it('substitutes wildcard captures into targets', async () => {
+      const response = await worker.fetch(createRequest({ hostname: 'feature-x.preview.example.com', path: '/docs' }), testEnv);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.get('Location')).toBe('https://feature-x.pages.example.com/docs');
+    });
+
+    it('evaluates higher-priority rules first', async () => {
+      const response = await worker.fetch(createRequest({ hostname: 'pr-42.preview.example.com' }), testEnv);
+
+      expect(response.headers.get('Location')).toBe('https://github.example.com/pulls/42');
+    });
+
+    it('prefers exact links over patterns', async () => {
+      const response = await worker.fetch(createRequest({ hostname: 'exact.preview.example.com' }), testEnv);
+
+      expect(response.headers.get('Location')).toBe('https://exact.example.com/');
+    });
+
+    it('protects subdomains matching protected patterns', async () => {
+      const unauthenticated = await worker.fetch(createRequest({ hostname: 'hr.internal.example.com' }), testEnv);
+      expect(unauthenticated.status).toBe(401);
+
+      const credentials = base64Encode('hr:hrpass');
+      const request = createRequest({ hostname: 'hr.internal.example.com', headers: { 'Authorization': `Basic ${credentials}` } });
+      const response = await worker.fetch(request, testEnv);
+      expect(response.status).toBe(302);
+      expect(response.headers.get('Location')).toBe('https://intranet.example.com/hr');
+    });
+
+    it('keys credentials and rate limits by the rule, not the subdomain', async () => {
+      // Variables of the matched subdomain do not apply
+      const env = { ...testEnv, USER_OPS_INTERNAL: 'ops', PASS_OPS_INTERNAL: 'opspass' };
+      const ops = base64Encode('ops:opspass');
+      const opsRequest = createRequest({ hostname: 'ops.internal.example.com', headers: { 'Authorization': `Basic ${ops}` } });
+      expect((await worker.fetch(opsRequest, env)).status).toBe(401);
+
+      // Invented subdomains share one budget of failed attempts
+      const wrong = base64Encode('hr:wrong');
+      for (let i = 0; i < ratelimit.MAX_FAILED_ATTEMPTS; i++) {
+        const request = createRequest({ hostname: `guess-${i}.internal.example.com`, headers: { 'Authorization': `Basic ${wrong}`, 'CF-Connecting-IP': '192.168.1.3' } });
+        expect((await worker.fetch(request, env)).status).toBe(401);
+      }
+      const right = base64Encode('hr:hrpass');
+      const limited = createRequest({ hostname: 'hr.internal.example.com', headers: { 'Authorization': `Basic ${right}`, 'CF-Connecting-IP': '192.168.1.3' } });
+      expect((await worker.fetch(limited, env)).status).toBe(429);
+      expect(ratelimit.RATE_LIMIT_BUCKET.has('192.168.1.3::pattern:*.internal')).toBe(true);
+    });
+
+    it('fails closed for invalid protected patterns', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const response = await worker.fetch(createRequest({ hostname: 'public.example.com' }), { ...mockEnv, PROTECTED_SUBDOMAINS: '/(broken/' });
+
+      expect(response.status).toBe(500);
+      expect(error).toHaveBeenCalledWith(expect.stringContaining('Invalid PROTECTED_SUBDOMAINS'));
+      error.mockRestore();
+    });
+  });
+
+  describe('Short links', () => {
+    const testEnv = {
+      ...mockEnv,
+      ALLOWED_HOST_SUFFIXES: 'example.com',
+      SHORT_LINK_PREFIXES: '/go,/r',
+      PROTECTED_SHORT_LINKS: 'payroll',
+      LINK_SHORTLINK_ROADMAP: 'https://roadmap-target.example.com/*',
+      LINK_SHORTLINK_ABC123: 'https://abc-target.example.com/',
+      LINK_SHORTLINK_PAYROLL: 'https://payroll-target.example.com/',
+      USER_SHORTLINK_PAYROLL: 'payroll',
+      PASS_SHORTLINK_PAYROLL: 'payrollpass',
+      STATUS_SHORTLINK_ABC123: '301'
+    };
+
+    it('redirects short links on the bare host', async () => {
+      const response = await worker.fetch(createRequest({ hostname: 'example.com', path: '/go/roadmap/q3?view=list' }), testEnv);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.get('Location')).toBe('https://roadmap-target.example.com/q3?view=list');
+      expect(response.headers.get('X-Content-Type-Options')).toBe('nosniff');
+    });
+
+    it('supports multiple prefixes and per-link status codes', async () => {
+      const response = await worker.fetch(createRequest({ hostname: 'example.com', path: '/r/abc123' }), testEnv);
+
+      expect(response.status).toBe(301);
+      expect(response.headers.get('Location')).toBe('https://abc-target.example.com/');
+    });
+
+    it('returns 404 for unknown short links and paths outside the prefixes', async () => {
+      expect((await worker.fetch(createRequest({ hostname: 'example.com', path: '/go/unknown' }), testEnv)).status).toBe(404);
+      expect((await worker.fetch(createRequest({ hostname: 'example.com', path: '/roadmap' }), testEnv)).status).toBe(404);
+    });
+
+    it('only applies to the bare host', async () => {
+      const response = await worker.fetch(createRequest({ hostname: 'public.example.com', path: '/go/roadmap' }), testEnv);
+
+      expect(response.headers.get('Location')).toBe('https://public-target.example.com/');
+    });
+
+    it('does not serve subdomains in the short link namespace', async () => {
+      const response = await worker.fetch(createRequest({ hostname: 'shortlink.payroll.example.com' }), testEnv);
+      expect(response.status).toBe(404);
+      expect(response.headers.get('Location')).toBeNull();
+
+      const credentials = base64Encode('payroll:payrollpass');
+      const authenticated = await worker.fetch(createRequest({
+        hostname: 'shortlink.payroll.example.com', headers: { 'Authorization': `Basic ${credentials}` }
+      }), testEnv);
+      expect(authenticated.status).toBe(404);
+    });
+
+    it('protects and rate limits short links', async () => {
+      const unauthenticated = await worker.fetch(createRequest({ hostname: 'example.com', path: '/go/payroll' }), testEnv);
+      expect(unauthenticated.status).toBe(401);
+
+      const wrong = base64Encode('payroll:wrong');
+      for (let i = 0; i < ratelimit.MAX_FAILED_ATTEMPTS; i++) {
+        await worker.fetch(createRequest({
+          hostname: 'example.com', path: '/go/payroll', headers: { 'Authorization': `Basic ${wrong}`, 'CF-Connecting-IP': '5.6.7.8' }
+        }), testEnv);
+      }
+      const limited = await worker.fetch(createRequest({
+        hostname: 'example.com', path: '/go/payroll', headers: { 'Authorization': `Basic ${wrong}`, 'CF-Connecting-IP': '5.6.7.8' }
+      }), testEnv);
+      expect(limited.status).toBe(429);
+
+      const credentials = base64Encode('payroll:payrollpass');
+      const response = await worker.fetch(createRequest({
+        hostname: 'example.com', path: '/go/payroll', headers: { 'Authorization': `Basic ${credentials}` }
+      }), testEnv);
+      expect(response.status).toBe(302);
+      expect(response.headers.get('Location')).toBe('https://payroll-target.example.com/');
+    });
+  });
+
+  describe('Suffix-specific links', () => {
+    const testEnv = {
+      ...mockEnv,
+      PROTECTED_SUBDOMAINS: 'admin,secure,vip@test.org',
+      LINK_TEST_ORG__PUBLIC: 'https://org-public.example.com',
+      LINK_VIP: 'https://vip-target.example.com',
+      STATUS_TEST_ORG__PUBLIC: '308'
+    };
+
+    it('prefers links for the matched suffix', async () => {
+      const response = await worker.fetch(createRequest({ hostname: 'public.test.org' }), testEnv);
+
+      expect(response.status).toBe(308);
+      expect(response.headers.get('Location')).toBe('https://org-public.example.com/');
+    });
+
+    it('falls back to the shared link on other suffixes', async () => {
+      const response = await worker.fetch(createRequest({ hostname: 'public.example.com' }), testEnv);
+
+      expect(response.status).toBe(302);
+      expect(response.headers.get('Location')).toBe('https://public-target.example.com/');
+    });
+
+    it('applies suffix-specific protection only on that suffix', async () => {
+      expect((await worker.fetch(createRequest({ hostname: 'vip.test.org' }), testEnv)).status).toBe(401);
+      expect((await worker.fetch(createRequest({ hostname: 'vip.example.com' }), testEnv)).status).toBe(302);
+    });
+
+    it('uses suffix-specific links from REDIRECT_CONFIG', async () => {
+      const configEnv = {
+        ...mockEnv,
+        REDIRECT_CONFIG: JSON.stringify({ suffixLinks: { 'example.com': { public: { target: 'https://com-public.example.com' } } } })
+      };
+
+      const comResponse = await worker.fetch(createRequest({ hostname: 'public.example.com' }), configEnv);
+      expect(comResponse.headers.get('Location')).toBe('https://com-public.example.com/');
+
+      const orgResponse = await worker.fetch(createRequest({ hostname: 'public.test.org' }), configEnv);
+      expect(orgResponse.headers.get('Location')).toBe('https://public-target.example.com/');
+    });
+
+    it('applies the shared subdomain settings to suffix-specific links', async () => {
+      const sharedEnv = {
+        ...mockEnv,
+        PROTECTED_SUBDOMAINS: 'foo',
+        USERS_FOO: JSON.stringify([{ user: 'alice', pass: 'alicepass' }]),
+        IP_ALLOW_FOO: '10.0.0.0/8',
+        LINK_FOO: 'https://foo-target.example.com',
+        LINK_TEST_ORG__FOO: 'https://org-foo.example.com'
+      };
+      const credentials = base64Encode('alice:alicepass');
+
+      const outside = await worker.fetch(createRequest({
+        hostname: 'foo.test.org', headers: { 'Authorization': `Basic ${credentials}`, 'CF-Connecting-IP': '1.2.3.4' }
+      }), sharedEnv);
+      expect(outside.status).toBe(403);
+
+      const inside = await worker.fetch(createRequest({
+        hostname: 'foo.test.org', headers: { 'Authorization': `Basic ${credentials}`, 'CF-Connecting-IP': '10.1.2.3' }
+      }), sharedEnv);
+      expect(inside.status).toBe(302);
+      expect(inside.headers.get('Location')).toBe('https://org-foo.example.com/');
+    });
+
+    it('keeps shared REDIRECT_CONFIG settings the suffix-specific link does not override', async () => {
+      const configEnv = {
+        ...mockEnv,
+        REDIRECT_CONFIG: JSON.stringify({
+          links: { foo: { target: 'https://foo-target.example.com', protected: true, status: 308 } },
+          suffixLinks: { 'test.org': { foo: { target: 'https://org-foo.example.com' } } }
+        })
+      };
+
+      expect((await worker.fetch(createRequest({ hostname: 'foo.test.org' }), configEnv)).status).toBe(401);
+    });
+  });
+
   describe('Multi-level subdomains', () => {
     it('forms correct environment keys for multi-level subdomains (dots to underscores)', async () => {
       // Test environment with multi-level subdomain config
@@ -0,0 +1,192 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { invalidateConfigCache } from '../src/index.js';
+import * as ratelimit from '../src/ratelimit.js';
+import { parseIpAddress, parseCidr, compileIpList, ipInRanges } from '../src/ip.js';
+import { parseIpConfig, evaluateIpRules } from '../src/ip-rules.js';
+import { basicAuth, visitWorker, workerEnv } from './helpers/worker.js';
+
+function inRanges(address, entries) {
+  return ipInRanges(parseIpAddress(address), compileIpList(entries));
+}
+
+describe('ip.js', () => {
+  it('parses IPv4 and IPv6 addresses', () => {
+    expect(parseIpAddress('192.0.2.1')).toEqual({ version: 4, value: 0xc0000201n });
+    expect(parseIpAddress('2001:db8::1')).toEqual({ version: 6, value: (0x20010db8n << 96n) | 1n });
+    expect(parseIpAddress('[::1]')).toEqual({ version: 6, value: 1n });
+    expect(parseIpAddress('::')).toEqual({ version: 6, value: 0n });
+    expect(parseIpAddress('64:ff9b::192.0.2.1')).toEqual({ version: 6, value: (0x64ff9bn << 96n) | 0xc0000201n });
+  });
+
+  it('treats IPv4-mapped IPv6 addresses as IPv4', () => {
+    expect(parseIpAddress('::ffff:192.0.2.1')).toEqual({ version: 4, value: 0xc0000201n });
+    expect(parseIpAddress('::ffff:c000:201')).toEqual({ version: 4, value: 0xc0000201n });
+  });
+
+  it('rejects invalid addresses', () => {
+    for (const text of ['unknown', '', '256.0.0.1', '1.2.3', '01.2.3.4', '1::2::3', '1:2:3:4:5:6:7:8:9', '12345::', 'fe80::1%eth0', '::1.2.3', null]) {
+      expect(parseIpAddress(text)).toBeNull();
+    }
+  });
+
+  it('parses CIDR ranges and bare addresses', () => {
+    expect(parseCidr('10.1.2.3/8')).toEqual({ version: 4, network: 0x0a000000n, mask: 0xff000000n });
+    expect(parseCidr('203.0.113.7').mask).toBe(0xffffffffn);
+    expect(parseCidr('0.0.0.0/0')).toEqual({ version: 4, network: 0n, mask: 0n });
+    expect(parseCidr('2001:db8::/32').version).toBe(6);
+    expect(() => parseCidr('10.0.0.0/33')).toThrow('CIDR prefix must be between 0 and 32');
+    expect(() => parseCidr('2001:db8::/129')).toThrow('CIDR prefix must be between 0 and 128');
+    expect(() => parseCidr('10.0.0.0/x')).toThrow('CIDR prefix');
+    expect(() => parseCidr('example.com/8')).toThrow('Invalid IP address or CIDR range');
+    expect(() => parseCidr('10.0.0.0/8/8')).toThrow('Invalid IP address or CIDR range');
+  });
+
+  it('collects invalid entries when compiling lists', () => {
+    const errors = [];
+    expect(compileIpList(['10.0.0.0/8', 'nope', '::1/200'], errors)).toHaveLength(1);
+    expect(errors).toEqual(['"nope": Invalid IP address or CIDR range', '"::1/200": CIDR prefix must be between 0 and 128']);
+  });
+
+  it('matches IPv4 and IPv6 ranges', () => {
+    expect(inRanges('10.20.30.40', ['10.0.0.0/8'])).toBe(true);
+    expect(inRanges('11.0.0.1', ['10.0.0.0/8'])).toBe(false);
+    expect(inRanges('203.0.113.7', ['203.0.113.7'])).toBe(true);
+    expect(inRanges('203.0.113.8', ['203.0.113.7'])).toBe(false);
+    expect(inRanges('2001:db8:ffff::1', ['2001:db8::/32'])).toBe(true);
+    expect(inRanges('2001:db9::1', ['2001:db8::/32'])).toBe(false);
+    expect(inRanges('::ffff:10.1.1.1', ['10.0.0.0/8'])).toBe(true);
+    expect(inRanges('10.1.1.1', ['::/0'])).toBe(false);
+    expect(inRanges('unknown', ['0.0.0.0/0', '::/0'])).toBe(false);
+  });
+});
+
+describe('ip-rules.js', () => {
+  const address = text => parseIpAddress(text);
+
+  it('collects invalid variables as errors', () => {
+    const errors = [];
+    parseIpConfig({ IP_ALLOW: '10.0.0.0/8,bad', IP_DENY_FOO: '1.2.3.4/40' }, {}, errors);
+    expect(errors).toEqual([
+      'IP_DENY_FOO: "1.2.3.4/40": CIDR prefix must be between 0 and 32',
+      'IP_ALLOW: "bad": Invalid IP address or CIDR range'
+    ]);
+  });
+
+  it('combines deny lists and uses the most specific allow list', () => {
+    const ipConfig = parseIpConfig({ IP_ALLOW: '10.0.0.0/8', IP_DENY: '10.9.0.0/16', IP_ALLOW_FOO: '192.0.2.0/24', IP_DENY_BAR: '10.1.0.0/16' });
+
+    expect(evaluateIpRules(address('10.1.1.1'), 'baz', null, ipConfig).allowed).toBe(true);
+    expect(evaluateIpRules(address('10.9.1.1'), 'baz', null, ipConfig).allowed).toBe(false);
+    expect(evaluateIpRules(address('192.0.2.5'), 'baz', null, ipConfig).allowed).toBe(false);
+    expect(evaluateIpRules(address('192.0.2.5'), 'foo', null, ipConfig).allowed).toBe(true);
+    expect(evaluateIpRules(address('10.1.1.1'), 'foo', null, ipConfig).allowed).toBe(false);
+    expect(evaluateIpRules(address('10.1.1.1'), 'bar', null, ipConfig).allowed).toBe(false);
+
+    const link = { ip: { allow: ['198.51.100.0/24'], deny: ['198.51.100.66'] } };
+    expect(evaluateIpRules(address('198.51.100.1'), 'foo', link, ipConfig).allowed).toBe(true);
+    expect(evaluateIpRules(address('198.51.100.66'), 'foo', link, ipConfig).allowed).toBe(false);
+    expect(evaluateIpRules(address('192.0.2.5'), 'foo', link, ipConfig).allowed).toBe(false);
+  });
+
+  it('lets REDIRECT_CONFIG rules replace the global variables', () => {
+    const ipConfig = parseIpConfig({ IP_ALLOW: '10.0.0.0/8', IP_BYPASS_AUTH: 'true' }, { allow: ['192.0.2.0/24'], bypassAuth: false });
+    expect(evaluateIpRules(address('10.1.1.1'), 'foo', null, ipConfig).allowed).toBe(false);
+    expect(evaluateIpRules(address('192.0.2.1'), 'foo', null, ipConfig)).toEqual({ allowed: true, bypassAuth: false });
+  });
+
+  it('only bypasses authentication for allowlisted clients', () => {
+    const ipConfig = parseIpConfig({ IP_ALLOW_FOO: '10.0.0.0/8', IP_BYPASS_AUTH: 'true' });
+    expect(evaluateIpRules(address('10.1.1.1'), 'foo', null, ipConfig)).toEqual({ allowed: true, bypassAuth: true });
+    expect(evaluateIpRules(address('10.1.1.1'), 'bar', null, ipConfig)).toEqual({ allowed: true, bypassAuth: false });
+    expect(evaluateIpRules(address('10.1.1.1'), 'foo', { ip: { bypassAuth: false } }, ipConfig).bypassAuth).toBe(false);
+  });
+
+  it('denies unknown addresses when an allow list applies', () => {
+    const ipConfig = parseIpConfig({ IP_ALLOW: '0.0.0.0/0' });
+    expect(evaluateIpRules(null, 'foo', null, ipConfig).allowed).toBe(false);
+    expect(evaluateIpRules(null, 'foo', null, parseIpConfig({})).allowed).toBe(true);
+  });
+
+  it('uses the suffix-scoped key for suffix-specific links', () => {
+    const ipConfig = parseIpConfig({ IP_DENY_EXAMPLE_ORG__FOO: '10.0.0.0/8' });
+    expect(evaluateIpRules(address('10.1.1.1'), 'foo@example.org', null, ipConfig).allowed).toBe(false);
+    expect(evaluateIpRules(address('10.1.1.1'), 'foo', null, ipConfig).allowed).toBe(true);
+  });
+
+  it('adds up scoped and shared lists for suffix-specific links', () => {
+    const ipConfig = parseIpConfig({ IP_DENY_EXAMPLE_ORG__FOO: '10.0.0.0/8', IP_DENY_FOO: '192.168.0.0/16', IP_ALLOW_FOO: '10.0.0.0/8,192.168.0.0/16' });
+    expect(evaluateIpRules(address('10.1.1.1'), 'foo@example.org', null, ipConfig).allowed).toBe(false);
+    expect(evaluateIpRules(address('192.168.1.1'), 'foo@example.org', null, ipConfig).allowed).toBe(false);
+    expect(evaluateIpRules(address('1.2.3.4'), 'foo@example.org', null, ipConfig).allowed).toBe(false);
+    expect(evaluateIpRules(address('10.1.1.1'), 'foo', null, ipConfig).allowed).toBe(true);
+  });
+});
+
+describe('IP rules in the worker', () => {
+  let env;
+  const basic = basicAuth('alice', 'pw');
+
+  beforeEach(() => {
+    invalidateConfigCache();
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    env = workerEnv({
+      PROTECTED_SUBDOMAINS: 'secret',
+      LINK_FOO: 'https://foo.example.net/',
+      LINK_SECRET: 'https://secret.example.net/',
+      USER_SECRET: 'alice',
+      PASS_SECRET: 'pw'
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function visit(hostname, ip, headers = {}) {
+    return visitWorker(env, hostname, { ip, headers });
+  }
+
+  it('rejects denied clients with 403 before authentication', async () => {
+    env.IP_DENY = '203.0.113.0/24';
+    const response = await visit('secret.example.com', '203.0.113.9', { Authorization: basic });
+    expect(response.status).toBe(403);
+    expect(await response.text()).toBe('Forbidden');
+    expect((await visit('foo.example.com', '203.0.113.9')).status).toBe(403);
+    expect((await visit('foo.example.com', '198.51.100.1')).status).toBe(302);
+  });
+
+  it('only admits allowlisted clients to a link', async () => {
+    env.IP_ALLOW_FOO = '2001:db8::/32';
+    expect((await visit('foo.example.com', '2001:db8::7')).status).toBe(302);
+    expect((await visit('foo.example.com', '2001:db9::7')).status).toBe(403);
+    expect((await visit('foo.example.com', 'unknown')).status).toBe(403);
+  });
+
+  it('skips Basic Auth for allowlisted clients when bypassAuth is set', async () => {
+    env.IP_ALLOW_SECRET = '10.0.0.0/8';
+    expect((await visit('secret.example.com', '10.1.2.3')).status).toBe(401);
+
+    env.IP_BYPASS_AUTH = 'true';
+    invalidateConfigCache();
+    const response = await visit('secret.example.com', '10.1.2.3');
+    expect(response.status).toBe(302);
+    expect(response.headers.get('Location')).toBe('https://secret.example.net/');
+    expect((await visit('secret.example.com', '192.0.2.1')).status).toBe(403);
+  });
+
+  it('applies the ip rules of REDIRECT_CONFIG links', async () => {
+    env.REDIRECT_CONFIG = JSON.stringify({
+      links: { vpn: { target: 'https://vpn.example.net/', protected: true, ip: { allow: ['192.0.2.0/24'], bypassAuth: true } } }
+    });
+    expect((await visit('vpn.example.com', '192.0.2.10')).status).toBe(302);
+    expect((await visit('vpn.example.com', '198.51.100.1')).status).toBe(403);
+  });
+
+  it('fails closed on invalid lists', async () => {
+    env.IP_DENY = '203.0.113.0/33';
+    const response = await visit('foo.example.com', '198.51.100.1');
+    expect(response.status).toBe(500);
+    expect(await response.text()).toBe('Configuration error');
+  });
+});
@@ -0,0 +1,325 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import { invalidateConfigCache } from '../src/index.js';
+import * as ratelimit from '../src/ratelimit.js';
+import {
+  parseJwks,
+  parseJwtSettings,
+  parseJwtLinkRules,
+  jwtSettingsForLink,
+  jwtSettingsFromEnv,
+  createKeyResolver,
+  getJwtFromRequest,
+  verifyJwt,
+  JWKS_REFETCH_INTERVAL_MS
+} from '../src/jwt.js';
+import { createSigningKey } from './helpers/jwt-fixtures.js';
+import { createMemoryKV } from './helpers/memory-kv.js';
+import { visitWorker, workerEnv } from './helpers/worker.js';
+
+const NOW = 1_700_000_000_000;
+const NOW_SECONDS = NOW / 1000;
+const ISSUER = 'https://team.cloudflareaccess.com';
+const AUDIENCE = 'aud-tag-123';
+
+let rsaKey;
+let ecKey;
+let otherKey;
+
+beforeAll(async () => {
+  rsaKey = await createSigningKey('RS256');
+  ecKey = await createSigningKey('ES256');
+  otherKey = await createSigningKey('RS256', 'rs256-key');
+});
+
+function claims(overrides = {}) {
+  return { iss: ISSUER, aud: [AUDIENCE], exp: NOW_SECONDS + 300, email: 'alice@example.com', ...overrides };
+}
+
+describe('jwt.js', () => {
+  let settings;
+  let resolveKey;
+
+  beforeEach(() => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+    settings = parseJwtSettings({ issuer: ISSUER, audience: AUDIENCE, jwks: { keys: [rsaKey.jwk, ecKey.jwk] } });
+    resolveKey = createKeyResolver(settings);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('parseJwtSettings', () => {
+    it('normalizes valid settings', () => {
+      expect(settings).toMatchObject({ issuer: ISSUER, audiences: [AUDIENCE], allowedEmails: [], allowedGroups: [] });
+      expect(settings.jwks.map(key => key.alg)).toEqual(['RS256', 'ES256']);
+      expect(settings.jwks[0].jwk).toEqual({ kty: 'RSA', n: rsaKey.jwk.n, e: rsaKey.jwk.e });
+    });
+
+    it('collects every problem', () => {
+      const errors = [];
+      parseJwtSettings({ audience: [], jwks: { keys: [] }, jwksUrl: 'http://x', allowedEmails: 'Alice@Example.com', other: 1 }, errors);
+      expect(errors).toEqual([
+        'jwt.other: unknown property',
+        'jwt.issuer: must be a non-empty string',
+        'jwt.audience: must be a non-empty string or array of strings',
+        'jwt: exactly one of jwks or jwksUrl is required'
+      ]);
+
+      const more = [];
+      parseJwtSettings({ issuer: ISSUER, audience: 'a', jwksUrl: 'http://insecure.example.com/certs' }, more);
+      expect(more).toEqual(['jwt.jwksUrl: must be an absolute https URL']);
+    });
+
+    it('rejects unsupported keys', () => {
+      const errors = [];
+      parseJwks({ keys: [{ kty: 'oct', k: 'secret' }, { kty: 'EC', crv: 'P-384', x: 'a', y: 'b' }] }, errors);
+      expect(errors).toEqual([
+        'jwks.keys[0]: only RSA and P-256 EC public keys are supported',
+        'jwks.keys[1]: only RSA and P-256 EC public keys are supported'
+      ]);
+    });
+
+    it('parses per-link rules that replace the shared ones', () => {
+      const rules = parseJwtLinkRules({ audience: 'docs-aud', allowedEmails: ['Bob@Example.com'] });
+      expect(rules).toEqual({ audiences: ['docs-aud'], allowedEmails: ['bob@example.com'] });
+      expect(jwtSettingsForLink(settings, rules)).toMatchObject({ issuer: ISSUER, audiences: ['docs-aud'], allowedEmails: ['bob@example.com'], allowedGroups: [] });
+      expect(jwtSettingsForLink(settings, undefined)).toBe(settings);
+
+      const errors = [];
+      parseJwtLinkRules({ issuer: ISSUER, allowedGroups: [] }, errors, 'links.docs.jwt');
+      expect(errors).toEqual([
+        'links.docs.jwt.issuer: unknown property',
+        'links.docs.jwt.allowedGroups: must be a non-empty string or array of strings'
+      ]);
+    });
+
+    it('reads settings from JWT_* variables', () => {
+      expect(jwtSettingsFromEnv({})).toBeNull();
+      const fromEnv = jwtSettingsFromEnv({
+        JWT_ISSUER: ISSUER,
+        JWT_AUDIENCE: 'a, b',
+        JWT_JWKS_URL: `${ISSUER}/cdn-cgi/access/certs`,
+        JWT_ALLOWED_EMAILS: 'Alice@Example.com,@corp.example.com',
+        JWT_ALLOWED_GROUPS: 'admins'
+      });
+      expect(fromEnv).toEqual({
+        issuer: ISSUER,
+        audiences: ['a', 'b'],
+        jwksUrl: `${ISSUER}/cdn-cgi/access/certs`,
+        allowedEmails: ['alice@example.com', '@corp.example.com'],
+        allowedGroups: ['admins']
+      });
+
+      const errors = [];
+      expect(jwtSettingsFromEnv({ JWT_ISSUER: ISSUER, JWT_JWKS: '{nope' }, errors)).toBeNull();
+      expect(errors[0]).toContain('JWT_JWKS: not valid JSON');
+    });
+  });
+
+  describe('verifyJwt', () => {
+    it('accepts RS256 and ES256 tokens', async () => {
+      expect((await verifyJwt(await rsaKey.sign(claims()), settings, resolveKey)).payload.email).toBe('alice@example.com');
+      expect((await verifyJwt(await ecKey.sign(claims({ aud: AUDIENCE })), settings, resolveKey)).payload).toBeDefined();
+    });
+
+    it('rejects invalid signatures and unknown keys', async () => {
+      const foreign = await otherKey.sign(claims());
+      expect((await verifyJwt(foreign, settings, resolveKey)).error).toBe('invalid signature');
+      expect((await verifyJwt(await rsaKey.sign(claims(), { kid: 'missing' }), settings, resolveKey)).error).toBe('unknown key');
+
+      const [header, , signature] = (await rsaKey.sign(claims())).split('.');
+      const tampered = Buffer.from(JSON.stringify(claims({ email: 'mallory@example.com' }))).toString('base64url');
+      expect((await verifyJwt(`${header}.${tampered}.${signature}`, settings, resolveKey)).error).toBe('invalid signature');
+    });
+
+    it('rejects unsupported algorithms and malformed tokens', async () => {
+      expect((await verifyJwt(await rsaKey.sign(claims(), { alg: 'none' }), settings, resolveKey)).error).toBe('unsupported algorithm');
+      expect((await verifyJwt(await rsaKey.sign(claims(), { alg: 'HS256' }), settings, resolveKey)).error).toBe('unsupported algorithm');
+      expect((await verifyJwt('a.b', settings, resolveKey)).error).toBe('malformed token');
+      expect((await verifyJwt('!!.??.**', settings, resolveKey)).error).toBe('malformed token');
+    });
+
+    it('checks issuer, audience and validity period', async () => {
+      const check = async overrides => (await verifyJwt(await rsaKey.sign(claims(overrides)), settings, resolveKey)).error;
+      expect(await check({ iss: 'https://evil.example.com' })).toBe('issuer mismatch');
+      expect(await check({ aud: ['other'] })).toBe('audience mismatch');
+      expect(await check({ exp: NOW_SECONDS - 120 })).toBe('expired');
+      expect(await check({ exp: NOW_SECONDS - 30 })).toBeUndefined();
+      expect(await check({ exp: undefined })).toBe('expired');
+      expect(await check({ nbf: NOW_SECONDS + 120 })).toBe('not yet valid');
+    });
+
+    it('checks allowed emails and groups', async () => {
+      const restricted = { ...settings, allowedEmails: ['bob@example.com', '@corp.example.com'], allowedGroups: [] };
+      const check = async (overrides, target = restricted) =>
+        (await verifyJwt(await rsaKey.sign(claims(overrides)), target, resolveKey)).error;
+
+      expect(await check({})).toBe('email not allowed');
+      expect(await check({ email: 'BOB@example.com' })).toBeUndefined();
+      expect(await check({ email: 'carol@corp.example.com' })).toBeUndefined();
+
+      const grouped = { ...settings, allowedGroups: ['admins'] };
+      expect(await check({ groups: ['users'] }, grouped)).toBe('group not allowed');
+      expect(await check({ groups: ['users', 'admins'] }, grouped)).toBeUndefined();
+    });
+  });
+
+  describe('createKeyResolver', () => {
+    it('fetches, caches and refetches remote JWKS for unknown keys', async () => {
+      const remote = { issuer: ISSUER, audiences: [AUDIENCE], jwksUrl: 'https://team.cloudflareaccess.com/cdn-cgi/access/certs' };
+      const fetchJwks = vi.fn().mockResolvedValue({ keys: [rsaKey.jwk] });
+      const resolve = createKeyResolver(remote, fetchJwks);
+
+      expect(await resolve(rsaKey.kid, 'RS256')).not.toBeNull();
+      expect(await resolve(rsaKey.kid, 'RS256')).not.toBeNull();
+      expect(fetchJwks).toHaveBeenCalledTimes(1);
+
+      // Unknown keys do not refetch within the refetch interval
+      expect(await resolve('rotated', 'RS256')).toBeNull();
+      expect(fetchJwks).toHaveBeenCalledTimes(1);
+
+      fetchJwks.mockResolvedValue({ keys: [rsaKey.jwk, { ...otherKey.jwk, kid: 'rotated' }] });
+      Date.now.mockReturnValue(NOW + JWKS_REFETCH_INTERVAL_MS + 1);
+      expect(await resolve('rotated', 'RS256')).not.toBeNull();
+      expect(fetchJwks).toHaveBeenCalledTimes(2);
+    });
+
+    it('denies when the JWKS cannot be fetched', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const resolve = createKeyResolver({ jwksUrl: 'https://x.example.com/certs' }, () => Promise.reject(new Error('offline')));
+      expect(await resolve('any', 'RS256')).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith('Fetching JWKS from https://x.example.com/certs failed: offline');
+    });
+  });
+
+  it('reads the token from the Access header, then a bearer header', () => {
+    expect(getJwtFromRequest(new Request('https://x/', { headers: { 'Cf-Access-Jwt-Assertion': 'a.b.c', Authorization: 'Bearer d.e.f' } }))).toBe('a.b.c');
+    expect(getJwtFromRequest(new Request('https://x/', { headers: { Authorization: 'Bearer d.e.f' } }))).toBe('d.e.f');
+    expect(getJwtFromRequest(new Request('https://x/', { headers: { Authorization: 'Basic abc' } }))).toBeNull();
+  });
+});
+
+describe('JWT authentication in the worker', () => {
+  let env;
+
+  beforeEach(() => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+    invalidateConfigCache();
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+    env = workerEnv({
+      PROTECTED_SUBDOMAINS: 'basic',
+      JWT_AUTH_SUBDOMAINS: 'internal,*.tools',
+      JWT_ISSUER: ISSUER,
+      JWT_AUDIENCE: AUDIENCE,
+      JWT_JWKS: JSON.stringify({ keys: [rsaKey.jwk] }),
+      LINK_INTERNAL: 'https://internal.example.net/',
+      LINK_BASIC: 'https://basic.example.net/',
+      USER_BASIC: 'alice',
+      PASS_BASIC: 'pw',
+      LINK_PATTERNS: JSON.stringify([{ match: '*.tools', target: 'https://{1}.tools.example.net/' }])
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  async function fetchWith(hostname, headers = {}, testEnv = env) {
+    return visitWorker(testEnv, hostname, { ip: '203.0.113.9', headers });
+  }
+
+  it('redirects with a valid Access assertion or bearer token', async () => {
+    const jwt = await rsaKey.sign(claims());
+    expect((await fetchWith('internal.example.com', { 'Cf-Access-Jwt-Assertion': jwt })).status).toBe(302);
+    expect((await fetchWith('grafana.tools.example.com', { Authorization: `Bearer ${jwt}` })).headers.get('Location'))
+      .toBe('https://grafana.tools.example.net/');
+  });
+
+  it('protects JWT subdomains without PROTECTED_SUBDOMAINS and rejects missing tokens', async () => {
+    const response = await fetchWith('internal.example.com');
+    expect(response.status).toBe(401);
+    expect(response.headers.get('WWW-Authenticate')).toContain('Bearer');
+    expect(ratelimit.RATE_LIMIT_BUCKET.size).toBe(0);
+  });
+
+  it('counts invalid tokens toward rate limiting', async () => {
+    const foreign = await otherKey.sign(claims());
+    for (let i = 0; i < ratelimit.MAX_FAILED_ATTEMPTS; i++) {
+      expect((await fetchWith('internal.example.com', { 'Cf-Access-Jwt-Assertion': foreign })).status).toBe(401);
+    }
+    const valid = await rsaKey.sign(claims());
+    expect((await fetchWith('internal.example.com', { 'Cf-Access-Jwt-Assertion': valid })).status).toBe(429);
+  });
+
+  it('keeps Basic Auth for other protected subdomains', async () => {
+    const jwt = await rsaKey.sign(claims());
+    expect((await fetchWith('basic.example.com', { 'Cf-Access-Jwt-Assertion': jwt })).status).toBe(401);
+    expect((await fetchWith('basic.example.com', { Authorization: `Basic ${btoa('alice:pw')}` })).status).toBe(302);
+  });
+
+  it('selects the mode per link in REDIRECT_CONFIG', async () => {
+    const configEnv = workerEnv({
+      REDIRECT_CONFIG: JSON.stringify({
+        links: { docs: { target: 'https://docs.example.net/', authMode: 'jwt' } },
+        auth: { jwt: { issuer: ISSUER, audience: [AUDIENCE], jwks: { keys: [ecKey.jwk] }, allowedGroups: ['staff'] } }
+      })
+    });
+    expect((await fetchWith('docs.example.com', {}, configEnv)).status).toBe(401);
+    const member = await ecKey.sign(claims({ groups: ['staff'] }));
+    expect((await fetchWith('docs.example.com', { 'Cf-Access-Jwt-Assertion': member }, configEnv)).status).toBe(302);
+    const outsider = await ecKey.sign(claims({ groups: ['guests'] }));
+    expect((await fetchWith('docs.example.com', { 'Cf-Access-Jwt-Assertion': outsider }, configEnv)).status).toBe(401);
+  });
+
+  it('applies per-link audience, email and group rules', async () => {
+    const configEnv = workerEnv({
+      REDIRECT_CONFIG: JSON.stringify({
+        links: {
+          docs: { target: 'https://docs.example.net/', authMode: 'jwt' },
+          payroll: { target: 'https://payroll.example.net/', authMode: 'jwt', jwt: { audience: 'payroll-aud', allowedEmails: ['@hr.example.com'] } }
+        },
+        auth: { jwt: { issuer: ISSUER, audience: [AUDIENCE], jwks: { keys: [rsaKey.jwk] } } }
+      })
+    });
+    const shared = await rsaKey.sign(claims());
+    expect((await fetchWith('docs.example.com', { 'Cf-Access-Jwt-Assertion': shared }, configEnv)).status).toBe(302);
+    expect((await fetchWith('payroll.example.com', { 'Cf-Access-Jwt-Assertion': shared }, configEnv)).status).toBe(401);
+
+    const wrongEmail = await rsaKey.sign(claims({ aud: 'payroll-aud' }));
+    expect((await fetchWith('payroll.example.com', { 'Cf-Access-Jwt-Assertion': wrongEmail }, configEnv)).status).toBe(401);
+    const payroll = await rsaKey.sign(claims({ aud: 'payroll-aud', email: 'carol@hr.example.com' }));
+    expect((await fetchWith('payroll.example.com', { 'Cf-Access-Jwt-Assertion': payroll }, configEnv)).status).toBe(302);
+    expect((await fetchWith('docs.example.com', { 'Cf-Access-Jwt-Assertion': payroll }, configEnv)).status).toBe(401);
+  });
+
+  it('fails closed when JWT authentication is used without JWT settings', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { JWT_ISSUER, JWT_AUDIENCE, JWT_JWKS, ...withoutSettings } = env;
+    const jwt = await rsaKey.sign(claims());
+    expect((await fetchWith('internal.example.com', { 'Cf-Access-Jwt-Assertion': jwt }, withoutSettings)).status).toBe(500);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('JWT_AUTH_SUBDOMAINS: JWT authentication needs JWT_ISSUER'));
+
+    invalidateConfigCache();
+    const configEnv = workerEnv({
+      REDIRECT_CONFIG: JSON.stringify({ links: { docs: { target: 'https://docs.example.net/', authMode: 'jwt' } } })
+    });
+    expect((await fetchWith('docs.example.com', {}, configEnv)).status).toBe(500);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('links.docs.authMode: JWT authentication needs'));
+  });
+
+  it('fails closed for KV links using JWT authentication without JWT settings', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const kvEnv = workerEnv({
+      LINKS: createMemoryKV({ docs: { target: 'https://docs.example.net/', authMode: 'jwt' } })
+    });
+    expect((await fetchWith('docs.example.com', {}, kvEnv)).status).toBe(500);
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('no JWT settings are configured'));
+  });
+
+  it('fails closed on invalid JWT settings', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const response = await fetchWith('internal.example.com', {}, { ...env, JWT_JWKS: '{"keys":[]}' });
+    expect(response.status).toBe(500);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getLink, getShortLink, getEnvLink, parseLinkRecord, invalidateLinkCache, LINK_CACHE, DEFAULT_LINK_CACHE_TTL_MS } from '../src/links.js';
+import { createMemoryKV } from './helpers/memory-kv.js';
+
+describe('links.js', () => {
+  const originalDateNow = Date.now;
+  let mockTime = originalDateNow();
+
+  beforeEach(() => {
+    invalidateLinkCache();
+    mockTime = originalDateNow();
+    Date.now = vi.fn(() => mockTime);
+  });
+
+  afterEach(() => {
+    Date.now = originalDateNow;
+    vi.restoreAllMocks();
+  });
+
+  it('reads LINK_* variables', () => {
+    expect(getEnvLink('api.v1', { LINK_API_V1: 'https://api.example.net' })).toEqual({ target: 'https://api.example.net' });
+    expect(getEnvLink('missing', {})).toBeNull();
+  });
+
+  describe('parseLinkRecord', () => {
+    it('accepts full records', () => {
+      expect(parseLinkRecord({ target: ' https://a.example.net ', status: 308, protected: true, credentials: 'shared' }))
+        .toEqual({ target: 'https://a.example.net', status: 308, protected: true, credentials: 'shared' });
+      expect(parseLinkRecord({ target: 'https://a.example.net', users: [{ user: 'alice', pass: 'pw' }] }).users)
+        .toEqual([{ user: 'alice', pass: 'pw' }]);
+    });
+
+    it('rejects malformed records', () => {
+      expect(() => parseLinkRecord(null)).toThrow('must be an object');
+      expect(() => parseLinkRecord(['x'])).toThrow('must be an object');
+      expect(() => parseLinkRecord({ target: '' })).toThrow('absolute http(s) URL');
+      expect(() => parseLinkRecord({ target: 'https://a.example.net', extra: 1 })).toThrow('unknown property');
+      expect(() => parseLinkRecord({ target: 'https://a.example.net', status: 200 })).toThrow('Redirect status');
+      expect(() => parseLinkRecord({ target: 'https://a.example.net', protected: 'yes' })).toThrow('boolean');
+      expect(() => parseLinkRecord({ target: 'https://a.example.net', credentials: '../x y' })).toThrow('credentials');
+    });
+  });
+
+  describe('getLink', () => {
+    it('uses env variables when no KV binding is present', async () => {
+      expect(await getLink('foo', { LINK_FOO: 'https://env.example.net' })).toEqual({ target: 'https://env.example.net' });
+    });
+
+    it('prefers KV records over env variables', async () => {
+      const env = {
+        LINKS: createMemoryKV({ foo: { target: 'https://kv.example.net', status: 301 } }),
+        LINK_FOO: 'https://env.example.net'
+      };
+      expect(await getLink('foo', env)).toEqual({ target: 'https://kv.example.net', status: 301 });
+    });
+
+    it('consults REDIRECT_CONFIG links between KV and env variables', async () => {
+      const configLinks = new Map([['foo', { target: 'https://config.example.net' }]]);
+      const env = { LINKS: createMemoryKV({ bar: { target: 'https://kv.example.net' } }), LINK_FOO: 'https://env.example.net', LINK_BAR: 'https://env.example.net' };
+
+      expect(await getLink('foo', env, configLinks)).toEqual({ target: 'https://config.example.net' });
+      expect(await getLink('bar', env, configLinks)).toEqual({ target: 'https://kv.example.net' });
+    });
+
+    it('falls back to env variables on KV misses', async () => {
+      const env = { LINKS: createMemoryKV(), LINK_FOO: 'https://env.example.net' };
+      expect(await getLink('foo', env)).toEqual({ target: 'https://env.example.net' });
+    });
+
+    it('falls back to env variables for invalid KV records', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const env = { LINKS: createMemoryKV({ foo: { status: 301 } }), LINK_FOO: 'https://env.example.net' };
+      expect(await getLink('foo', env)).toEqual({ target: 'https://env.example.net' });
+      expect(warn).toHaveBeenCalled();
+    });
+
+    it('falls back to env variables when KV lookups fail', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const env = {
+        LINKS: { get: vi.fn(async () => { throw new Error('unavailable'); }) },
+        LINK_FOO: 'https://env.example.net'
+      };
+      expect(await getLink('foo', env)).toEqual({ target: 'https://env.example.net' });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('lookup failed'));
+    });
+
+    it('caches KV hits and misses until the TTL expires', async () => {
+      const kv = createMemoryKV({ foo: { target: 'https://old.example.net' } });
+      const env = { LINKS: kv };
+
+      await getLink('foo', env);
+      await getLink('bar', env);
+      await kv.put('foo', JSON.stringify({ target: 'https://new.example.net' }));
+
+      expect((await getLink('foo', env)).target).toBe('https://old.example.net');
+      expect(await getLink('bar', env)).toBeNull();
+      expect(kv.reads).toBe(2);
+
+      mockTime += DEFAULT_LINK_CACHE_TTL_MS + 1;
+      expect((await getLink('foo', env)).target).toBe('https://new.example.net');
+      expect(kv.reads).toBe(3);
+    });
+
+    it('honours LINKS_CACHE_TTL', async () => {
+      const kv = createMemoryKV({ foo: { target: 'https://a.example.net' } });
+      const env = { LINKS: kv, LINKS_CACHE_TTL: '5' };
+
+      await getLink('foo', env);
+      mockTime += 4000;
+      await getLink('foo', env);
+      expect(kv.reads).toBe(1);
+
+      mockTime += 2000;
+      await getLink('foo', env);
+      expect(kv.reads).toBe(2);
+    });
+
+    it('invalidates single entries or the whole cache', async () => {
+      const kv = createMemoryKV({ foo: { target: 'https://a.example.net' }, bar: { target: 'https://b.example.net' } });
+      const env = { LINKS: kv };
+
+      await getLink('foo', env);
+      await getLink('bar', env);
+      invalidateLinkCache('foo');
+      expect(LINK_CACHE.has('foo')).toBe(false);
+      expect(LINK_CACHE.has('bar')).toBe(true);
+
+      invalidateLinkCache();
+      expect(LINK_CACHE.size).toBe(0);
+    });
+  });
+
+  describe('getShortLink', () => {
+    it('looks up KV, REDIRECT_CONFIG and env in order', async () => {
+      const configShortLinks = new Map([['roadmap', { target: 'https://config.example.net' }], ['kv', { target: 'https://config.example.net' }]]);
+      const env = {
+        LINKS: createMemoryKV({ 'short:kv': { target: 'https://kv.example.net' } }),
+        LINK_SHORTLINK_ROADMAP: 'https://env.example.net',
+        'LINK_SHORTLINK_Q3-PLAN': 'https://plan.example.net',
+        LINK_SHORTLINK_Q3_PLAN: 'https://underscore.example.net'
+      };
+
+      expect(await getShortLink('kv', env, configShortLinks)).toEqual({ target: 'https://kv.example.net' });
+      expect(await getShortLink('roadmap', env, configShortLinks)).toEqual({ target: 'https://config.example.net' });
+      expect(await getShortLink('q3-plan', env, configShortLinks)).toEqual({ target: 'https://plan.example.net' });
+      expect(await getShortLink('q3_plan', env, configShortLinks)).toEqual({ target: 'https://underscore.example.net' });
+      expect(await getShortLink('missing', env, configShortLinks)).toBeNull();
+    });
+
+    it('does not treat subdomain KV records as short links', async () => {
+      const env = { LINKS: createMemoryKV({ roadmap: { target: 'https://subdomain.example.net' } }) };
+      expect(await getShortLink('roadmap', env)).toBeNull();
+    });
+  });
+});
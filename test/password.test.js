@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  hashPassword,
+  isPasswordHash,
+  parsePasswordHash,
+  DEFAULT_PBKDF2_ITERATIONS,
+  MAX_PBKDF2_ITERATIONS
+} from '../src/password.js';
+import { pbkdf2Sha256Hex, fromHex } from '../src/crypto.js';
+
+describe('password.js', () => {
+  describe('hashPassword', () => {
+    it('produces self-describing hashes with a random salt', async () => {
+      const first = await hashPassword('secret', 1000);
+      const second = await hashPassword('secret', 1000);
+      expect(first).toMatch(/^pbkdf2\$1000\$[0-9a-f]{32}\$[0-9a-f]{64}$/);
+      expect(first).not.toBe(second);
+    });
+
+    it('uses the maximum iterations Workers support by default', async () => {
+      expect(DEFAULT_PBKDF2_ITERATIONS).toBe(MAX_PBKDF2_ITERATIONS);
+      expect(await hashPassword('secret')).toMatch(/^pbkdf2\$100000\$/);
+    });
+
+    it('rejects unsupported iteration counts', async () => {
+      await expect(hashPassword('secret', 0)).rejects.toThrow('Iterations');
+      await expect(hashPassword('secret', MAX_PBKDF2_ITERATIONS + 1)).rejects.toThrow('Iterations');
+    });
+
+    it('matches the PBKDF2-SHA256 test vector', async () => {
+      // RFC 7914, section 11
+      const salt = new TextEncoder().encode('salt');
+      expect(await pbkdf2Sha256Hex('passwd', salt, 1, 64)).toBe(
+        '55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc' +
+        '49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783'
+      );
+    });
+  });
+
+  describe('parsePasswordHash', () => {
+    it('parses valid hashes', async () => {
+      const parsed = parsePasswordHash(await hashPassword('secret', 1000));
+      expect(parsed.iterations).toBe(1000);
+      expect(parsed.salt).toHaveLength(16);
+      expect(parsed.hash).toHaveLength(64);
+    });
+
+    it('rejects malformed hashes', () => {
+      const salt = '00'.repeat(16);
+      const hash = 'ab'.repeat(32);
+      expect(parsePasswordHash(`pbkdf2$1000$${salt}$${hash}`)).not.toBeNull();
+      expect(parsePasswordHash(`pbkdf2$1000$${salt}`)).toBeNull();
+      expect(parsePasswordHash(`pbkdf2$abc$${salt}$${hash}`)).toBeNull();
+      expect(parsePasswordHash(`pbkdf2$0$${salt}$${hash}`)).toBeNull();
+      expect(parsePasswordHash(`pbkdf2$200000$${salt}$${hash}`)).toBeNull();
+      expect(parsePasswordHash(`pbkdf2$1000$$${hash}`)).toBeNull();
+      expect(parsePasswordHash(`pbkdf2$1000$${salt}$abcd`)).toBeNull();
+      expect(parsePasswordHash(`pbkdf2$1000$${salt}$${hash}zz`)).toBeNull();
+      expect(parsePasswordHash('plaintext')).toBeNull();
+    });
+
+    it('recognizes hash-like values', () => {
+      expect(isPasswordHash('pbkdf2$broken')).toBe(true);
+      expect(isPasswordHash('secret')).toBe(false);
+      expect(isPasswordHash(undefined)).toBe(false);
+    });
+  });
+
+  describe('fromHex', () => {
+    it('decodes hex and rejects anything else', () => {
+      expect(Array.from(fromHex('00ffA0'))).toEqual([0, 255, 160]);
+      expect(fromHex('abc')).toBeNull();
+      expect(fromHex('zz')).toBeNull();
+    });
+  });
+});
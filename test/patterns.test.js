@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isPattern,
+  compilePattern,
+  sortPatternRules,
+  matchPatternRules,
+  captureVariables,
+  compileSubdomainMatcher,
+  subdomainMatches
+} from '../src/patterns.js';
+
+function rule(match, priority = 0) {
+  return { match, ...compilePattern(match), priority, link: { target: `https://${match}.example.net/` } };
+}
+
+describe('patterns.js', () => {
+  it('detects patterns', () => {
+    expect(isPattern('*.preview')).toBe(true);
+    expect(isPattern('/^pr-\\d+$/')).toBe(true);
+    expect(isPattern('preview')).toBe(false);
+    expect(isPattern('')).toBe(false);
+  });
+
+  describe('compilePattern', () => {
+    it('matches single labels with * and multiple labels with **', () => {
+      const single = compilePattern('*.preview').regex;
+      expect(single.test('feature-x.preview')).toBe(true);
+      expect(single.test('a.b.preview')).toBe(false);
+      expect(single.test('preview')).toBe(false);
+
+      const multi = compilePattern('**.preview').regex;
+      expect(multi.exec('a.b.preview')[1]).toBe('a.b');
+    });
+
+    it('escapes literal characters', () => {
+      expect(compilePattern('a-b.*').regex.test('aXb.c')).toBe(false);
+      expect(compilePattern('a.*').regex.test('abc')).toBe(false);
+    });
+
+    it('anchors regular expressions', () => {
+      const { regex, specificity } = compilePattern('/pr-(\\d+)\\.preview/');
+      expect(regex.exec('pr-42.preview')[1]).toBe('42');
+      expect(regex.test('xpr-42.preview')).toBe(false);
+      expect(specificity).toBe(0);
+    });
+
+    it('rejects invalid patterns', () => {
+      expect(() => compilePattern('')).toThrow('non-empty string');
+      expect(() => compilePattern('*.Preview')).toThrow('Glob patterns');
+      expect(() => compilePattern('***.preview')).toThrow('Glob patterns');
+      expect(() => compilePattern('/(unclosed/')).toThrow('Invalid regular expression');
+    });
+  });
+
+  it('orders rules by priority, specificity and declaration order', () => {
+    const rules = sortPatternRules([rule('*.preview'), rule('/.*/'), rule('*.eu.preview'), rule('**', 10), rule('*.x')]);
+    expect(rules.map(r => r.match)).toEqual(['**', '*.eu.preview', '*.preview', '*.x', '/.*/']);
+  });
+
+  it('returns the first matching rule with captures', () => {
+    const rules = sortPatternRules([rule('*.preview'), rule('*.eu.preview')]);
+    const match = matchPatternRules('shop.eu.preview', rules);
+    expect(match.rule.match).toBe('*.eu.preview');
+    expect(match.captures).toEqual(['shop']);
+    expect(matchPatternRules('other', rules)).toBeNull();
+  });
+
+  it('converts captures to numbered template variables', () => {
+    expect(captureVariables(['a', 'b'])).toEqual({ 1: 'a', 2: 'b' });
+    expect(captureVariables()).toEqual({});
+  });
+
+  it('matches protected subdomains by name or pattern', () => {
+    const errors = [];
+    const matcher = compileSubdomainMatcher(['admin', '*.internal', '/^ops-\\d+$/'], errors);
+    expect(errors).toEqual([]);
+    expect(subdomainMatches('admin', matcher)).toBe(true);
+    expect(subdomainMatches('hr.internal', matcher)).toBe(true);
+    expect(subdomainMatches('ops-7', matcher)).toBe(true);
+    expect(subdomainMatches('public', matcher)).toBe(false);
+  });
+
+  it('matches suffix-specific protected entries only under that suffix', () => {
+    const matcher = compileSubdomainMatcher(['admin@example.org', '*.internal@.Example.org']);
+    expect(subdomainMatches('admin', matcher, '.example.org')).toBe(true);
+    expect(subdomainMatches('admin', matcher, '.example.com')).toBe(false);
+    expect(subdomainMatches('admin', matcher)).toBe(false);
+    expect(subdomainMatches('hr.internal', matcher, '.example.org')).toBe(true);
+    expect(subdomainMatches('hr.internal', matcher, '.example.com')).toBe(false);
+  });
+
+  it('collects invalid protected patterns', () => {
+    const errors = [];
+    compileSubdomainMatcher(['*.Internal'], errors);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toContain('"*.Internal"');
+  });
+});
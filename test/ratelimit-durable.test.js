@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker, { invalidateConfigCache, RateLimiterDurableObject } from '../src/index.js';
+import * as ratelimit from '../src/ratelimit.js';
+import { getRateLimiter } from '../src/ratelimiter.js';
+import { createDurableObjectNamespace } from './helpers/durable-object.js';
+import { base64Encode } from '../src/base64.js';
+
+const NOW = 1_700_000_000_000;
+
+describe('Durable Object rate limiter', () => {
+  let namespace;
+  let limiter;
+
+  beforeEach(() => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+    namespace = createDurableObjectNamespace(RateLimiterDurableObject);
+    limiter = getRateLimiter({ RATE_LIMITER: namespace });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('limits a client after too many failed attempts', async () => {
+    for (let i = 0; i < ratelimit.MAX_FAILED_ATTEMPTS; i++) {
+      expect(await limiter.isRateLimited('1.2.3.4', 'admin')).toBe(false);
+      await limiter.registerFailedAttempt('1.2.3.4', 'admin');
+    }
+    expect(await limiter.isRateLimited('1.2.3.4', 'admin')).toBe(true);
+    expect(await limiter.isRateLimited('1.2.3.4', 'other')).toBe(false);
+    expect(await limiter.isRateLimited('5.6.7.8', 'admin')).toBe(false);
+    // Nothing is counted in the isolate's memory
+    expect(ratelimit.RATE_LIMIT_BUCKET.size).toBe(0);
+  });
+
+  it('uses the stricter limit for unknown clients', async () => {
+    for (let i = 0; i < ratelimit.MAX_FAILED_ATTEMPTS_UNKNOWN; i++) await limiter.registerFailedAttempt('unknown', 'admin');
+    expect(await limiter.isRateLimited('unknown', 'admin')).toBe(true);
+  });
+
+  it('reports the limit and remaining attempts', async () => {
+    const policy = { ...ratelimit.DEFAULT_RATE_LIMIT_POLICY, maxAttempts: 2 };
+    expect(await limiter.status('1.2.3.4', 'admin', policy)).toEqual({ limit: 2, remaining: 2, reset: 0 });
+    await limiter.registerFailedAttempt('1.2.3.4', 'admin', policy);
+    expect(await limiter.status('1.2.3.4', 'admin', policy)).toEqual({ limit: 2, remaining: 1, reset: 600 });
+    await limiter.registerFailedAttempt('1.2.3.4', 'admin', policy);
+    expect(await limiter.status('1.2.3.4', 'admin', policy)).toEqual({ limit: 2, remaining: 0, reset: 600 });
+  });
+
+  it('clears failures', async () => {
+    await limiter.registerFailedAttempt('1.2.3.4', 'admin');
+    await limiter.clearFailures('1.2.3.4', 'admin');
+    const { state } = namespace.instances.get('1.2.3.4::admin');
+    expect(state.storage.data.size).toBe(0);
+  });
+
+  it('reports the remaining window and expires entries', async () => {
+    await limiter.registerFailedAttempt('1.2.3.4', 'admin');
+    Date.now.mockReturnValue(NOW + 60_000);
+    const headers = await limiter.retryHeaders('1.2.3.4', 'admin');
+    expect(headers['Retry-After']).toBe(String(ratelimit.RATE_LIMIT_WINDOW_MS / 1000 - 60));
+
+    const { state } = namespace.instances.get('1.2.3.4::admin');
+    expect(state.storage.alarm).toBe(NOW + ratelimit.RATE_LIMIT_WINDOW_MS);
+    Date.now.mockReturnValue(NOW + ratelimit.RATE_LIMIT_WINDOW_MS + 1);
+    await namespace.runAlarms();
+    expect(state.storage.data.size).toBe(0);
+  });
+
+  it('applies the policy passed with each request, including escalating lockouts', async () => {
+    const policy = { ...ratelimit.DEFAULT_RATE_LIMIT_POLICY, maxAttempts: 2, windowMs: 60_000, escalate: true };
+    await limiter.registerFailedAttempt('1.2.3.4', 'admin', policy);
+    expect(await limiter.isRateLimited('1.2.3.4', 'admin', policy)).toBe(false);
+    await limiter.registerFailedAttempt('1.2.3.4', 'admin', policy);
+    expect(await limiter.isRateLimited('1.2.3.4', 'admin', policy)).toBe(true);
+    expect((await limiter.retryHeaders('1.2.3.4', 'admin'))['Retry-After']).toBe('60');
+
+    // The lockout count outlives the lockout, so the next one lasts twice as long
+    const { state } = namespace.instances.get('1.2.3.4::admin');
+    expect(state.storage.alarm).toBe(NOW + 60_000 + policy.maxLockoutMs);
+    Date.now.mockReturnValue(NOW + 60_001);
+    expect(await limiter.isRateLimited('1.2.3.4', 'admin', policy)).toBe(false);
+    expect(state.storage.data.get('entry')).toMatchObject({ failures: [], lockouts: 1 });
+    await limiter.registerFailedAttempt('1.2.3.4', 'admin', policy);
+    await limiter.registerFailedAttempt('1.2.3.4', 'admin', policy);
+    expect((await limiter.retryHeaders('1.2.3.4', 'admin'))['Retry-After']).toBe('120');
+  });
+
+  it('claims values once across isolates and forgets expired claims', async () => {
+    expect(await limiter.claim('secret', 'totp', 10, 90_000)).toBe(true);
+    expect(await limiter.claim('secret', 'totp', 10, 90_000)).toBe(false);
+    expect(await limiter.claim('secret', 'totp', 11, 90_000)).toBe(true);
+    expect(ratelimit.CLAIMED_VALUES.size).toBe(0);
+
+    const { state } = namespace.instances.get('secret::totp');
+    expect(state.storage.alarm).toBe(NOW + 90_000);
+    Date.now.mockReturnValue(NOW + 90_000);
+    await namespace.runAlarms();
+    expect(state.storage.data.size).toBe(0);
+  });
+
+  it('rejects unknown actions', async () => {
+    const stub = namespace.get(namespace.idFromName('x'));
+    const response = await stub.fetch('https://rate-limiter/nope', { method: 'POST', body: JSON.stringify({ clientId: 'x' }) });
+    expect(response.status).toBe(404);
+  });
+
+  it('falls back to the in-memory limiter if the Durable Object fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = {
+      idFromName: name => ({ name }),
+      get: () => ({ fetch: async () => { throw new Error('unreachable'); } })
+    };
+    const fallback = getRateLimiter({ RATE_LIMITER: broken });
+    await fallback.registerFailedAttempt('1.2.3.4', 'admin');
+    expect(ratelimit.RATE_LIMIT_BUCKET.get('1.2.3.4::admin').failures).toHaveLength(1);
+    expect(await fallback.isRateLimited('1.2.3.4', 'admin')).toBe(false);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('unreachable'));
+  });
+
+  it('uses the in-memory limiter without a binding', async () => {
+    const memory = getRateLimiter({});
+    await memory.registerFailedAttempt('1.2.3.4', 'admin');
+    expect(ratelimit.RATE_LIMIT_BUCKET.get('1.2.3.4::admin').failures).toHaveLength(1);
+  });
+});
+
+describe('Durable Object rate limiter in the worker', () => {
+  beforeEach(() => {
+    invalidateConfigCache();
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+  });
+
+  it('shares failure counts between isolates', async () => {
+    const namespace = createDurableObjectNamespace(RateLimiterDurableObject);
+    const env = {
+      ALLOWED_HOST_SUFFIXES: '.example.com',
+      PROTECTED_SUBDOMAINS: 'secret',
+      LINK_SECRET: 'https://secret.example.net/',
+      USER_SECRET: 'alice',
+      PASS_SECRET: 'pw',
+      RATE_LIMITER: namespace
+    };
+    const visit = pass => worker.fetch(new Request('https://secret.example.com/', {
+      headers: { 'CF-Connecting-IP': '203.0.113.50', Authorization: 'Basic ' + base64Encode(`alice:${pass}`) }
+    }), env);
+
+    for (let i = 0; i < ratelimit.MAX_FAILED_ATTEMPTS; i++) {
+      expect((await visit('wrong')).status).toBe(401);
+      // A fresh isolate would start with an empty in-memory bucket
+      ratelimit.RATE_LIMIT_BUCKET.clear();
+    }
+    const limited = await visit('pw');
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect(namespace.instances.has('203.0.113.50::secret')).toBe(true);
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { invalidateConfigCache } from '../src/index.js';
+import * as ratelimit from '../src/ratelimit.js';
+import { parseRateLimitPolicy, parseRateLimitConfig, rateLimitPolicyFor } from '../src/ratelimit-policy.js';
+import { visitWorker, workerEnv } from './helpers/worker.js';
+
+const NOW = 1_700_000_000_000;
+
+describe('ratelimit-policy.js', () => {
+  it('collects invalid policies', () => {
+    const errors = [];
+    parseRateLimitPolicy({ window: 0, maxAttempts: 2.5, maxAttemptsUnknown: '3', escalate: 'yes', lockout: 60 }, 'links.foo.rateLimit', errors);
+    expect(errors).toEqual([
+      'links.foo.rateLimit.lockout: unknown property',
+      'links.foo.rateLimit.window: must be a positive integer',
+      'links.foo.rateLimit.maxAttempts: must be a positive integer',
+      'links.foo.rateLimit.maxAttemptsUnknown: must be a positive integer',
+      'links.foo.rateLimit.escalate: must be a boolean'
+    ]);
+  });
+
+  it('uses the defaults without configuration', () => {
+    const config = parseRateLimitConfig({});
+    expect(config.global).toEqual(ratelimit.DEFAULT_RATE_LIMIT_POLICY);
+    expect(rateLimitPolicyFor('foo', null, config)).toEqual(ratelimit.DEFAULT_RATE_LIMIT_POLICY);
+  });
+
+  it('reads the global variables', () => {
+    const errors = [];
+    const config = parseRateLimitConfig({
+      RATE_LIMIT_WINDOW: '60',
+      RATE_LIMIT_MAX_ATTEMPTS: '5',
+      RATE_LIMIT_ESCALATE: 'true',
+      RATE_LIMIT_MAX_LOCKOUT: '3600'
+    }, undefined, errors);
+    expect(errors).toEqual([]);
+    expect(config.global).toEqual({ windowMs: 60_000, maxAttempts: 5, maxAttemptsUnknown: 3, escalate: true, maxLockoutMs: 3_600_000 });
+  });
+
+  it('replaces the global variables with the REDIRECT_CONFIG policy', () => {
+    const config = parseRateLimitConfig({ RATE_LIMIT_MAX_ATTEMPTS: '5' }, { window: 120 });
+    expect(config.global.maxAttempts).toBe(ratelimit.MAX_FAILED_ATTEMPTS);
+    expect(config.global.windowMs).toBe(120_000);
+  });
+
+  it('inherits settings from the global policy, then RATE_LIMIT_POLICY_<LINK>', () => {
+    const config = parseRateLimitConfig({
+      RATE_LIMIT_MAX_ATTEMPTS: '5',
+      RATE_LIMIT_POLICY_FOO_BAR: JSON.stringify({ window: 30, escalate: true })
+    });
+    expect(rateLimitPolicyFor('foo.bar', null, config)).toMatchObject({ windowMs: 30_000, maxAttempts: 5, escalate: true });
+    expect(rateLimitPolicyFor('foo.bar', { rateLimit: { maxAttempts: 2 } }, config)).toMatchObject({ windowMs: 30_000, maxAttempts: 2, escalate: true });
+    expect(rateLimitPolicyFor('baz', { rateLimit: { maxAttempts: 2 } }, config)).toMatchObject({ windowMs: 600_000, maxAttempts: 2, escalate: false });
+  });
+
+  it('collects invalid variables', () => {
+    const errors = [];
+    parseRateLimitConfig({
+      RATE_LIMIT_WINDOW: '10m',
+      RATE_LIMIT_ESCALATE: 'yes',
+      RATE_LIMIT_POLICY_FOO: '{',
+      RATE_LIMIT_POLICY_BAR: '{"maxAttempts":0}'
+    }, undefined, errors);
+    expect(errors).toEqual([
+      'RATE_LIMIT_WINDOW: must be a positive integer',
+      'RATE_LIMIT_ESCALATE: must be "true" or "false"',
+      'RATE_LIMIT_POLICY_BAR.maxAttempts: must be a positive integer',
+      expect.stringMatching(/^RATE_LIMIT_POLICY_FOO: not valid JSON/)
+    ]);
+  });
+});
+
+describe('Rate limit policies in the worker', () => {
+  let env;
+
+  beforeEach(() => {
+    invalidateConfigCache();
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    env = workerEnv({
+      PROTECTED_SUBDOMAINS: 'secret,vault',
+      LINK_SECRET: 'https://secret.example.net/',
+      LINK_VAULT: 'https://vault.example.net/',
+      FALLBACK_USER: 'alice',
+      FALLBACK_PASS: 'pw'
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function visit(hostname, pass) {
+    return visitWorker(env, hostname, { ip: '203.0.113.60', auth: ['alice', pass] });
+  }
+
+  it('applies a stricter policy to one link', async () => {
+    env.RATE_LIMIT_POLICY_VAULT = JSON.stringify({ maxAttempts: 2, window: 60 });
+    await visit('vault.example.com', 'wrong');
+    await visit('vault.example.com', 'wrong');
+    const limited = await visit('vault.example.com', 'pw');
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('Retry-After')).toBe('60');
+
+    await visit('secret.example.com', 'wrong');
+    await visit('secret.example.com', 'wrong');
+    expect((await visit('secret.example.com', 'pw')).status).toBe(302);
+  });
+
+  it('escalates lockouts for links configured in REDIRECT_CONFIG', async () => {
+    env.REDIRECT_CONFIG = JSON.stringify({
+      rateLimit: { maxAttempts: 1, window: 60, escalate: true, maxLockout: 150 },
+      links: { locked: { target: 'https://locked.example.net/', protected: true, users: [{ user: 'alice', pass: 'pw' }] } }
+    });
+    let now = NOW;
+    const lockout = async () => {
+      await visit('locked.example.com', 'wrong');
+      return Number((await visit('locked.example.com', 'pw')).headers.get('Retry-After'));
+    };
+
+    expect(await lockout()).toBe(60);
+    Date.now.mockReturnValue(now += 61_000);
+    expect(await lockout()).toBe(120);
+    Date.now.mockReturnValue(now += 121_000);
+    expect(await lockout()).toBe(150);
+    Date.now.mockReturnValue(now += 151_000);
+    expect((await visit('locked.example.com', 'pw')).status).toBe(302);
+    // A success forgets earlier lockouts
+    expect(await lockout()).toBe(60);
+  });
+
+  it('fails closed on invalid policies', async () => {
+    env.RATE_LIMIT_MAX_ATTEMPTS = 'many';
+    expect((await visit('secret.example.com', 'pw')).status).toBe(500);
+  });
+});
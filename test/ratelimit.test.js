@@ -9,6 +9,7 @@ describe('ratelimit.js', () => {
   beforeEach(() => {
     // Clear the internal bucket before each test
     ratelimit.RATE_LIMIT_BUCKET && ratelimit.RATE_LIMIT_BUCKET.clear && ratelimit.RATE_LIMIT_BUCKET.clear();
+    ratelimit.resetRateLimitStats();
 
     // Reset mock time to current time
     mockTime = originalDateNow();
@@ -133,4 +134,138 @@ describe('ratelimit.js', () => {
     ratelimit.RATE_LIMIT_BUCKET && ratelimit.RATE_LIMIT_BUCKET.clear && ratelimit.RATE_LIMIT_BUCKET.clear();
     expect(ratelimit.rateLimitRetryHeaders(client, sub)['Retry-After']).toBe('0');
   });
+
+  describe('policies', () => {
+    const policy = { ...ratelimit.DEFAULT_RATE_LIMIT_POLICY, windowMs: 60_000, maxAttempts: 3, maxAttemptsUnknown: 1 };
+    const escalating = { ...policy, escalate: true, maxLockoutMs: 300_000 };
+
+    function lockOut(client, sub, withPolicy) {
+      for (let i = 0; i < withPolicy.maxAttempts; i++) ratelimit.registerFailedAttempt(client, sub, withPolicy);
+      return Number(ratelimit.rateLimitRetryHeaders(client, sub)['Retry-After']);
+    }
+
+    it('uses the limits and window of the given policy', () => {
+      ratelimit.registerFailedAttempt('unknown', 'admin', policy);
+      expect(ratelimit.isRateLimited('unknown', 'admin', policy)).toBe(true);
+      expect(lockOut('1.2.3.4', 'admin', policy)).toBe(60);
+      expect(ratelimit.isRateLimited('1.2.3.4', 'admin', policy)).toBe(true);
+      mockTime += 60_001;
+      expect(ratelimit.isRateLimited('1.2.3.4', 'admin', policy)).toBe(false);
+      expect(ratelimit.RATE_LIMIT_BUCKET.has(ratelimit.makeRateLimitKey('1.2.3.4', 'admin'))).toBe(false);
+    });
+
+    it('doubles each successive lockout up to the cap', () => {
+      const lockouts = [];
+      for (let i = 0; i < 5; i++) {
+        const seconds = lockOut('1.2.3.4', 'admin', escalating);
+        lockouts.push(seconds);
+        expect(ratelimit.isRateLimited('1.2.3.4', 'admin', escalating)).toBe(true);
+        // More failures during a lockout do not extend it
+        ratelimit.registerFailedAttempt('1.2.3.4', 'admin', escalating);
+        expect(Number(ratelimit.rateLimitRetryHeaders('1.2.3.4', 'admin')['Retry-After'])).toBe(seconds);
+        mockTime += seconds * 1000 + 1;
+        expect(ratelimit.isRateLimited('1.2.3.4', 'admin', escalating)).toBe(false);
+      }
+      expect(lockouts).toEqual([60, 120, 240, 300, 300]);
+    });
+
+    it('forgets lockouts after a success or once the cap has passed', () => {
+      lockOut('1.2.3.4', 'admin', escalating);
+      mockTime += 60_001;
+      expect(lockOut('1.2.3.4', 'admin', escalating)).toBe(120);
+      mockTime += 120_001 + escalating.maxLockoutMs;
+      expect(lockOut('1.2.3.4', 'admin', escalating)).toBe(60);
+
+      ratelimit.clearFailures('1.2.3.4', 'admin');
+      expect(lockOut('1.2.3.4', 'admin', escalating)).toBe(60);
+    });
+  });
+
+  describe('store', () => {
+    const policy = { ...ratelimit.DEFAULT_RATE_LIMIT_POLICY, windowMs: 60_000, maxAttempts: 3 };
+
+    it('counts failures in a sliding window', () => {
+      ratelimit.registerFailedAttempt('1.2.3.4', 'admin', policy);
+      mockTime += 30_000;
+      ratelimit.registerFailedAttempt('1.2.3.4', 'admin', policy);
+      mockTime += 20_000;
+      ratelimit.registerFailedAttempt('1.2.3.4', 'admin', policy);
+      // Locked out until the first failure leaves the window
+      expect(ratelimit.isRateLimited('1.2.3.4', 'admin', policy)).toBe(true);
+      expect(ratelimit.rateLimitRetryHeaders('1.2.3.4', 'admin')['Retry-After']).toBe('10');
+
+      mockTime += 10_000;
+      expect(ratelimit.isRateLimited('1.2.3.4', 'admin', policy)).toBe(false);
+      // The later two failures still count, unlike with a window that resets
+      ratelimit.registerFailedAttempt('1.2.3.4', 'admin', policy);
+      expect(ratelimit.isRateLimited('1.2.3.4', 'admin', policy)).toBe(true);
+      expect(ratelimit.rateLimitRetryHeaders('1.2.3.4', 'admin')['Retry-After']).toBe('30');
+    });
+
+    it('reports the limit and remaining attempts', () => {
+      expect(ratelimit.rateLimitStatus('1.2.3.4', 'admin', policy)).toEqual({ limit: 3, remaining: 3, reset: 0 });
+      ratelimit.registerFailedAttempt('1.2.3.4', 'admin', policy);
+      mockTime += 20_000;
+      expect(ratelimit.rateLimitStatus('1.2.3.4', 'admin', policy)).toEqual({ limit: 3, remaining: 2, reset: 40 });
+      expect(ratelimit.rateLimitStatus('unknown', 'admin', policy).limit).toBe(policy.maxAttemptsUnknown);
+    });
+
+    it('keeps lockouts when flooded with new keys', () => {
+      for (let i = 0; i < policy.maxAttempts; i++) ratelimit.registerFailedAttempt('attacker', 'admin', policy);
+      for (let i = 0; i < ratelimit.MAX_RATE_LIMIT_KEYS; i++) ratelimit.registerFailedAttempt(`flood-${i}`, 'admin', policy);
+
+      expect(ratelimit.isRateLimited('attacker', 'admin', policy)).toBe(true);
+      expect(ratelimit.rateLimitStats()).toMatchObject({ size: ratelimit.MAX_RATE_LIMIT_KEYS, evictions: 1 });
+      expect(ratelimit.RATE_LIMIT_BUCKET.has(ratelimit.makeRateLimitKey('flood-0', 'admin'))).toBe(false);
+    });
+
+    it('evicts expired entries before live ones', () => {
+      const short = { ...policy, windowMs: 1_000 };
+      for (let i = 0; i < ratelimit.MAX_RATE_LIMIT_KEYS; i++) {
+        ratelimit.registerFailedAttempt(`client-${i}`, 'admin', i === 5 ? short : policy);
+      }
+      mockTime += 2_000;
+      ratelimit.registerFailedAttempt('new-client', 'admin', policy);
+
+      expect(ratelimit.RATE_LIMIT_BUCKET.has(ratelimit.makeRateLimitKey('client-0', 'admin'))).toBe(true);
+      expect(ratelimit.RATE_LIMIT_BUCKET.has(ratelimit.makeRateLimitKey('client-5', 'admin'))).toBe(false);
+      expect(ratelimit.rateLimitStats()).toMatchObject({ evictions: 0, sweptEntries: 1 });
+    });
+
+    it('moves touched entries to the end', () => {
+      ratelimit.registerFailedAttempt('a', 'admin', policy);
+      ratelimit.registerFailedAttempt('b', 'admin', policy);
+      ratelimit.isRateLimited('a', 'admin', policy);
+      expect([...ratelimit.RATE_LIMIT_BUCKET.keys()]).toEqual(['b::admin', 'a::admin']);
+    });
+
+    it('sweeps expired entries in bounded batches', () => {
+      for (let i = 0; i < 5; i++) ratelimit.registerFailedAttempt(`client-${i}`, 'admin', policy);
+      mockTime += 60_000;
+      expect(ratelimit.sweepExpired(mockTime, 3)).toBe(3);
+      expect(ratelimit.rateLimitStats()).toMatchObject({ size: 2, sweptEntries: 3 });
+
+      // Requests sweep at most every SWEEP_INTERVAL_MS
+      mockTime += ratelimit.SWEEP_INTERVAL_MS;
+      ratelimit.isRateLimited('other', 'admin', policy);
+      expect(ratelimit.rateLimitStats()).toMatchObject({ size: 0, sweptEntries: 5 });
+    });
+  });
+
+  describe('claimed values', () => {
+    beforeEach(() => {
+      ratelimit.CLAIMED_VALUES.clear();
+    });
+
+    it('claims each value once and only increasing values until the claim expires', () => {
+      expect(ratelimit.claimValue('secret', 'totp', 10, 90_000)).toBe(true);
+      expect(ratelimit.claimValue('secret', 'totp', 10, 90_000)).toBe(false);
+      expect(ratelimit.claimValue('secret', 'totp', 9, 90_000)).toBe(false);
+      expect(ratelimit.claimValue('other', 'totp', 9, 90_000)).toBe(true);
+      expect(ratelimit.claimValue('secret', 'totp', 11, 90_000)).toBe(true);
+
+      mockTime += 90_000;
+      expect(ratelimit.claimValue('secret', 'totp', 11, 90_000)).toBe(true);
+    });
+  });
 });
@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { invalidateConfigCache } from '../src/index.js';
+import { parseTimestamp, linkPhase } from '../src/schedule.js';
+import { parseRedirectConfig, validateLinkRecord } from '../src/config.js';
+import { basicAuth, visitWorker, workerEnv } from './helpers/worker.js';
+
+const NOT_BEFORE = Date.parse('2026-11-01T09:00:00Z');
+const NOT_AFTER = Date.parse('2026-11-30T00:00:00Z');
+
+describe('schedule.js', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('parses ISO 8601 timestamps and Unix seconds', () => {
+    expect(parseTimestamp('2026-11-01T09:00:00Z')).toBe(NOT_BEFORE);
+    expect(parseTimestamp('2026-11-01T10:00+01:00')).toBe(NOT_BEFORE);
+    expect(parseTimestamp(NOT_BEFORE / 1000)).toBe(NOT_BEFORE);
+    expect(parseTimestamp('2026-11-01T09:00:00')).toBeNull(); // No time zone
+    expect(parseTimestamp('2026-11-01')).toBeNull();
+    expect(parseTimestamp('next week')).toBeNull();
+    expect(parseTimestamp(-1)).toBeNull();
+  });
+
+  it('finds the phase of a link at a time', () => {
+    const link = { notBefore: '2026-11-01T09:00:00.000Z', notAfter: '2026-11-30T00:00:00.000Z' };
+    expect(linkPhase(link, NOT_BEFORE - 1)).toBe('pending');
+    expect(linkPhase(link, NOT_BEFORE)).toBe('active');
+    expect(linkPhase(link, NOT_AFTER - 1)).toBe('active');
+    expect(linkPhase(link, NOT_AFTER)).toBe('expired');
+    expect(linkPhase({}, NOT_AFTER)).toBe('active');
+    expect(linkPhase(null, NOT_AFTER)).toBe('active');
+  });
+
+  it('uses the current time by default', () => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOT_AFTER + 1);
+    expect(linkPhase({ notAfter: '2026-11-30T00:00:00Z' })).toBe('expired');
+  });
+
+  it('validates and normalizes windows in link records', () => {
+    const { link } = validateLinkRecord({
+      target: 'https://campaign.example.net/', notBefore: NOT_BEFORE / 1000, notAfter: '2026-11-30T01:00:00+01:00'
+    });
+    expect(link).toMatchObject({ notBefore: '2026-11-01T09:00:00.000Z', notAfter: '2026-11-30T00:00:00.000Z' });
+
+    expect(validateLinkRecord({
+      target: 'https://campaign.example.net/', notBefore: '2026-12-01T00:00:00Z', notAfter: '2026-11-30T00:00:00Z', expiredTarget: 'ftp://x'
+    }).errors).toEqual([
+      'link.notAfter: must be later than notBefore',
+      'link.expiredTarget: must be an absolute http(s) URL'
+    ]);
+    expect(() => parseRedirectConfig(JSON.stringify({ links: { promo: { target: 'https://promo.example.net/', notAfter: 'soon' } } })))
+      .toThrow('links.promo.notAfter: must be an ISO 8601 timestamp with time zone or Unix seconds');
+  });
+});
+
+describe('Activation windows in the worker', () => {
+  let env;
+
+  function setLinks(links) {
+    env.REDIRECT_CONFIG = JSON.stringify({ links });
+  }
+
+  function visit(hostname, path = '/', headers = {}) {
+    return visitWorker(env, `${hostname}${path}`, { headers });
+  }
+
+  beforeEach(() => {
+    invalidateConfigCache();
+    env = workerEnv();
+    setLinks({
+      promo: { target: 'https://promo.example.net/', notBefore: '2026-11-01T09:00:00Z', notAfter: '2026-11-30T00:00:00Z' },
+      sale: {
+        target: 'https://sale.example.net/{path}',
+        notBefore: '2026-11-01T09:00:00Z',
+        notAfter: '2026-11-30T00:00:00Z',
+        comingSoonTarget: 'https://www.example.net/coming-soon',
+        expiredTarget: 'https://www.example.net/archive/{path}'
+      }
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('treats links as not found before activation', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOT_BEFORE - 1000);
+    const response = await visit('promo.example.com');
+    expect(response.status).toBe(404);
+    expect(await response.text()).toBe('Not found');
+  });
+
+  it('redirects during the window', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOT_BEFORE);
+    const response = await visit('promo.example.com');
+    expect(response.status).toBe(302);
+    expect(response.headers.get('Location')).toBe('https://promo.example.net/');
+  });
+
+  it('returns 410 Gone after expiry', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOT_AFTER);
+    const response = await visit('promo.example.com');
+    expect(response.status).toBe(410);
+    expect(await response.text()).toBe('Gone');
+    expect(response.headers.get('X-Content-Type-Options')).toBe('nosniff');
+  });
+
+  it('serves the coming soon and expired targets', async () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(NOT_BEFORE - 1000);
+    const soon = await visit('sale.example.com', '/shoes');
+    expect(soon.status).toBe(302);
+    expect(soon.headers.get('Location')).toBe('https://www.example.net/coming-soon');
+
+    now.mockReturnValue(NOT_AFTER + 1000);
+    const expired = await visit('sale.example.com', '/shoes');
+    expect(expired.status).toBe(302);
+    expect(expired.headers.get('Location')).toBe('https://www.example.net/archive/shoes');
+  });
+
+  it('checks the window before authentication', async () => {
+    env.USER_PROMO = 'alice';
+    env.PASS_PROMO = 'pw';
+    env.PROTECTED_SUBDOMAINS = 'promo';
+    const now = vi.spyOn(Date, 'now').mockReturnValue(NOT_AFTER);
+    expect((await visit('promo.example.com')).status).toBe(410);
+
+    now.mockReturnValue(NOT_BEFORE);
+    expect((await visit('promo.example.com')).status).toBe(401);
+    const authorized = await visit('promo.example.com', '/', { Authorization: basicAuth('alice', 'pw') });
+    expect(authorized.status).toBe(302);
+  });
+});
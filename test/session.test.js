@@ -0,0 +1,229 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { invalidateConfigCache } from '../src/index.js';
+import * as ratelimit from '../src/ratelimit.js';
+import {
+  createSessionCookie,
+  clearSessionCookie,
+  readSessionCookie,
+  verifySession,
+  safeReturnPath,
+  sessionTtlSeconds,
+  cookieDomain,
+  loginFormHtml,
+  SESSION_COOKIE_NAME,
+  DEFAULT_SESSION_TTL_SECONDS,
+  MAX_SESSION_TTL_SECONDS
+} from '../src/session.js';
+import { createAccessToken } from '../src/tokens.js';
+import { hashPassword } from '../src/password.js';
+import { basicAuth, visitWorker, workerEnv } from './helpers/worker.js';
+
+const SECRET = 'session-secret';
+const NOW = 1_700_000_000_000;
+
+function cookieValue(setCookie) {
+  return setCookie.split(';')[0].slice(SESSION_COOKIE_NAME.length + 1);
+}
+
+describe('session.js', () => {
+  beforeEach(() => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('creates suffix-wide, HttpOnly, Secure, SameSite cookies', async () => {
+    const setCookie = await createSessionCookie(SECRET, { user: 'alice', pass: 'pw' }, 3600, 'example.com');
+    expect(setCookie).toMatch(new RegExp(`^${SESSION_COOKIE_NAME}=[A-Za-z0-9_-]+\\.[0-9a-f]{64}; `));
+    expect(setCookie).toContain('; Path=/; Domain=example.com; Max-Age=3600; HttpOnly; Secure; SameSite=Lax');
+    expect(clearSessionCookie('example.com')).toBe(`${SESSION_COOKIE_NAME}=; Path=/; Domain=example.com; Max-Age=0; HttpOnly; Secure; SameSite=Lax`);
+    expect(clearSessionCookie(null)).not.toContain('Domain');
+  });
+
+  it('verifies sessions against the credential they were issued for', async () => {
+    const credential = { user: 'alice', pass: 'pw' };
+    const value = cookieValue(await createSessionCookie(SECRET, credential, 3600, null));
+
+    expect(await verifySession(SECRET, value, credential)).toBe(credential);
+    expect(await verifySession(SECRET, value, [{ user: 'bob', pass: 'x' }, credential])).toBe(credential);
+    expect(await verifySession(SECRET, value, { user: 'alice', pass: 'changed' })).toBeNull();
+    expect(await verifySession(SECRET, value, { user: 'bob', pass: 'pw' })).toBeNull();
+    expect(await verifySession(SECRET, value, { ...credential, totp: 'GEZDGNBVGY3TQOJQ' })).toBeNull();
+    expect(await verifySession('other-secret', value, credential)).toBeNull();
+    expect(await verifySession(SECRET, value.replace(/.$/, c => c === '0' ? '1' : '0'), credential)).toBeNull();
+    expect(await verifySession(SECRET, 'garbage', credential)).toBeNull();
+
+    Date.now.mockReturnValue(NOW + 3600 * 1000);
+    expect(await verifySession(SECRET, value, credential)).toBeNull();
+  });
+
+  it('reads the session cookie among others', () => {
+    const request = new Request('https://x.example.com/', { headers: { Cookie: `a=1; ${SESSION_COOKIE_NAME}=abc.def; b=2` } });
+    expect(readSessionCookie(request)).toBe('abc.def');
+    expect(readSessionCookie(new Request('https://x.example.com/'))).toBeNull();
+  });
+
+  it('only returns to same-host paths', () => {
+    expect(safeReturnPath('/docs?x=1')).toBe('/docs?x=1');
+    expect(safeReturnPath('//evil.example.net/')).toBe('/');
+    expect(safeReturnPath('/\\evil.example.net')).toBe('/');
+    expect(safeReturnPath('https://evil.example.net/')).toBe('/');
+    expect(safeReturnPath(null)).toBe('/');
+  });
+
+  it('parses SESSION_TTL and cookie domains', () => {
+    expect(sessionTtlSeconds({})).toBe(DEFAULT_SESSION_TTL_SECONDS);
+    expect(sessionTtlSeconds({ SESSION_TTL: '600' })).toBe(600);
+    expect(sessionTtlSeconds({ SESSION_TTL: 'abc' })).toBe(DEFAULT_SESSION_TTL_SECONDS);
+    expect(sessionTtlSeconds({ SESSION_TTL: '999999999' })).toBe(MAX_SESSION_TTL_SECONDS);
+    expect(cookieDomain('.example.com')).toBe('example.com');
+    expect(cookieDomain('[::1]')).toBeNull();
+  });
+
+  it('escapes values in the login form', () => {
+    const html = loginFormHtml({ returnTo: '/"><script>alert(1)</script>', error: '<b>' });
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&quot;&gt;&lt;script&gt;');
+    expect(html).toContain('&lt;b&gt;');
+  });
+});
+
+describe('Login form and sessions in the worker', () => {
+  let env;
+  const ip = '203.0.113.20';
+
+  beforeEach(() => {
+    invalidateConfigCache();
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+    env = workerEnv({
+      PROTECTED_SUBDOMAINS: 'foo,bar,other',
+      LINK_FOO: 'https://foo.example.net*',
+      LINK_BAR: 'https://bar.example.net/',
+      LINK_OTHER: 'https://other.example.net/',
+      FALLBACK_USER: 'alice',
+      FALLBACK_PASS: 'pw',
+      USER_OTHER: 'carol',
+      PASS_OTHER: 'pw3',
+      SESSION_SECRET: SECRET
+    });
+  });
+
+  function login(fields, headers = {}, hostname = 'foo.example.com') {
+    return visitWorker(env, `${hostname}/_auth/login`, { ip, form: fields, headers });
+  }
+
+  function visit(hostname, path = '/', headers = {}) {
+    return visitWorker(env, `${hostname}${path}`, { ip, headers });
+  }
+
+  it('serves the login form instead of the Basic Auth prompt', async () => {
+    const response = await visit('foo.example.com', '/docs?x=1');
+    expect(response.status).toBe(401);
+    expect(response.headers.get('WWW-Authenticate')).toBeNull();
+    expect(response.headers.get('Content-Type')).toBe('text/html; charset=utf-8');
+    expect(response.headers.get('Content-Security-Policy')).toContain("default-src 'none'");
+    const html = await response.text();
+    expect(html).toContain('action="/_auth/login"');
+    expect(html).toContain('value="/docs?x=1"');
+  });
+
+  it('logs in, sets the cookie and returns to the original path', async () => {
+    const response = await login({ user: 'alice', pass: 'pw', return: '/docs?x=1' });
+    expect(response.status).toBe(303);
+    expect(response.headers.get('Location')).toBe('https://foo.example.com/docs?x=1');
+    const setCookie = response.headers.get('Set-Cookie');
+    expect(setCookie).toContain('Domain=example.com');
+
+    const cookie = `${SESSION_COOKIE_NAME}=${cookieValue(setCookie)}`;
+    const redirected = await visit('foo.example.com', '/docs?x=1', { Cookie: cookie });
+    expect(redirected.status).toBe(302);
+    expect(redirected.headers.get('Location')).toBe('https://foo.example.net/docs?x=1');
+
+    // Same credentials on another subdomain: no prompt
+    expect((await visit('bar.example.com', '/', { Cookie: cookie })).status).toBe(302);
+    // Different credentials: login form again
+    expect((await visit('other.example.com', '/', { Cookie: cookie })).status).toBe(401);
+  });
+
+  it('accepts hashed passwords', async () => {
+    env.FALLBACK_PASS = await hashPassword('pw', 1000);
+    expect((await login({ user: 'alice', pass: 'pw', return: '/' })).status).toBe(303);
+  });
+
+  it('applies IP and geo rules before checking the login', async () => {
+    env.IP_ALLOW_FOO = '10.0.0.0/8';
+    const denied = await login({ user: 'alice', pass: 'pw', return: '/' });
+    expect(denied.status).toBe(403);
+    expect(denied.headers.get('Set-Cookie')).toBeNull();
+    expect(ratelimit.RATE_LIMIT_BUCKET.size).toBe(0);
+    expect((await login({ user: 'alice', pass: 'pw', return: '/' }, { 'CF-Connecting-IP': '10.1.2.3' })).status).toBe(303);
+
+    invalidateConfigCache();
+    delete env.IP_ALLOW_FOO;
+    env.GEO_FOO = '{"allowCountries":["DE"]}';
+    const blocked = await visitWorker(env, 'foo.example.com/_auth/login', {
+      ip,
+      form: { user: 'alice', pass: 'pw', return: '/' },
+      cf: { country: 'US' }
+    });
+    expect(blocked.status).toBe(403);
+    expect(blocked.headers.get('Set-Cookie')).toBeNull();
+  });
+
+  it('rejects invalid logins and feeds the rate limiter', async () => {
+    const response = await login({ user: 'alice', pass: 'wrong', return: '/' });
+    expect(response.status).toBe(401);
+    expect(response.headers.get('Set-Cookie')).toBeNull();
+    expect(await response.text()).toContain('Invalid user or password');
+
+    for (let i = 1; i < ratelimit.MAX_FAILED_ATTEMPTS; i++) {
+      await login({ user: 'alice', pass: 'wrong', return: '/' });
+    }
+    expect((await login({ user: 'alice', pass: 'pw', return: '/' })).status).toBe(429);
+    expect((await visit('foo.example.com')).status).toBe(429);
+  });
+
+  it('never returns to other hosts and rejects cross-origin posts', async () => {
+    const response = await login({ user: 'alice', pass: 'pw', return: '//evil.example.net/' });
+    expect(response.headers.get('Location')).toBe('https://foo.example.com/');
+
+    expect((await login({ user: 'alice', pass: 'pw' }, { Origin: 'https://evil.example.net' })).status).toBe(403);
+    expect((await visitWorker(env, 'foo.example.com/_auth/login')).status).toBe(405);
+  });
+
+  it('redirects without a cookie when the path is not protected', async () => {
+    env.LINK_PUBLIC = 'https://public.example.net/';
+    const response = await login({ user: 'alice', pass: 'pw', return: '/' }, {}, 'public.example.com');
+    expect(response.status).toBe(303);
+    expect(response.headers.get('Set-Cookie')).toBeNull();
+  });
+
+  it('logs out by clearing the cookie', async () => {
+    const response = await visit('foo.example.com', '/_auth/logout');
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Set-Cookie')).toContain('Max-Age=0');
+    expect(response.headers.get('Set-Cookie')).toContain('Domain=example.com');
+  });
+
+  it('still accepts Basic Auth headers', async () => {
+    const response = await visit('foo.example.com', '/', { Authorization: basicAuth('alice', 'pw') });
+    expect(response.status).toBe(302);
+  });
+
+  it('shows the form for invalid access tokens', async () => {
+    env.ACCESS_TOKEN_SECRET = 'token-secret';
+    const { token } = await createAccessToken('other-secret', 'foo', 60);
+    const response = await visit('foo.example.com', `/?access_token=${token}`);
+    expect(response.status).toBe(401);
+    expect(response.headers.get('Content-Type')).toContain('text/html');
+  });
+
+  it('keeps the Basic Auth prompt without SESSION_SECRET', async () => {
+    delete env.SESSION_SECRET;
+    const response = await visit('foo.example.com');
+    expect(response.headers.get('WWW-Authenticate')).toContain('Basic');
+    expect((await visitWorker(env, 'foo.example.com/_auth/login', { method: 'POST' })).status).toBe(405);
+  });
+});
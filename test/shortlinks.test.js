@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateShortLinkPrefix,
+  parseShortLinkPrefixes,
+  isShortLinkName,
+  matchShortLinkPath,
+  shortLinkId,
+  isShortLinkNamespace
+} from '../src/shortlinks.js';
+
+describe('shortlinks.js', () => {
+  describe('validateShortLinkPrefix', () => {
+    it('normalizes prefixes', () => {
+      expect(validateShortLinkPrefix('go')).toBe('/go');
+      expect(validateShortLinkPrefix(' /Go/ ')).toBe('/go');
+      expect(validateShortLinkPrefix('/links/r')).toBe('/links/r');
+    });
+
+    it('rejects invalid prefixes', () => {
+      expect(() => validateShortLinkPrefix('')).toThrow('non-empty string');
+      expect(() => validateShortLinkPrefix('/')).toThrow('path segments');
+      expect(() => validateShortLinkPrefix('/go//r')).toThrow('path segments');
+      expect(() => validateShortLinkPrefix('/go?x')).toThrow('path segments');
+    });
+  });
+
+  it('parses comma-separated prefixes and collects errors', () => {
+    const errors = [];
+    expect(parseShortLinkPrefixes('/go, r ,/bad path', errors)).toEqual(['/go', '/r']);
+    expect(errors).toHaveLength(1);
+    expect(parseShortLinkPrefixes(undefined)).toEqual([]);
+  });
+
+  it('validates short link names', () => {
+    expect(isShortLinkName('abc123')).toBe(true);
+    expect(isShortLinkName('q3-roadmap_v2')).toBe(true);
+    expect(isShortLinkName('')).toBe(false);
+    expect(isShortLinkName('a.b')).toBe(false);
+  });
+
+  describe('matchShortLinkPath', () => {
+    const prefixes = ['/go', '/r'];
+
+    it('extracts the name and remaining path', () => {
+      expect(matchShortLinkPath('/go/roadmap', prefixes)).toEqual({ name: 'roadmap', pathname: '/' });
+      expect(matchShortLinkPath('/r/ABC123/q3/plan', prefixes)).toEqual({ name: 'abc123', pathname: '/q3/plan' });
+      expect(matchShortLinkPath('/GO/roadmap', prefixes)).toEqual({ name: 'roadmap', pathname: '/' });
+    });
+
+    it('ignores paths outside the prefixes or with invalid names', () => {
+      expect(matchShortLinkPath('/', prefixes)).toBeNull();
+      expect(matchShortLinkPath('/go', prefixes)).toBeNull();
+      expect(matchShortLinkPath('/go/', prefixes)).toBeNull();
+      expect(matchShortLinkPath('/gone/x', prefixes)).toBeNull();
+      expect(matchShortLinkPath('/go/%2e%2e', prefixes)).toBeNull();
+      expect(matchShortLinkPath('/go/roadmap', [])).toBeNull();
+    });
+  });
+
+  it('builds internal identifiers', () => {
+    expect(shortLinkId('q3-roadmap')).toBe('shortlink.q3-roadmap');
+    expect(shortLinkId('q3_roadmap')).toBe('shortlink.q3_roadmap');
+  });
+
+  it('reserves the shortlink subdomain namespace', () => {
+    expect(isShortLinkNamespace('shortlink')).toBe(true);
+    expect(isShortLinkNamespace('shortlink.roadmap')).toBe(true);
+    expect(isShortLinkNamespace('shortlinks')).toBe(false);
+    expect(isShortLinkNamespace('foo.shortlink')).toBe(false);
+  });
+});
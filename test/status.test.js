@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { parseRedirectStatus, parseStatusConfig, statusForSubdomain, DEFAULT_REDIRECT_STATUS } from '../src/status.js';
+
+describe('status.js', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('parseRedirectStatus', () => {
+    it('accepts supported redirect codes', () => {
+      for (const code of [301, 302, 303, 307, 308]) {
+        expect(parseRedirectStatus(String(code))).toBe(code);
+      }
+      expect(parseRedirectStatus(' 308 ')).toBe(308);
+      expect(parseRedirectStatus(301)).toBe(301);
+    });
+
+    it('rejects unsupported or malformed codes', () => {
+      expect(() => parseRedirectStatus('200')).toThrow('Redirect status must be one of');
+      expect(() => parseRedirectStatus('304')).toThrow('Redirect status must be one of');
+      expect(() => parseRedirectStatus('301abc')).toThrow('Redirect status must be one of');
+      expect(() => parseRedirectStatus('3.01e2')).toThrow('Redirect status must be one of');
+      expect(() => parseRedirectStatus('')).toThrow('Redirect status must be one of');
+    });
+  });
+
+  describe('parseStatusConfig', () => {
+    it('defaults to 302 without configuration', () => {
+      const config = parseStatusConfig({});
+      expect(config.defaultStatus).toBe(DEFAULT_REDIRECT_STATUS);
+      expect(config.statusByKey.size).toBe(0);
+    });
+
+    it('parses global default and per-subdomain overrides', () => {
+      const config = parseStatusConfig({ REDIRECT_STATUS: '301', STATUS_API: '308', STATUS_FOO_BAR: '307' });
+      expect(config.defaultStatus).toBe(301);
+      expect(statusForSubdomain('api', config)).toBe(308);
+      expect(statusForSubdomain('foo.bar', config)).toBe(307);
+      expect(statusForSubdomain('other', config)).toBe(301);
+    });
+
+    it('collects invalid codes in errors', () => {
+      const errors = [];
+      const config = parseStatusConfig({ REDIRECT_STATUS: '200', STATUS_API: '418' }, errors);
+      expect(config.defaultStatus).toBe(DEFAULT_REDIRECT_STATUS);
+      expect(statusForSubdomain('api', config)).toBe(DEFAULT_REDIRECT_STATUS);
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toContain('REDIRECT_STATUS');
+      expect(errors[1]).toContain('STATUS_API');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { invalidateConfigCache } from '../src/index.js';
+import * as ratelimit from '../src/ratelimit.js';
+import { getRateLimiter } from '../src/ratelimiter.js';
+import { parseRateLimitConfig } from '../src/ratelimit-policy.js';
+import { parseRedirectConfig } from '../src/config.js';
+import {
+  ALL_LINKS_SCOPE, DEFAULT_PER_CLIENT_POLICY, DEFAULT_PER_USER_POLICY, stuffingCounters, usernameCounterId, limitedCounter, registerCounterFailures
+} from '../src/stuffing.js';
+import { visitWorker, workerEnv } from './helpers/worker.js';
+
+describe('stuffing.js', () => {
+  beforeEach(() => {
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+  });
+
+  it('counts per client and per hashed username', async () => {
+    const counters = await stuffingCounters('1.2.3.4', 'alice');
+    const userId = await usernameCounterId('alice');
+    expect(counters).toEqual([
+      { clientId: '1.2.3.4', scope: ALL_LINKS_SCOPE, policy: DEFAULT_PER_CLIENT_POLICY },
+      { clientId: userId, scope: ALL_LINKS_SCOPE, policy: DEFAULT_PER_USER_POLICY, failures: { clientId: '1.2.3.4', scope: userId, policy: DEFAULT_PER_USER_POLICY } }
+    ]);
+    expect(counters[1].clientId).toMatch(/^user:[0-9a-f]{64}$/);
+    expect(await usernameCounterId('Alice')).not.toBe(counters[1].clientId);
+  });
+
+  it('skips disabled counters and missing usernames', async () => {
+    expect(await stuffingCounters('1.2.3.4', '')).toHaveLength(1);
+    expect(await stuffingCounters('1.2.3.4', 'alice', { perClient: null, perUser: DEFAULT_PER_USER_POLICY })).toHaveLength(1);
+    expect(await stuffingCounters('1.2.3.4', 'alice', { perClient: null, perUser: null })).toEqual([]);
+  });
+
+  it('reports the first counter over its limit', async () => {
+    const limiter = getRateLimiter({});
+    const policy = { ...DEFAULT_PER_USER_POLICY, maxAttempts: 2 };
+    const counters = await stuffingCounters('1.2.3.4', 'alice', { perClient: DEFAULT_PER_CLIENT_POLICY, perUser: policy });
+    await registerCounterFailures(limiter, counters);
+    expect(await limitedCounter(limiter, counters)).toBeNull();
+    await registerCounterFailures(limiter, counters);
+    expect(await limitedCounter(limiter, counters)).toBe(counters[1]);
+
+    // The username is over its limit, but this client has not failed for it
+    const others = await stuffingCounters('5.6.7.8', 'alice', { perClient: DEFAULT_PER_CLIENT_POLICY, perUser: policy });
+    expect(await limitedCounter(limiter, others)).toBeNull();
+  });
+
+  it('reads the counter policies', () => {
+    const config = parseRateLimitConfig({ RATE_LIMIT_PER_CLIENT: 'false', RATE_LIMIT_PER_USER: '{"maxAttempts":20,"window":900}' });
+    expect(config.perClient).toBeNull();
+    expect(config.perUser).toEqual({ ...DEFAULT_PER_USER_POLICY, maxAttempts: 20, windowMs: 900_000 });
+    expect(parseRateLimitConfig({}).perClient).toEqual(DEFAULT_PER_CLIENT_POLICY);
+
+    const errors = [];
+    parseRateLimitConfig({ RATE_LIMIT_PER_CLIENT: '{"perUser":false}', RATE_LIMIT_PER_USER: 'true' }, undefined, errors);
+    expect(errors).toEqual(['RATE_LIMIT_PER_CLIENT.perUser: unknown property', 'RATE_LIMIT_PER_USER: must be an object']);
+  });
+
+  it('accepts the counter policies only in the global REDIRECT_CONFIG policy', () => {
+    const config = parseRedirectConfig(JSON.stringify({ rateLimit: { maxAttempts: 5, perUser: { maxAttempts: 10 }, perClient: false } }));
+    expect(config.rateLimit).toEqual({ maxAttempts: 5, perUser: { maxAttempts: 10 }, perClient: false });
+    expect(() => parseRedirectConfig(JSON.stringify({
+      links: { foo: { target: 'https://foo.example.net/', rateLimit: { perUser: false } } }
+    }))).toThrow('links.foo.rateLimit.perUser: unknown property');
+  });
+});
+
+describe('Credential stuffing counters in the worker', () => {
+  let env;
+
+  beforeEach(() => {
+    invalidateConfigCache();
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    env = workerEnv({
+      PROTECTED_SUBDOMAINS: 'a,b,c,d,e',
+      LINK_A: 'https://a.example.net/',
+      LINK_B: 'https://b.example.net/',
+      LINK_C: 'https://c.example.net/',
+      LINK_D: 'https://d.example.net/',
+      LINK_E: 'https://e.example.net/',
+      FALLBACK_USER: 'alice',
+      FALLBACK_PASS: 'pw',
+      RATE_LIMIT_PER_CLIENT: '{"maxAttempts":3}',
+      RATE_LIMIT_PER_USER: '{"maxAttempts":4}'
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function visit(subdomain, ip, user, pass) {
+    return visitWorker(env, `${subdomain}.example.com`, { ip, auth: user !== undefined && [user, pass] });
+  }
+
+  it('limits one client spraying many links', async () => {
+    for (const subdomain of ['a', 'b', 'c']) expect((await visit(subdomain, '203.0.113.80', `user-${subdomain}`, 'guess')).status).toBe(401);
+    const limited = await visit('d', '203.0.113.80', 'alice', 'pw');
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect((await visit('d', '203.0.113.81', 'alice', 'pw')).status).toBe(302);
+  });
+
+  it('limits one username tried from many clients that failed for it', async () => {
+    for (let i = 0; i < 4; i++) expect((await visit('a', `198.51.100.${i}`, 'alice', `guess${i}`)).status).toBe(401);
+    expect((await visit('b', '198.51.100.0', 'alice', 'pw')).status).toBe(429);
+    expect((await visit('b', '198.51.100.0', 'bob', 'guess')).status).toBe(401);
+
+    // A new client gets one try, then it is blocked for that username too
+    expect((await visit('b', '198.51.100.98', 'alice', 'guess')).status).toBe(401);
+    expect((await visit('b', '198.51.100.98', 'alice', 'pw')).status).toBe(429);
+  });
+
+  it('does not lock the owner of a username out from a client that has not failed', async () => {
+    for (let i = 0; i < 6; i++) await visit('a', `198.51.100.${i}`, 'alice', `guess${i}`);
+    expect((await visit('b', '198.51.100.99', 'alice', 'pw')).status).toBe(302);
+  });
+
+  it('does not count visits without credentials or store usernames in plaintext', async () => {
+    for (let i = 0; i < 5; i++) expect((await visit('a', '203.0.113.82')).status).toBe(401);
+    expect((await visit('b', '203.0.113.82', 'secret-user', 'guess')).status).toBe(401);
+    const keys = [...ratelimit.RATE_LIMIT_BUCKET.keys()];
+    expect(keys).toContain(`${await usernameCounterId('secret-user')}::*`);
+    expect(keys.join()).not.toContain('secret-user');
+    expect(console.log).not.toHaveBeenCalled();
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('can be disabled', async () => {
+    env.RATE_LIMIT_PER_CLIENT = 'false';
+    env.RATE_LIMIT_PER_USER = 'false';
+    for (const subdomain of ['a', 'b', 'c', 'd']) await visit(subdomain, '203.0.113.83', 'alice', 'guess');
+    expect((await visit('e', '203.0.113.83', 'alice', 'pw')).status).toBe(302);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { isTemplate, templateVariables, renderTarget } from '../src/target.js';
+
+function varsFor(href, subdomain = 'docs') {
+  return templateVariables(new URL(href), subdomain);
+}
+
+describe('target.js', () => {
+  describe('isTemplate', () => {
+    it('detects placeholders and the append marker', () => {
+      expect(isTemplate('https://example.net/{path}')).toBe(true);
+      expect(isTemplate('https://example.net/*')).toBe(true);
+      expect(isTemplate('https://example.net/')).toBe(false);
+      expect(isTemplate(undefined)).toBe(false);
+    });
+  });
+
+  describe('templateVariables', () => {
+    it('extracts encoded path, query, host and subdomain', () => {
+      const vars = varsFor('https://docs.example.com/guide/setup?x=1&y=2');
+      expect(vars).toEqual({ path: 'guide/setup', query: 'x=1&y=2', host: 'docs.example.com', subdomain: 'docs' });
+    });
+
+    it('re-encodes path segments', () => {
+      expect(varsFor('https://docs.example.com/a%2Fb/c@d/e:f').path).toBe('a%2Fb/c%40d/e%3Af');
+    });
+  });
+
+  describe('renderTarget', () => {
+    it('returns plain targets unchanged', () => {
+      expect(renderTarget('https://target.example.net', varsFor('https://docs.example.com/x'))).toBe('https://target.example.net');
+    });
+
+    it('substitutes placeholders', () => {
+      const vars = varsFor('https://docs.example.com/guide/setup?x=1');
+      expect(renderTarget('https://new.example.net/{subdomain}/{path}?{query}', vars))
+        .toBe('https://new.example.net/docs/guide/setup?x=1');
+      expect(renderTarget('https://new.example.net/?from={host}', vars))
+        .toBe('https://new.example.net/?from=docs.example.com');
+    });
+
+    it('drops the delimiter of an empty query placeholder', () => {
+      const vars = varsFor('https://docs.example.com/guide');
+      expect(renderTarget('https://new.example.net/v2/{path}?{query}', vars)).toBe('https://new.example.net/v2/guide');
+      expect(renderTarget('https://new.example.net/?ref=old&{query}', vars)).toBe('https://new.example.net/?ref=old');
+      expect(renderTarget('https://new.example.net/?{query}&ref=old', vars)).toBe('https://new.example.net/?ref=old');
+      expect(renderTarget('https://new.example.net/{path}?{query}#top', vars)).toBe('https://new.example.net/guide#top');
+    });
+
+    it('allows hostname placeholders in the host part', () => {
+      const vars = varsFor('https://docs.example.com/');
+      expect(renderTarget('https://{subdomain}.pages.example.net/', vars)).toBe('https://docs.pages.example.net/');
+    });
+
+    it('appends path and query in append mode', () => {
+      const vars = varsFor('https://docs.example.com/guide/setup?x=1');
+      expect(renderTarget('https://new.example.net/docs/*', vars)).toBe('https://new.example.net/docs/guide/setup?x=1');
+      expect(renderTarget('https://new.example.net/docs*', vars)).toBe('https://new.example.net/docs/guide/setup?x=1');
+      expect(renderTarget('https://new.example.net/docs/?ref=old*', vars)).toBe('https://new.example.net/docs/guide/setup?ref=old&x=1');
+    });
+
+    it('keeps the target as-is in append mode for the root path', () => {
+      expect(renderTarget('https://new.example.net/docs/*', varsFor('https://docs.example.com/'))).toBe('https://new.example.net/docs/');
+    });
+
+    it('leaves unknown placeholders untouched', () => {
+      expect(renderTarget('https://new.example.net/{nope}/{path}', varsFor('https://docs.example.com/a')))
+        .toBe('https://new.example.net/%7Bnope%7D/a');
+    });
+
+    it('rejects path values that would change the origin', () => {
+      const vars = varsFor('https://docs.example.com/evil.example.org');
+      expect(renderTarget('https://new.example.net{path}', vars)).toBeNull();
+      expect(renderTarget('https://{path}/', vars)).toBeNull();
+    });
+
+    it('rejects userinfo smuggling through the path', () => {
+      const vars = varsFor('https://docs.example.com/user@evil.example.org');
+      expect(renderTarget('https://new.example.net{path}', vars)).toBeNull();
+    });
+
+    it('keeps protocol-relative paths on the target origin', () => {
+      const rendered = renderTarget('https://new.example.net/*', varsFor('https://docs.example.com//evil.example.org/x'));
+      expect(new URL(rendered).origin).toBe('https://new.example.net');
+    });
+
+    it('rejects non-http(s) templates', () => {
+      expect(renderTarget('javascript:alert({path})', varsFor('https://docs.example.com/x'))).toBeNull();
+    });
+  });
+});
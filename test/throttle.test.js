@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { invalidateConfigCache } from '../src/index.js';
+import {
+  THROTTLE_BUCKETS, MAX_THROTTLE_KEYS, DEFAULT_THROTTLE_BURST, takeToken, throttleSettingsFromEnv, parseThrottleSettings
+} from '../src/throttle.js';
+import { visitWorker, workerEnv } from './helpers/worker.js';
+
+const NOW = 1_700_000_000_000;
+
+describe('throttle.js', () => {
+  const settings = { rate: 0.5, burst: 3, perSubdomain: false };
+
+  beforeEach(() => {
+    THROTTLE_BUCKETS.clear();
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('allows a burst, then refills at the configured rate', () => {
+    for (let i = 0; i < 3; i++) expect(takeToken('1.2.3.4', 'foo.example.com', settings)).toBe(0);
+    expect(takeToken('1.2.3.4', 'foo.example.com', settings)).toBe(2);
+    Date.now.mockReturnValue(NOW + 1_000);
+    expect(takeToken('1.2.3.4', 'foo.example.com', settings)).toBe(1);
+    Date.now.mockReturnValue(NOW + 2_000);
+    expect(takeToken('1.2.3.4', 'foo.example.com', settings)).toBe(0);
+    // Never more than the burst, however long the client was idle
+    Date.now.mockReturnValue(NOW + 3_600_000);
+    for (let i = 0; i < 3; i++) expect(takeToken('1.2.3.4', 'foo.example.com', settings)).toBe(0);
+    expect(takeToken('1.2.3.4', 'foo.example.com', settings)).toBeGreaterThan(0);
+  });
+
+  it('shares a bucket across hosts unless perSubdomain is set', () => {
+    for (let i = 0; i < 3; i++) takeToken('1.2.3.4', `sub${i}.example.com`, settings);
+    expect(takeToken('1.2.3.4', 'other.example.com', settings)).toBeGreaterThan(0);
+    expect(takeToken('5.6.7.8', 'other.example.com', settings)).toBe(0);
+
+    const perSubdomain = { ...settings, perSubdomain: true };
+    for (let i = 0; i < 3; i++) takeToken('1.2.3.4', 'foo.example.com', perSubdomain);
+    expect(takeToken('1.2.3.4', 'foo.example.com', perSubdomain)).toBeGreaterThan(0);
+    expect(takeToken('1.2.3.4', 'bar.example.com', perSubdomain)).toBe(0);
+  });
+
+  it('evicts the least recently used bucket when full', () => {
+    for (let i = 0; i < MAX_THROTTLE_KEYS; i++) takeToken(`client-${i}`, 'foo.example.com', settings);
+    takeToken('client-0', 'foo.example.com', settings);
+    takeToken('new-client', 'foo.example.com', settings);
+    expect(THROTTLE_BUCKETS.size).toBe(MAX_THROTTLE_KEYS);
+    expect(THROTTLE_BUCKETS.has('client-0')).toBe(true);
+    expect(THROTTLE_BUCKETS.has('client-1')).toBe(false);
+  });
+
+  it('reads and validates the settings', () => {
+    expect(throttleSettingsFromEnv({})).toBeNull();
+    expect(throttleSettingsFromEnv({ THROTTLE_RATE: '2.5', THROTTLE_PER_SUBDOMAIN: 'true' }))
+      .toEqual({ rate: 2.5, burst: DEFAULT_THROTTLE_BURST, perSubdomain: true });
+
+    const errors = [];
+    throttleSettingsFromEnv({ THROTTLE_RATE: 'fast', THROTTLE_BURST: '1.5', THROTTLE_PER_SUBDOMAIN: 'yes' }, errors);
+    parseThrottleSettings({ rate: 0, burst: 10, perHost: true }, 'throttle', errors);
+    expect(errors).toEqual([
+      'THROTTLE_RATE: must be a positive number',
+      'THROTTLE_BURST: must be a positive integer',
+      'THROTTLE_PER_SUBDOMAIN: must be "true" or "false"',
+      'throttle.perHost: unknown property',
+      'throttle.rate: must be a positive number'
+    ]);
+  });
+});
+
+describe('Throttling in the worker', () => {
+  let env;
+
+  beforeEach(() => {
+    invalidateConfigCache();
+    THROTTLE_BUCKETS.clear();
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    env = workerEnv({
+      LINK_FOO: 'https://foo.example.net/',
+      THROTTLE_RATE: '1',
+      THROTTLE_BURST: '2'
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function visit(hostname, ip = '203.0.113.70') {
+    return visitWorker(env, hostname, { ip });
+  }
+
+  it('throttles every request, including unknown links', async () => {
+    expect((await visit('foo.example.com')).status).toBe(302);
+    expect((await visit('missing.example.com')).status).toBe(404);
+    const throttled = await visit('foo.example.com');
+    expect(throttled.status).toBe(429);
+    expect(await throttled.text()).toBe('Too many requests');
+    expect(throttled.headers.get('Retry-After')).toBe('1');
+    expect(throttled.headers.get('X-Content-Type-Options')).toBe('nosniff');
+    expect((await visit('foo.example.com', '203.0.113.71')).status).toBe(302);
+  });
+
+  it('uses the REDIRECT_CONFIG settings', async () => {
+    env.REDIRECT_CONFIG = JSON.stringify({ throttle: { rate: 1, burst: 1, perSubdomain: true } });
+    expect((await visit('foo.example.com')).status).toBe(302);
+    expect((await visit('foo.example.com')).status).toBe(429);
+    expect((await visit('bar.example.com')).status).toBe(404);
+  });
+
+  it('is disabled without THROTTLE_RATE', async () => {
+    delete env.THROTTLE_RATE;
+    for (let i = 0; i < 5; i++) expect((await visit('foo.example.com')).status).toBe(302);
+  });
+
+  it('fails closed on invalid settings', async () => {
+    env.THROTTLE_RATE = '-1';
+    expect((await visit('foo.example.com')).status).toBe(500);
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker from '../src/index.js';
+import * as ratelimit from '../src/ratelimit.js';
+import {
+  createAccessToken,
+  verifyAccessToken,
+  extractAccessToken,
+  parseDuration,
+  MAX_ACCESS_TOKEN_TTL_SECONDS
+} from '../src/tokens.js';
+import { base64Encode } from '../src/base64.js';
+
+const SECRET = 'token-secret';
+const NOW = 1_700_000_000_000;
+
+describe('tokens.js', () => {
+  beforeEach(() => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('createAccessToken / verifyAccessToken', () => {
+    it('round-trips a token with its payload', async () => {
+      const { token, payload } = await createAccessToken(SECRET, 'foo', 3600, 'contractor');
+      expect(payload).toEqual({ sub: 'foo', exp: NOW / 1000 + 3600, label: 'contractor' });
+      expect(token).toMatch(/^[A-Za-z0-9_-]+\.[0-9a-f]{64}$/);
+      expect(await verifyAccessToken(SECRET, token, 'foo')).toEqual(payload);
+    });
+
+    it('rejects tokens for other links, other secrets or after expiry', async () => {
+      const { token } = await createAccessToken(SECRET, 'foo', 60);
+      expect(await verifyAccessToken(SECRET, token, 'bar')).toBeNull();
+      expect(await verifyAccessToken('other-secret', token, 'foo')).toBeNull();
+      expect(await verifyAccessToken(undefined, token, 'foo')).toBeNull();
+
+      Date.now.mockReturnValue(NOW + 60 * 1000);
+      expect(await verifyAccessToken(SECRET, token, 'foo')).toBeNull();
+    });
+
+    it('rejects tampered and malformed tokens', async () => {
+      const { token } = await createAccessToken(SECRET, 'foo', 60);
+      const [, signature] = token.split('.');
+      const forged = base64Encode(JSON.stringify({ sub: 'foo', exp: NOW / 1000 + 999999 })).replace(/=+$/, '');
+      expect(await verifyAccessToken(SECRET, `${forged}.${signature}`, 'foo')).toBeNull();
+      expect(await verifyAccessToken(SECRET, 'not-a-token', 'foo')).toBeNull();
+      expect(await verifyAccessToken(SECRET, '', 'foo')).toBeNull();
+      expect(await verifyAccessToken(SECRET, `${'a'.repeat(2000)}.${signature}`, 'foo')).toBeNull();
+    });
+
+    it('validates mint parameters', async () => {
+      await expect(createAccessToken(undefined, 'foo', 60)).rejects.toThrow('secret');
+      await expect(createAccessToken(SECRET, '', 60)).rejects.toThrow('Link');
+      await expect(createAccessToken(SECRET, 'foo', 0)).rejects.toThrow('TTL');
+      await expect(createAccessToken(SECRET, 'foo', MAX_ACCESS_TOKEN_TTL_SECONDS + 1)).rejects.toThrow('TTL');
+      await expect(createAccessToken(SECRET, 'foo', NaN)).rejects.toThrow('TTL');
+      await expect(createAccessToken(SECRET, 'foo', 60, 'x'.repeat(101))).rejects.toThrow('Label');
+    });
+  });
+
+  describe('extractAccessToken', () => {
+    it('removes the query parameter and keeps the rest of the query as is', () => {
+      const { accessToken, url } = extractAccessToken(new URL('https://foo.example.com/docs?a=b%20c&access_token=abc.def&x=1'));
+      expect(accessToken).toBe('abc.def');
+      expect(url.href).toBe('https://foo.example.com/docs?a=b%20c&x=1');
+    });
+
+    it('removes a leading token path segment', () => {
+      const { accessToken, url } = extractAccessToken(new URL('https://foo.example.com/_token/abc.def/docs/page?q=1'));
+      expect(accessToken).toBe('abc.def');
+      expect(url.pathname).toBe('/docs/page');
+      expect(url.search).toBe('?q=1');
+
+      expect(extractAccessToken(new URL('https://foo.example.com/_token/abc.def')).url.pathname).toBe('/');
+    });
+
+    it('returns undefined without a token', () => {
+      const original = new URL('https://foo.example.com/docs?q=1');
+      const { accessToken, url } = extractAccessToken(original);
+      expect(accessToken).toBeUndefined();
+      expect(url.href).toBe(original.href);
+    });
+  });
+
+  it('parses durations', () => {
+    expect(parseDuration('3600')).toBe(3600);
+    expect(parseDuration(120)).toBe(120);
+    expect(parseDuration('90m')).toBe(5400);
+    expect(parseDuration('48h')).toBe(172800);
+    expect(parseDuration('7d')).toBe(604800);
+    expect(parseDuration('1w')).toBeNaN();
+    expect(parseDuration(undefined)).toBeNaN();
+  });
+});
+
+describe('Access tokens in the worker', () => {
+  const env = {
+    ALLOWED_HOST_SUFFIXES: '.example.com',
+    PROTECTED_SUBDOMAINS: 'secret',
+    LINK_SECRET: 'https://secret.example.net*',
+    USER_SECRET: 'alice',
+    PASS_SECRET: 'pw',
+    ACCESS_TOKEN_SECRET: SECRET,
+    ADMIN_HOST: 'admin.example.com',
+    ADMIN_TOKEN: 'admin-token'
+  };
+  const clientHeaders = { 'CF-Connecting-IP': '203.0.113.7' };
+
+  beforeEach(() => {
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+  });
+
+  it('redirects with a valid token without forwarding it', async () => {
+    const { token } = await createAccessToken(SECRET, 'secret', 3600);
+
+    const byQuery = await worker.fetch(new Request(`https://secret.example.com/docs?access_token=${token}&page=2`, { headers: clientHeaders }), env);
+    expect(byQuery.status).toBe(302);
+    expect(byQuery.headers.get('Location')).toBe('https://secret.example.net/docs?page=2');
+
+    const byPath = await worker.fetch(new Request(`https://secret.example.com/_token/${token}/docs`, { headers: clientHeaders }), env);
+    expect(byPath.status).toBe(302);
+    expect(byPath.headers.get('Location')).toBe('https://secret.example.net/docs');
+  });
+
+  it('binds tokens for pattern links to the rule', async () => {
+    const patternEnv = { ...env, PROTECTED_SUBDOMAINS: '*.preview', LINK_PATTERNS: JSON.stringify([{ match: '*.preview', target: 'https://{1}.pages.example.net/' }]) };
+    const { token } = await createAccessToken(SECRET, 'pattern:*.preview', 3600);
+    const response = await worker.fetch(new Request(`https://feature.preview.example.com/?access_token=${token}`, { headers: clientHeaders }), patternEnv);
+    expect(response.status).toBe(302);
+    expect(response.headers.get('Location')).toBe('https://feature.pages.example.net/');
+
+    const { token: subdomainToken } = await createAccessToken(SECRET, 'feature.preview', 3600);
+    const rejected = await worker.fetch(new Request(`https://feature.preview.example.com/?access_token=${subdomainToken}`, { headers: clientHeaders }), patternEnv);
+    expect(rejected.status).toBe(401);
+  });
+
+  it('works for links without Basic Auth credentials', async () => {
+    const { USER_SECRET, PASS_SECRET, ...withoutCredentials } = env;
+    const { token } = await createAccessToken(SECRET, 'secret', 3600);
+    const response = await worker.fetch(new Request(`https://secret.example.com/?access_token=${token}`), withoutCredentials);
+    expect(response.status).toBe(302);
+  });
+
+  it('falls back to Basic Auth and counts invalid tokens as failed attempts', async () => {
+    const { token } = await createAccessToken(SECRET, 'other', 3600);
+
+    const invalid = await worker.fetch(new Request(`https://secret.example.com/?access_token=${token}`, { headers: clientHeaders }), env);
+    expect(invalid.status).toBe(401);
+    expect(invalid.headers.get('WWW-Authenticate')).toContain('Basic');
+    expect(ratelimit.RATE_LIMIT_BUCKET.get(ratelimit.makeRateLimitKey('203.0.113.7', 'secret')).failures).toHaveLength(1);
+
+    const withBasic = await worker.fetch(new Request(`https://secret.example.com/?access_token=${token}`, {
+      headers: { ...clientHeaders, Authorization: `Basic ${base64Encode('alice:pw')}` }
+    }), env);
+    expect(withBasic.status).toBe(302);
+
+    for (let i = 0; i < ratelimit.MAX_FAILED_ATTEMPTS; i++) {
+      await worker.fetch(new Request('https://secret.example.com/?access_token=bogus', { headers: clientHeaders }), env);
+    }
+    const { token: valid } = await createAccessToken(SECRET, 'secret', 3600);
+    const limited = await worker.fetch(new Request(`https://secret.example.com/?access_token=${valid}`, { headers: clientHeaders }), env);
+    expect(limited.status).toBe(429);
+  });
+
+  it('leaves access_token untouched without ACCESS_TOKEN_SECRET', async () => {
+    const { ACCESS_TOKEN_SECRET, ...withoutSecret } = env;
+    const response = await worker.fetch(new Request('https://public.example.com/?access_token=x'), {
+      ...withoutSecret,
+      LINK_PUBLIC: 'https://public.example.net/?{query}'
+    });
+    expect(response.headers.get('Location')).toBe('https://public.example.net/?access_token=x');
+  });
+
+  it('mints tokens through the admin API', async () => {
+    const request = body => new Request('https://admin.example.com/tokens', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer admin-token' },
+      body: JSON.stringify(body)
+    });
+
+    const response = await worker.fetch(request({ link: 'secret', ttl: '48h', label: 'contractor' }), env);
+    expect(response.status).toBe(201);
+    const body = await response.json();
+    expect(body).toMatchObject({ link: 'secret', label: 'contractor' });
+    expect(await verifyAccessToken(SECRET, body.token, 'secret')).not.toBeNull();
+
+    const invalid = await worker.fetch(request({ link: 'secret', ttl: 'forever' }), env);
+    expect(invalid.status).toBe(400);
+
+    const { ACCESS_TOKEN_SECRET, ...withoutSecret } = env;
+    expect((await worker.fetch(request({ link: 'secret', ttl: 60 }), withoutSecret)).status).toBe(501);
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import worker, { invalidateConfigCache, RateLimiterDurableObject } from '../src/index.js';
+import * as ratelimit from '../src/ratelimit.js';
+import { base32Decode, isTotpSecret, totpCode, checkTotp, verifyTotp, splitTotpCode, TOTP_STEP_SECONDS } from '../src/totp.js';
+import { authenticateCredential } from '../src/auth.js';
+import { base64Encode } from '../src/base64.js';
+import { parseRedirectConfig } from '../src/config.js';
+import { createDurableObjectNamespace } from './helpers/durable-object.js';
+
+// RFC 6238 test secret: ASCII "12345678901234567890"
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const NOW = 1_111_111_111_000;
+
+async function codeAt(timeMs, secret = SECRET) {
+  return totpCode(base32Decode(secret), Math.floor(timeMs / 1000 / TOTP_STEP_SECONDS));
+}
+
+describe('totp.js', () => {
+  beforeEach(() => {
+    ratelimit.CLAIMED_VALUES.clear();
+  });
+
+  it('decodes base32 secrets', () => {
+    expect(new TextDecoder().decode(base32Decode(SECRET))).toBe('12345678901234567890');
+    expect(base32Decode('gezd gnbv-gy3t qojq')).toEqual(base32Decode('GEZDGNBVGY3TQOJQ'));
+    expect(base32Decode('GEZDGNBVGY3TQOJQ====')).toEqual(base32Decode('GEZDGNBVGY3TQOJQ'));
+    expect(base32Decode('GEZ1')).toBeNull();
+    expect(isTotpSecret(SECRET)).toBe(true);
+    expect(isTotpSecret('GEZDGNBV')).toBe(false);
+    expect(isTotpSecret('GEZDGNBVGY3TQOJ!')).toBe(false);
+  });
+
+  it('matches the RFC 6238 SHA-1 test vectors', async () => {
+    expect(await codeAt(59_000)).toBe('287082');
+    expect(await codeAt(1_111_111_109_000)).toBe('081804');
+    expect(await codeAt(1_111_111_111_000)).toBe('050471');
+    expect(await codeAt(1_234_567_890_000)).toBe('005924');
+    expect(await codeAt(2_000_000_000_000)).toBe('279037');
+  });
+
+  it('accepts codes within one step of clock skew', async () => {
+    const step = TOTP_STEP_SECONDS * 1000;
+    expect(await verifyTotp(SECRET, await codeAt(NOW - step), { timeMs: NOW })).toBe(true);
+    expect(await verifyTotp(SECRET, await codeAt(NOW + step), { timeMs: NOW })).toBe(true);
+    ratelimit.CLAIMED_VALUES.clear();
+    expect(await verifyTotp(SECRET, await codeAt(NOW - 2 * step), { timeMs: NOW })).toBe(false);
+    expect(await verifyTotp(SECRET, await codeAt(NOW + 2 * step), { timeMs: NOW })).toBe(false);
+    expect(await verifyTotp(SECRET, '12345', { timeMs: NOW })).toBe(false);
+    expect(await verifyTotp(SECRET, 'abcdef', { timeMs: NOW })).toBe(false);
+  });
+
+  it('accepts each code only once', async () => {
+    const code = await codeAt(NOW);
+    expect(await verifyTotp(SECRET, code, { timeMs: NOW })).toBe(true);
+    expect(await verifyTotp(SECRET, code, { timeMs: NOW })).toBe(false);
+    // Earlier steps are rejected once a later one was used
+    expect(await verifyTotp(SECRET, await codeAt(NOW - TOTP_STEP_SECONDS * 1000), { timeMs: NOW })).toBe(false);
+    expect(await verifyTotp(SECRET, await codeAt(NOW + TOTP_STEP_SECONDS * 1000), { timeMs: NOW + TOTP_STEP_SECONDS * 1000 })).toBe(true);
+  });
+
+  it('reports codes that were already used', async () => {
+    const code = await codeAt(NOW);
+    expect(await checkTotp(SECRET, code, { timeMs: NOW })).toEqual({ valid: true, replayed: false });
+    expect(await checkTotp(SECRET, code, { timeMs: NOW })).toEqual({ valid: false, replayed: true });
+    expect(await checkTotp(SECRET, await codeAt(NOW - TOTP_STEP_SECONDS * 1000), { timeMs: NOW })).toEqual({ valid: false, replayed: true });
+    expect(await checkTotp(SECRET, '000000', { timeMs: NOW })).toEqual({ valid: false, replayed: false });
+  });
+
+  it('splits codes appended to passwords', () => {
+    expect(splitTotpCode('secret123456')).toEqual({ pass: 'secret', code: '123456' });
+    expect(splitTotpCode('123456')).toBeNull();
+    expect(splitTotpCode('secret12345x')).toBeNull();
+  });
+
+  it('requires the password and the code for users with a secret', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+    const expected = [{ user: 'alice', pass: 'pw', totp: SECRET }];
+    const code = await codeAt(NOW);
+    expect((await authenticateCredential('alice', 'pw', expected)).credential).toBeNull();
+    expect((await authenticateCredential('alice', 'wrong' + code, expected)).credential).toBeNull();
+    expect((await authenticateCredential('alice', 'pw' + code, expected)).credential).toBe(expected[0]);
+    expect((await authenticateCredential('alice', 'pw' + code, expected)).credential).toBeNull();
+    vi.restoreAllMocks();
+  });
+
+  it('reports replayed codes only with the right password', async () => {
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+    const expected = [{ user: 'alice', pass: 'pw', totp: SECRET }];
+    const code = await codeAt(NOW);
+    expect(await authenticateCredential('alice', 'pw' + code, expected)).toEqual({ credential: expected[0], replayed: false });
+    expect(await authenticateCredential('alice', 'pw' + code, expected)).toEqual({ credential: null, replayed: true });
+    expect(await authenticateCredential('alice', 'wrong' + code, expected)).toEqual({ credential: null, replayed: false });
+    vi.restoreAllMocks();
+  });
+
+  it('validates secrets in the configuration', () => {
+    expect(() => parseRedirectConfig(JSON.stringify({
+      links: { foo: { target: 'https://foo.example.net/', users: [{ user: 'alice', pass: 'pw', totp: 'short' }] } }
+    }))).toThrow('links.foo.users[0].totp: must be a base32 secret of at least 16 characters');
+  });
+});
+
+describe('TOTP in the worker', () => {
+  let env;
+  const clientHeaders = { 'CF-Connecting-IP': '203.0.113.30' };
+
+  beforeEach(() => {
+    invalidateConfigCache();
+    ratelimit.RATE_LIMIT_BUCKET.clear();
+    ratelimit.CLAIMED_VALUES.clear();
+    vi.spyOn(Date, 'now').mockReturnValue(NOW);
+    env = {
+      ALLOWED_HOST_SUFFIXES: '.example.com',
+      PROTECTED_SUBDOMAINS: 'vault',
+      LINK_VAULT: 'https://vault.example.net/',
+      USERS_VAULT: JSON.stringify([{ user: 'alice', pass: 'pw', totp: SECRET }])
+    };
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function basic(pass) {
+    return worker.fetch(new Request('https://vault.example.com/', {
+      headers: { ...clientHeaders, Authorization: 'Basic ' + base64Encode(`alice:${pass}`) }
+    }), env);
+  }
+
+  it('accepts the code appended to the Basic Auth password', async () => {
+    expect((await basic('pw')).status).toBe(401);
+    expect((await basic('pw' + await codeAt(NOW))).status).toBe(302);
+    // Replaying the same code fails
+    expect((await basic('pw' + await codeAt(NOW))).status).toBe(401);
+  });
+
+  it('does not count a replayed code with the right password as a failed attempt', async () => {
+    const code = await codeAt(NOW);
+    expect((await basic('pw' + code)).status).toBe(302);
+
+    // A browser resending the cached prompt credentials is asked again, but never locked out
+    const spy = vi.spyOn(ratelimit, 'registerFailedAttempt');
+    for (let i = 0; i <= ratelimit.MAX_FAILED_ATTEMPTS; i++) {
+      expect((await basic('pw' + code)).status).toBe(401);
+    }
+    expect(spy).not.toHaveBeenCalled();
+    expect((await basic('wrong' + code)).status).toBe(401);
+    expect(spy).toHaveBeenCalledWith('203.0.113.30', 'vault', ratelimit.DEFAULT_RATE_LIMIT_POLICY);
+
+    Date.now.mockReturnValue(NOW + TOTP_STEP_SECONDS * 1000);
+    expect((await basic('pw' + await codeAt(NOW + TOTP_STEP_SECONDS * 1000))).status).toBe(302);
+  });
+
+  it('rejects codes replayed on another isolate with RATE_LIMITER bound', async () => {
+    env.RATE_LIMITER = createDurableObjectNamespace(RateLimiterDurableObject);
+    const code = await codeAt(NOW);
+    expect((await basic('pw' + code)).status).toBe(302);
+    // A fresh isolate starts without claimed values of its own
+    ratelimit.CLAIMED_VALUES.clear();
+    expect((await basic('pw' + code)).status).toBe(401);
+  });
+
+  it('counts wrong codes as failed attempts', async () => {
+    const spy = vi.spyOn(ratelimit, 'registerFailedAttempt');
+    await basic('pw000000');
+    expect(spy).toHaveBeenCalledWith('203.0.113.30', 'vault', ratelimit.DEFAULT_RATE_LIMIT_POLICY);
+  });
+
+  it('accepts the code from the login form', async () => {
+    env.SESSION_SECRET = 'session-secret';
+    const login = fields => worker.fetch(new Request('https://vault.example.com/_auth/login', {
+      method: 'POST',
+      headers: { ...clientHeaders, 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ user: 'alice', return: '/', ...fields }).toString()
+    }), env);
+
+    const form = await (await worker.fetch(new Request('https://vault.example.com/', { headers: clientHeaders }), env)).text();
+    expect(form).toContain('name="code"');
+
+    expect((await login({ pass: 'pw', code: '' })).status).toBe(401);
+    const response = await login({ pass: 'pw', code: await codeAt(NOW) });
+    expect(response.status).toBe(303);
+
+    const cookie = response.headers.get('Set-Cookie').split(';')[0];
+    const visit = await worker.fetch(new Request('https://vault.example.com/', { headers: { ...clientHeaders, Cookie: cookie } }), env);
+    expect(visit.status).toBe(302);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { getClientIdFromCloudflare, respond, setHeaders } from '../src/utils.js';
+import { getClientIdFromCloudflare, respond, setHeaders, isPlainObject } from '../src/utils.js';
 
 describe('utils.js', () => {
   describe('getClientIdFromCloudflare', () => {
@@ -45,4 +45,14 @@ describe('utils.js', () => {
       expect(res2.headers.get('foo')).toBe('baz');
     });
   });
+
+  describe('isPlainObject', () => {
+    it('accepts objects but not arrays or primitives', () => {
+      expect(isPlainObject({ a: 1 })).toBe(true);
+      expect(isPlainObject({})).toBe(true);
+      expect(isPlainObject([])).toBe(false);
+      expect(isPlainObject(null)).toBe(false);
+      expect(isPlainObject('object')).toBe(false);
+    });
+  });
 });